@@ -4,15 +4,35 @@ import Player from '../entities/Player.js';
 import Input from './Input.js';
 import Sun from '../world/Sun.js';
 import Planet from '../world/Planet.js';
+import PlanetTextures from '../world/PlanetTextures.js';
+import Comet from '../world/Comet.js';
+import AsteroidBelt from '../world/AsteroidBelt.js';
+import Barycenter from '../world/Barycenter.js';
+import HabitableZone from '../world/HabitableZone.js';
+import { updateEclipseOccluders } from '../world/Eclipses.js';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
-import generateSystem from '../world/SystemGenerator.js';
+import { describeStability } from '../world/OrbitalStability.js';
+import generateSystem, { CURRENT_GENERATOR_VERSION, GENERATOR_VERSIONS, previewSystem } from '../world/SystemGenerator.js';
+import { DEFAULT_GALAXY_SEED, generateGalaxy, homeStarIndex, nearestStars } from '../world/Galaxy.js';
+import NeighbourStars from '../world/NeighbourStars.js';
+import { getPlanetType, PLANET_TRAITS } from '../world/PlanetTypeRegistry.js';
+import { exportSystemToJSON, importSystem } from '../world/SystemSerializer.js';
 import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
 import Stars from '../world/Stars.js';
 import Nebulae from '../world/Nebulae.js';
 import StarClusters from '../world/StarClusters.js';
+import TextureWorkerPool from '../world/TextureWorkerPool.js';
+import AssetCache from '../world/AssetCache.js';
+
+// Ключ sessionStorage, через который импортированный файл переживает перезагрузку страницы
+const IMPORTED_SYSTEM_KEY = 'importedSystem';
+// Сколько миллисекунд кадра можно тратить на запекание поверхностей (минимум одно тело за кадр)
+const SURFACE_BUILD_BUDGET_MS = 8;
+// Длительность перехода между системами (снимок старой растворяется поверх новой)
+const CROSSFADE_MS = 800;
 
 export default class Game {
   constructor() {
@@ -21,7 +41,7 @@ export default class Game {
       90, // угол обзора 
       window.innerWidth / window.innerHeight,
       1,
-      200000
+      1000000 // внешний ледяной диск лежит дальше самых далёких планет
     );
     this.renderer = new THREE.WebGLRenderer({
       canvas: document.getElementById('c'),
@@ -35,9 +55,10 @@ export default class Game {
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = 1.2;
     this.renderer.outputColorSpace = THREE.SRGBColorSpace;
-    // Включаем тени для более реалистичного вида
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    // Тени тел считаются аналитически (Eclipses.js): карта теней не дотягивается до орбит
+    this.renderer.shadowMap.enabled = false;
+    // Текстуры планет запекаются этим же рендерером
+    PlanetTextures.setRenderer(this.renderer);
 
     window.addEventListener('resize', () => {
       this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -158,16 +179,122 @@ export default class Game {
     this.followEnabled = false;
     this.followTarget = null;
 
-    // Случайная система по сиду из URL или поля ввода
-    const urlSeed = new URLSearchParams(location.search).get('seed');
-    const system = generateSystem(urlSeed ?? undefined);
-    this.sun = new Sun({
-      radius: system.sun.radius,
-      color: system.sun.color,
-      lightColor: system.sun.lightColor,
-      lightIntensity: system.sun.lightIntensity,
+    // Диффузное глобальное освещение (небо/земля) — общее для всех систем
+    this.hemisphere = new THREE.HemisphereLight(0x223355, 0x110a00, 0.15);
+    this.scene.add(this.hemisphere);
+
+    // Режимы вида камеры и стартовый режим
+    this.viewModes = ['side', 'top'];
+    this.currentViewModeIdx = 1; // top по умолчанию
+    this.habitableZonesVisible = false;
+    this.loadingEl = document.getElementById('loading');
+    this.crossfadeEl = document.getElementById('crossfade');
+    this.crossfadePending = false;
+
+    // Система по адресу; дальше смена идёт на месте (pushState), «назад/вперёд» — тоже
+    this.loadFromLocation();
+    window.addEventListener('popstate', () => this.switchSystem());
+
+    // Инициализация UI seed
+    this.initSeedUI();
+    // Экспорт/импорт системы в JSON
+    this.initSystemFileUI();
+    this.initCacheUI();
+
+    // Инициализация UI follow
+    this.initFollowUI();
+
+    // Инициализация UI зоны обитаемости
+    this.initHabitableZoneUI();
+
+    // FPS overlay
+    this._fpsFrameCount = 0;
+    this._fpsElapsed = 0;
+    this.fpsEl = document.getElementById('fps');
+    if (!this.fpsEl) {
+      this.fpsEl = document.createElement('div');
+      this.fpsEl.id = 'fps';
+      Object.assign(this.fpsEl.style, {
+        position: 'fixed',
+        left: '16px',
+        bottom: '16px',
+        padding: '6px 8px',
+        borderRadius: '8px',
+        border: '1px solid rgba(255,255,255,0.25)',
+        background: 'rgba(0,0,0,0.45)',
+        color: '#fff',
+        fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, Cantarell, Noto Sans, Arial, Helvetica, sans-serif',
+        fontSize: '12px',
+        letterSpacing: '0.3px',
+        zIndex: '1001',
+        backdropFilter: 'blur(6px)'
+      });
+      this.fpsEl.textContent = 'FPS: —';
+      document.body.appendChild(this.fpsEl);
+    }
+  }
+
+  // Система по адресу: ?system=imported — из загруженного файла, иначе по сиду (или звезде галактики) и ?v=
+  loadFromLocation() {
+    const urlParams = new URLSearchParams(location.search);
+    // Галактика и звезда в ней (?galaxy=…&star=N): без seed система берётся по положению звезды
+    const galaxySeed = urlParams.get('galaxy') ?? DEFAULT_GALAXY_SEED;
+    if (!this.galaxy || String(this.galaxy.seed) !== String(galaxySeed)) this.galaxy = generateGalaxy(galaxySeed);
+    // Без ?star= звезды нет (Number(null) — это 0): место системы в галактике выберет homeStarIndex
+    const starParam = urlParams.get('star');
+    const urlStar = starParam !== null ? this.galaxy.stars[Number(starParam)] ?? null : null;
+    const urlSeed = urlParams.get('seed') ?? (urlStar && urlStar.systemSeed);
+    // ?system=imported — строим систему из загруженного файла, без генератора
+    let system = null;
+    let importError = null;
+    if (urlParams.get('system') === 'imported') {
+      try {
+        system = importSystem(sessionStorage.getItem(IMPORTED_SYSTEM_KEY) ?? '');
+      } catch (e) {
+        importError = e;
+      }
+    }
+    // ?v= — версия генератора: старые ссылки продолжают показывать ту же систему
+    const rawVersion = urlParams.get('v');
+    const urlVersion = Number(rawVersion ?? CURRENT_GENERATOR_VERSION);
+    const version = GENERATOR_VERSIONS.includes(urlVersion) ? urlVersion : CURRENT_GENERATOR_VERSION;
+    // ?resonances=1 — подтягивать соседние планеты в резонансы средних движений
+    if (!system) {
+      system = generateSystem(urlSeed ?? undefined, { version, resonances: urlParams.get('resonances') === '1' });
+      // Версию всегда держим в адресе рядом с seed, чтобы ссылкой можно было поделиться
+      urlParams.set('v', String(version));
+      urlParams.delete('system');
+      history.replaceState(null, '', `${location.pathname}?${urlParams.toString()}`);
+    }
+    this.loadSystem(system, {
+      version,
+      galaxyStarIndex: urlStar ? urlStar.index : homeStarIndex(this.galaxy, system.seed),
     });
-    this.sun.addTo(this.scene, new THREE.Vector3(0, 0, 0));
+    this.setSeedUI(system.seed, system.stability);
+    if (version !== urlVersion) this.showSeedMessage(`Версии генератора v${rawVersion} нет, показана v${version}`);
+    if (importError) this.showSystemFileError(importError);
+  }
+
+  // Сцена системы: звёзды, фон, тела; всё это снимает disposeSystem
+  loadSystem(system, { version, galaxyStarIndex }) {
+    this.system = system;
+    // Звёзды: главная (A) и компаньоны кратной системы, у каждой свой свет
+    this.suns = system.stars.map((cfg) => new Sun({
+      id: cfg.id,
+      radius: cfg.radius,
+      color: cfg.color,
+      lightColor: cfg.lightColor,
+      lightIntensity: cfg.lightIntensity,
+      orbit: cfg.orbit,
+    }));
+    this.sun = this.suns[0];
+    this.suns.forEach((s) => s.addTo(this.scene, new THREE.Vector3(0, 0, 0)));
+
+    // Барицентры (от корня вниз) и таблица id -> звезда/барицентр для фокусов орбит
+    this.barycenters = system.barycenters.map((cfg) => new Barycenter(cfg));
+    this.frames = new Map();
+    this.suns.forEach((s) => this.frames.set(s.id, s));
+    this.barycenters.forEach((b) => this.frames.set(b.id, b));
 
     // Звёздный фон + туманности + скопления
     // Радиус держим меньше дальной плоскости камеры (1000), чтобы не отсекались
@@ -175,6 +302,18 @@ export default class Game {
     this.stars = new Stars({ seed: system.seed, count: 5000, radius: bgRadius });
     this.stars.addTo(this.scene);
 
+    // Ближайшие звёзды галактики — в настоящих направлениях, на них можно прыгнуть
+    this.galaxyStarIndex = galaxyStarIndex;
+    this.neighbourStars = new NeighbourStars({
+      neighbours: nearestStars(this.galaxy, this.galaxyStarIndex).map((n) => ({
+        ...n,
+        preview: previewSystem(n.star.systemSeed),
+      })),
+      radius: bgRadius * 0.85,
+    });
+    this.neighbourStars.addTo(this.scene);
+    this.aimedNeighbour = null;
+
     this.nebulae = new Nebulae({ 
       seed: system.seed * 31 + 7, 
       count: 8, // увеличиваем количество туманностей
@@ -195,80 +334,240 @@ export default class Game {
     });
     this.starClusters.addTo(this.scene);
 
-    // Диффузное глобальное освещение (небо/земля)
-    this.hemisphere = new THREE.HemisphereLight(0x223355, 0x110a00, 0.15);
-    this.scene.add(this.hemisphere);
-
     // Планеты по сгенерированным параметрам
     this.planets = system.planets.map((cfg) => new Planet(cfg));
     this.planets.forEach((p) => p.addTo(this.scene));
+    // Пояса астероидов
+    this.belts = system.belts.map((cfg) => new AsteroidBelt(cfg));
+    this.belts.forEach((b) => b.addTo(this.scene));
+    // Кометы на вытянутых орбитах
+    this.comets = system.comets.map((cfg) => new Comet(cfg));
+    this.comets.forEach((c) => c.addTo(this.scene));
+
+    // Зоны обитаемости (по умолчанию скрыты, переключение — H; состояние переживает смену системы)
+    this.habitableZones = system.habitableZones.map((cfg) => new HabitableZone(cfg));
+    this.habitableZones.forEach((z) => {
+      z.addTo(this.scene);
+      z.setVisible(this.habitableZonesVisible);
+    });
+
+    // Все тела, доступные для прицела и следования (планеты, спутники, крупные астероиды, кометы),
+    // с путём по индексам в конфиге системы: p2, p2/m0, b0/a3, c1. Порядок тел постоянен для сида
+    // и версии, а имена — нет (в v1 повторяются), поэтому ключи кэша строятся по пути
+    const bodyPaths = [
+      ...this.planets.flatMap((p, i) => [[p, `p${i}`], ...p.moons.map((moon, j) => [moon, `p${i}/m${j}`])]),
+      ...this.belts.flatMap((b, i) => b.namedAsteroids.map((asteroid, j) => [asteroid, `b${i}/a${j}`])),
+      ...this.comets.map((c, i) => [c, `c${i}`]),
+    ];
+    this.bodies = bodyPaths.map(([body]) => body);
+    // Поверхности запекаются в animate по бюджету; до того у тел временный материал.
+    // Запечённое сохраняется в AssetCache — повторный визит на тот же сид читает пиксели
+    const cacheVersion = system.generatorVersion ?? version;
+    bodyPaths.forEach(([body, path]) => {
+      body.cacheKey = `${system.seed}/v${cacheVersion}/${path}`;
+    });
+    this.pendingSurfaces = [...this.bodies];
+    this.failedSurfaces = [];
+    this.surfaceBuild = null;
+    this.surfaceCount = this.pendingSurfaces.length;
+    this.updateOrbitalFrames(0);
 
     // Базовая дистанция для разных видов камеры
     this.baseDistance = Math.max(60, system.maxOrbit + 20);
 
-    // Режимы вида камеры и стартовый режим
-    this.viewModes = ['side', 'top'];
-    this.currentViewModeIdx = 1; // top по умолчанию
+    // Камера — на обзорную точку новой системы в текущем режиме вида
     this.setViewMode(this.viewModes[this.currentViewModeIdx]);
+  }
 
-    // Инициализация UI seed
-    this.initSeedUI(system.seed);
+  // Текущая система снимается со сцены, её геометрии, материалы и текстуры освобождаются
+  disposeSystem() {
+    [...this.suns, ...this.planets, ...this.belts, ...this.comets, ...this.habitableZones].forEach((object) => object.dispose());
+    [this.stars, this.neighbourStars, this.nebulae, this.starClusters].forEach((layer) => layer.dispose());
+    this.currentHighlighted = null;
+    // Следовать в новой системе некому — выключаем вместе с подписью кнопки
+    this.setFollowEnabled(false);
+    this.aimedNeighbour = null;
+    this.outlinePass.selectedObjects = [];
+    this.currentForwardSpeed = 0;
+    // Начатая сборка поверхности дойдёт до конца сама, но в очередь новой системы не попадёт
+    this.pendingSurfaces = [];
+    this.failedSurfaces = [];
+    this.surfaceBuild = null;
+    TextureWorkerPool.shared().clearFailures();
+  }
 
-    // Инициализация UI follow
-    this.initFollowUI();
+  // Смена системы без перезагрузки страницы: адрес уже указывает на новую (pushState или «назад/вперёд»)
+  switchSystem({ crossfade = true } = {}) {
+    if (crossfade) this.captureCrossfade();
+    this.disposeSystem();
+    this.loadFromLocation();
+  }
 
-    // FPS overlay
-    this._fpsFrameCount = 0;
-    this._fpsElapsed = 0;
-    this.fpsEl = document.getElementById('fps');
-    if (!this.fpsEl) {
-      this.fpsEl = document.createElement('div');
-      this.fpsEl.id = 'fps';
-      Object.assign(this.fpsEl.style, {
-        position: 'fixed',
-        left: '16px',
-        bottom: '16px',
-        padding: '6px 8px',
-        borderRadius: '8px',
-        border: '1px solid rgba(255,255,255,0.25)',
-        background: 'rgba(0,0,0,0.45)',
-        color: '#fff',
-        fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, Cantarell, Noto Sans, Arial, Helvetica, sans-serif',
-        fontSize: '12px',
-        letterSpacing: '0.3px',
-        zIndex: '1001',
-        backdropFilter: 'blur(6px)'
+  // Новый адрес в истории браузера и переход к его системе
+  navigateTo(params, options) {
+    history.pushState(null, '', `${location.pathname}?${params.toString()}`);
+    this.switchSystem(options);
+  }
+
+  // Последний кадр старой системы — снимком поверх холста; растворяется после первого кадра новой
+  captureCrossfade() {
+    const overlay = this.crossfadeEl;
+    if (!overlay || window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+    // Буфер WebGL без preserveDrawingBuffer читается только сразу после отрисовки
+    this.composer.render();
+    const canvas = this.renderer.domElement;
+    overlay.width = canvas.width;
+    overlay.height = canvas.height;
+    overlay.getContext('2d').drawImage(canvas, 0, 0);
+    overlay.style.transition = 'none';
+    overlay.style.opacity = '1';
+    // Применяем opacity 1 сразу — иначе переход к 0 в следующем кадре браузер не увидит
+    void overlay.offsetWidth;
+    this.crossfadePending = true;
+  }
+
+  startCrossfade() {
+    this.crossfadePending = false;
+    this.crossfadeEl.style.transition = `opacity ${CROSSFADE_MS}ms ease-out`;
+    this.crossfadeEl.style.opacity = '0';
+  }
+
+  initSystemFileUI() {
+    const exportBtn = document.getElementById('system-export');
+    const importBtn = document.getElementById('system-import');
+    const fileInput = document.getElementById('system-file');
+
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => {
+        const blob = new Blob([exportSystemToJSON(this.system)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `system-${this.system.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+      });
+    }
+
+    // Файл проверяем сразу: с ошибкой текущая система остаётся на месте
+    const loadFile = (file) => {
+      if (!file) return;
+      file.text().then((text) => {
+        try {
+          importSystem(text);
+        } catch (e) {
+          this.showSystemFileError(e);
+          return;
+        }
+        sessionStorage.setItem(IMPORTED_SYSTEM_KEY, text);
+        const params = new URLSearchParams(location.search);
+        params.delete('seed');
+        params.set('system', 'imported');
+        this.navigateTo(params);
+      });
+    };
+
+    if (importBtn && fileInput) {
+      importBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+        loadFile(fileInput.files[0]);
+        fileInput.value = '';
       });
-      this.fpsEl.textContent = 'FPS: —';
-      document.body.appendChild(this.fpsEl);
     }
+
+    // Перетаскивание файла в окно
+    window.addEventListener('dragover', (e) => e.preventDefault());
+    window.addEventListener('drop', (e) => {
+      e.preventDefault();
+      loadFile(e.dataTransfer && e.dataTransfer.files[0]);
+    });
   }
 
-  initSeedUI(seedValue) {
-    const input = document.getElementById('seed-input');
-    const applyBtn = document.getElementById('seed-apply');
-    const randomBtn = document.getElementById('seed-random');
+  initCacheUI() {
+    const clearBtn = document.getElementById('cache-clear');
+    if (!clearBtn) return;
+    clearBtn.addEventListener('click', () => {
+      const cache = AssetCache.shared();
+      cache.usage().then((bytes) => cache.clear().then(() => {
+        this.showSeedMessage(`Кэш текстур очищен (${(bytes / 1024 / 1024).toFixed(1)} МБ)`);
+      }));
+    });
+  }
+
+  showSystemFileError(error) {
+    this.showSeedMessage(`Ошибка импорта — ${error.message}`);
+  }
+
+  showSeedMessage(text) {
     const info = document.getElementById('seed-info');
+    if (info) info.textContent = text;
+  }
 
+  // Поле сида и подпись — под текущую систему (и после «назад/вперёд»):
+  // сид, сводка проверки устойчивости, подробности — во всплывающей подсказке
+  setSeedUI(seedValue, stability) {
+    const input = document.getElementById('seed-input');
+    const info = document.getElementById('seed-info');
     if (input) input.value = String(seedValue ?? '');
-    if (info) info.textContent = seedValue ? `sid=${seedValue}` : '';
+    if (!info) return;
+    const report = describeStability(stability);
+    info.textContent = [seedValue ? `sid=${seedValue}` : '', report ? report.summary : '']
+      .filter(Boolean)
+      .join(' · ');
+    info.title = report ? report.details.join('\n') : '';
+  }
 
-    const reloadWithSeed = (seedStr) => {
+  initSeedUI() {
+    const input = document.getElementById('seed-input');
+    const applyBtn = document.getElementById('seed-apply');
+    const randomBtn = document.getElementById('seed-random');
+
+    const switchToSeed = (seedStr) => {
       const params = new URLSearchParams(location.search);
       if (seedStr && seedStr.length > 0) params.set('seed', seedStr);
       else params.delete('seed');
-      const url = `${location.pathname}?${params.toString()}`;
-      location.assign(url);
+      // Новый сид — выходим из режима импортированной системы и берём последнюю версию генератора;
+      // такая система уже не звезда галактики, её место выберет homeStarIndex
+      params.delete('system');
+      params.delete('star');
+      params.set('v', String(CURRENT_GENERATOR_VERSION));
+      this.navigateTo(params);
     };
 
     if (applyBtn) {
-      applyBtn.addEventListener('click', () => reloadWithSeed(input ? input.value.trim() : ''));
+      applyBtn.addEventListener('click', () => switchToSeed(input ? input.value.trim() : ''));
     }
     if (randomBtn) {
-      randomBtn.addEventListener('click', () => reloadWithSeed(String(Date.now())));
+      randomBtn.addEventListener('click', () => switchToSeed(String(Date.now())));
     }
   }
 
+  // Движение звёзд и барицентров, затем перенос фокусов орбит планет и поясов
+  updateOrbitalFrames(deltaSeconds) {
+    const parentPos = new THREE.Vector3();
+    this.barycenters.forEach((b) => {
+      b.update(deltaSeconds, this.getFramePosition(b.orbit && b.orbit.barycenter, parentPos));
+    });
+    this.suns.forEach((s) => {
+      if (s.orbit) s.updateOrbit(deltaSeconds, this.getFramePosition(s.orbit.barycenter, parentPos));
+    });
+    const origin = new THREE.Vector3();
+    this.planets.forEach((p) => p.setOrigin(this.getFramePosition(p.barycenter, origin)));
+    this.comets.forEach((c) => c.setOrigin(this.getFramePosition(c.barycenter, origin)));
+    this.belts.forEach((b) => b.setOrigin(this.getFramePosition(b.barycenter, origin)));
+    this.habitableZones.forEach((z) => z.setOrigin(this.getFramePosition(z.barycenter, origin)));
+  }
+
+  getFramePosition(id, target) {
+    const frame = id ? this.frames.get(id) : null;
+    return frame ? frame.getWorldPosition(target) : target.set(0, 0, 0);
+  }
+
+  // Звезда, которая освещает тело: своя для S-типа, главная для орбит вокруг пары
+  getHostStar(barycenterId) {
+    return this.suns.find((s) => s.id === barycenterId) || this.sun;
+  }
+
   setViewMode(mode) {
     const yawObject = this.controls.getObject();
     const pitchObject = yawObject.children && yawObject.children[0] ? yawObject.children[0] : null;
@@ -321,6 +620,10 @@ export default class Game {
         this.setViewMode(this.viewModes[this.currentViewModeIdx]);
       } else if (e.code === 'KeyF') {
         this.toggleFollow();
+      } else if (e.code === 'KeyH') {
+        this.toggleHabitableZones();
+      } else if (e.code === 'KeyJ') {
+        if (this.aimedNeighbour) this.jumpToStar(this.aimedNeighbour.star);
       }
     });
 
@@ -344,16 +647,60 @@ export default class Game {
     };
     refreshLabel();
     if (btn) {
-      btn.addEventListener('click', () => {
-        this.toggleFollow();
-        refreshLabel();
-      });
+      btn.addEventListener('click', () => this.toggleFollow());
     }
     this.refreshFollowLabel = refreshLabel;
   }
 
+  initHabitableZoneUI() {
+    const btn = document.getElementById('zone-toggle');
+    const refreshLabel = () => {
+      if (!btn) return;
+      const state = this.habitableZonesVisible ? 'вкл' : 'выкл';
+      btn.textContent = `Зона жизни: ${state} (H)`;
+    };
+    refreshLabel();
+    if (btn) {
+      btn.addEventListener('click', () => this.toggleHabitableZones());
+    }
+    this.refreshZoneLabel = refreshLabel;
+  }
+
+  toggleHabitableZones() {
+    this.habitableZonesVisible = !this.habitableZonesVisible;
+    this.habitableZones.forEach((z) => z.setVisible(this.habitableZonesVisible));
+    if (this.refreshZoneLabel) this.refreshZoneLabel();
+  }
+
+  // Строка HUD: обозначение и имя, климат (или «комета») и равновесная температура
+  describeBody(body) {
+    const parts = [];
+    if (body.isComet) parts.push('комета');
+    if (body.climate) parts.push(getPlanetType(body.climate)?.label ?? body.climate);
+    if (body.temperatureK != null) parts.push(`${Math.round(body.temperatureK)} K`);
+    Object.keys(body.traits ?? {}).forEach((trait) => parts.push(PLANET_TRAITS[trait] ?? trait));
+    if (body.surfaceError) parts.push(`поверхность не загрузилась: ${body.surfaceError}`);
+    const title = body.designation ? `${body.designation} «${body.name}»` : body.name;
+    return parts.length > 0 ? `${title} — ${parts.join(', ')}` : title;
+  }
+
+  // Прыжок к соседней звезде: её система генерируется по сиду из положения
+  jumpToStar(star) {
+    const params = new URLSearchParams(location.search);
+    params.set('galaxy', this.galaxy.seed);
+    params.set('star', String(star.index));
+    params.set('seed', star.systemSeed);
+    params.set('v', String(CURRENT_GENERATOR_VERSION));
+    params.delete('system');
+    this.navigateTo(params);
+  }
+
   toggleFollow() {
-    this.followEnabled = !this.followEnabled;
+    this.setFollowEnabled(!this.followEnabled);
+  }
+
+  setFollowEnabled(enabled) {
+    this.followEnabled = enabled;
     if (!this.followEnabled) {
       this.followTarget = null;
     } else if (this.currentHighlighted) {
@@ -362,6 +709,62 @@ export default class Game {
     if (this.refreshFollowLabel) this.refreshFollowLabel();
   }
 
+  // Ближайшее к камере тело — первым: то, что в кадре крупно, получает текстуры раньше.
+  // Сборка асинхронная (чтение кэша), поэтому одновременно идёт одна, остальные ждут её конца
+  buildPendingSurfaces(cameraPosition) {
+    if (this.surfaceBuild) return;
+    const start = performance.now();
+    const bodyPosition = new THREE.Vector3();
+    const distanceTo = (body) => body.bodyGroup.getWorldPosition(bodyPosition).distanceTo(cameraPosition) - body.radius;
+    // Очередь этой системы: после смены (disposeSystem) цепочка тихо обрывается
+    const pending = this.pendingSurfaces;
+    const buildNext = () => {
+      if (pending !== this.pendingSurfaces) return null;
+      if (pending.length === 0 || performance.now() - start > SURFACE_BUILD_BUDGET_MS) {
+        this.surfaceBuild = null;
+        return null;
+      }
+      let nearest = 0;
+      pending.forEach((body, i) => {
+        if (distanceTo(body) < distanceTo(pending[nearest])) nearest = i;
+      });
+      const body = pending[nearest];
+      return body.buildSurface(AssetCache.shared())
+        // Тело остаётся с временным материалом; сбой виден в индикаторе загрузки и в подписи тела
+        .catch((error) => {
+          body.surfaceError = error.message;
+          if (pending === this.pendingSurfaces) this.failedSurfaces.push(body);
+        })
+        .then(() => {
+          pending.splice(pending.indexOf(body), 1);
+          return buildNext();
+        });
+    };
+    this.surfaceBuild = buildNext();
+  }
+
+  // Индикатор загрузки: что ещё генерируется (поверхности тел и текстуры из воркеров) и что не удалось
+  updateLoadingIndicator() {
+    if (!this.loadingEl) return;
+    const parts = [];
+    if (this.pendingSurfaces.length > 0) {
+      parts.push(`поверхности ${this.surfaceCount - this.pendingSurfaces.length}/${this.surfaceCount}`);
+    }
+    const counts = new Map();
+    TextureWorkerPool.shared().pendingLabels().forEach((label) => counts.set(label, (counts.get(label) ?? 0) + 1));
+    counts.forEach((count, label) => parts.push(count > 1 ? `${label} (${count})` : label));
+    const failed = [
+      ...this.failedSurfaces.map((body) => `поверхность ${body.name}`),
+      ...TextureWorkerPool.shared().failedLabels(),
+    ];
+    const text = [
+      parts.length > 0 ? `Генерация: ${parts.join(' · ')}` : '',
+      failed.length > 0 ? `Не удалось: ${failed.join(' · ')}` : '',
+    ].filter(Boolean).join(' — ');
+    if (this.loadingEl.textContent !== text) this.loadingEl.textContent = text;
+    this.loadingEl.style.opacity = text ? '1' : '0';
+  }
+
   animate() {
     requestAnimationFrame(() => this.animate());
 
@@ -408,29 +811,41 @@ export default class Game {
 
     this.player.mesh.position.copy(this.controls.getObject().position);
 
-    // Обновляем Солнце
-    this.sun.update(deltaTime);
+    // Обновляем звёзды и их взаимные орбиты
+    this.suns.forEach((s) => s.update(deltaTime));
+    this.updateOrbitalFrames(deltaTime * this.timeScale);
     // Обновляем фон
     if (this.stars) this.stars.update(this.camera, deltaTime);
     if (this.nebulae) this.nebulae.update(this.camera, deltaTime);
     if (this.starClusters) this.starClusters.update(this.camera, deltaTime);
+    if (this.neighbourStars) this.neighbourStars.update(this.camera);
     // Обновляем планеты
     const lightWorldPos = new THREE.Vector3();
-    this.sun.group.getWorldPosition(lightWorldPos);
     const cameraWorldPos = new THREE.Vector3();
     this.camera.getWorldPosition(cameraWorldPos);
-    this.planets.forEach((p) => {
+    this.buildPendingSurfaces(cameraWorldPos);
+    this.updateLoadingIndicator();
+    [...this.planets, ...this.comets].forEach((p) => {
       p.update(deltaTime * this.timeScale);
-      p.setLightPosition(lightWorldPos);
+      const host = this.getHostStar(p.barycenter);
+      p.setLightPosition(host.getWorldPosition(lightWorldPos), host.radius);
       p.setCameraPosition(cameraWorldPos);
     });
+    this.belts.forEach((b) => {
+      b.update(deltaTime * this.timeScale);
+      const host = this.getHostStar(b.barycenter);
+      b.setLightPosition(host.getWorldPosition(lightWorldPos), host.radius);
+      b.setCameraPosition(cameraWorldPos);
+    });
+    // Заслонки для затмений — после того как все тела встали на места в этом кадре
+    updateEclipseOccluders(this.bodies);
 
     // Лучевой тест под прицел (центр экрана)
     const raycaster = new THREE.Raycaster();
     const ndc = new THREE.Vector2(0, 0); // центр
     raycaster.setFromCamera(ndc, this.camera);
-    const planetMeshes = this.planets.map((p) => p.mesh);
-    const hit = raycaster.intersectObjects(planetMeshes, false)[0];
+    const bodyMeshes = this.bodies.map((b) => b.mesh);
+    const hit = raycaster.intersectObjects(bodyMeshes, false)[0];
 
     // Снимаем подсветку со старой планеты
     if (this.currentHighlighted && (!hit || this.currentHighlighted.mesh !== hit.object)) {
@@ -439,11 +854,11 @@ export default class Game {
     }
 
     if (hit && hit.object) {
-      const planet = this.planets.find((p) => p.mesh === hit.object);
+      const planet = this.bodies.find((b) => b.mesh === hit.object);
       if (planet) {
         // HUD
         if (this.hudEl) {
-          this.hudEl.textContent = planet.name;
+          this.hudEl.textContent = this.describeBody(planet);
           this.hudEl.style.opacity = '1';
         }
         // Подсветка
@@ -453,10 +868,16 @@ export default class Game {
         if (this.followEnabled) this.followTarget = planet;
       }
     } else {
-      if (this.hudEl) this.hudEl.style.opacity = '0';
       this.outlinePass.selectedObjects = [];
     }
 
+    // Если тела под прицелом нет — соседняя звезда на небе
+    this.aimedNeighbour = hit ? null : this.neighbourStars.pick(this.camera);
+    if (this.hudEl && !hit) {
+      if (this.aimedNeighbour) this.hudEl.textContent = NeighbourStars.describe(this.aimedNeighbour);
+      this.hudEl.style.opacity = this.aimedNeighbour ? '1' : '0';
+    }
+
     // Следование камерой
     if (this.followEnabled && this.followTarget) {
       const targetPos = new THREE.Vector3();
@@ -476,6 +897,7 @@ export default class Game {
     }
 
     this.composer.render();
+    if (this.crossfadePending) this.startCrossfade();
   }
 
   start() {
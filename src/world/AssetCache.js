@@ -0,0 +1,155 @@
+// Кэш запечённых текстур в IndexedDB: повторный визит на тот же сид читает пиксели, а не генерирует.
+// Метаданные (размер, время использования) и пиксели лежат в разных хранилищах — подсчёт
+// занятого места и вытеснение LRU не поднимают в память сами текстуры.
+
+const DB_NAME = 'test-space-assets';
+const DB_VERSION = 1;
+const ENTRIES = 'entries';
+const PIXELS = 'pixels';
+// Одна крупная система — до ~0.5 ГБ (слои 4096×2048 RGBA по 32 МБ у каждого большого тела):
+// бюджет держит несколько систем, иначе система вытесняла бы сама себя ещё во время запекания
+const DEFAULT_BUDGET_BYTES = 2 * 1024 * 1024 * 1024;
+// Доля квоты хранилища сайта, которую кэш может занять, если браузер сообщает квоту
+const QUOTA_SHARE = 0.5;
+
+let shared = null;
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const done = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+/**
+ * Записи: key — строка вида 'сид/v4/p2/m0/map', fingerprint — параметры запекания
+ * (сверяет вызывающий: сменился шейдер, цвет или размер — значит промах), pixels — { width, height, data, ... }.
+ * Кэш необязателен: без IndexedDB или при любой ошибке get отвечает промахом, put ничего не делает.
+ */
+export default class AssetCache {
+  static shared() {
+    if (!shared) shared = new AssetCache();
+    return shared;
+  }
+
+  // factory — реализация IndexedDB (по умолчанию страницы; тесты подставляют свою);
+  // storage — StorageManager: бюджет по умолчанию не больше QUOTA_SHARE его квоты
+  constructor({
+    budgetBytes = DEFAULT_BUDGET_BYTES,
+    factory = globalThis.indexedDB,
+    storage = globalThis.navigator?.storage,
+  } = {}) {
+    this.budgetBytes = budgetBytes;
+    this.factory = factory;
+    this.storage = storage;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      // База открывается после сверки бюджета с квотой — первая же запись вытесняет по нему
+      this.db = this.fitBudgetToQuota().then(() => (!this.factory
+        ? null
+        : new Promise((resolve) => {
+          const req = this.factory.open(DB_NAME, DB_VERSION);
+          req.onupgradeneeded = () => {
+            req.result.createObjectStore(ENTRIES, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+            req.result.createObjectStore(PIXELS);
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => resolve(null);
+          req.onblocked = () => resolve(null);
+        })));
+    }
+    return this.db;
+  }
+
+  // Бюджет из конструктора урезается до доли квоты, если браузер её сообщает
+  async fitBudgetToQuota() {
+    try {
+      const { quota } = await this.storage.estimate();
+      if (quota > 0) this.budgetBytes = Math.min(this.budgetBytes, Math.floor(quota * QUOTA_SHARE));
+    } catch {
+      // Квота неизвестна — остаётся бюджет из конструктора
+    }
+  }
+
+  // { fingerprint, pixels } по ключу или null; попадание освежает запись для LRU
+  async get(key) {
+    try {
+      const db = await this.open();
+      if (!db) return null;
+      const tx = db.transaction([ENTRIES, PIXELS], 'readwrite');
+      const entry = await request(tx.objectStore(ENTRIES).get(key));
+      if (!entry) return null;
+      const pixels = await request(tx.objectStore(PIXELS).get(key));
+      if (pixels === undefined) return null;
+      tx.objectStore(ENTRIES).put({ ...entry, lastUsed: Date.now() });
+      await done(tx);
+      return { fingerprint: entry.fingerprint, pixels };
+    } catch {
+      return null;
+    }
+  }
+
+  // pixels = null — «у тела этой текстуры нет» (тоже результат, который не надо пересчитывать)
+  async put(key, fingerprint, pixels) {
+    try {
+      const db = await this.open();
+      if (!db) return;
+      const size = pixels?.data ? pixels.data.byteLength : 0;
+      if (size > this.budgetBytes) return;
+      const tx = db.transaction([ENTRIES, PIXELS], 'readwrite');
+      tx.objectStore(ENTRIES).put({ key, fingerprint, size, lastUsed: Date.now() });
+      tx.objectStore(PIXELS).put(pixels, key);
+      await done(tx);
+      await this.evict();
+    } catch {
+      // Переполненная квота или приватный режим — просто работаем без кэша
+    }
+  }
+
+  // Старые записи удаляются, пока кэш больше бюджета
+  async evict() {
+    const db = await this.open();
+    const tx = db.transaction([ENTRIES, PIXELS], 'readwrite');
+    const entries = await request(tx.objectStore(ENTRIES).index('lastUsed').getAll());
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+      if (total <= this.budgetBytes) break;
+      tx.objectStore(ENTRIES).delete(entry.key);
+      tx.objectStore(PIXELS).delete(entry.key);
+      total -= entry.size;
+    }
+    await done(tx);
+  }
+
+  // Занято байт (по метаданным)
+  async usage() {
+    try {
+      const db = await this.open();
+      if (!db) return 0;
+      const entries = await request(db.transaction(ENTRIES).objectStore(ENTRIES).getAll());
+      return entries.reduce((sum, entry) => sum + entry.size, 0);
+    } catch {
+      return 0;
+    }
+  }
+
+  async clear() {
+    try {
+      const db = await this.open();
+      if (!db) return;
+      const tx = db.transaction([ENTRIES, PIXELS], 'readwrite');
+      tx.objectStore(ENTRIES).clear();
+      tx.objectStore(PIXELS).clear();
+      await done(tx);
+    } catch {
+      // Нечего чистить
+    }
+  }
+}
@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { disposeObject } from './Disposal.js';
+import Planet from './Planet.js';
+import { meanMotion } from './Kepler.js';
+
+// Тот же порядок поворотов, что и у групп Planet: Ry(Ω) · Rx(i) · Ry(ω)
+const KEPLER_VERTEX_CHUNK = `
+  uniform float uTime;
+  attribute vec4 aOrbit;
+  attribute vec3 aOrient;
+
+  vec3 rotateY(vec3 p, float a) {
+    float c = cos(a); float s = sin(a);
+    return vec3(p.x * c + p.z * s, p.y, -p.x * s + p.z * c);
+  }
+
+  vec3 rotateX(vec3 p, float a) {
+    float c = cos(a); float s = sin(a);
+    return vec3(p.x, p.y * c - p.z * s, p.y * s + p.z * c);
+  }
+
+  vec3 keplerOffset(vec4 orbit, vec3 orient, float time) {
+    float a = orbit.x;
+    float e = orbit.y;
+    float M = mod(orbit.w + orbit.z * time, 6.28318530718);
+    float E = M;
+    for (int i = 0; i < 5; i++) {
+      E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+    }
+    float b = a * sqrt(max(0.0, 1.0 - e * e));
+    vec3 p = vec3(a * (cos(E) - e), 0.0, b * sin(E));
+    p = rotateY(p, orient.z);
+    p = rotateX(p, orient.y);
+    return rotateY(p, orient.x);
+  }
+`;
+
+/**
+ * Пояс астероидов: тысячи тел одним InstancedMesh.
+ * Орбиты Кеплера решаются в вершинном шейдере, поэтому на CPU каждый кадр меняется только uTime.
+ * Крупные именованные астероиды — обычные Planet, чтобы их ловил прицел и работало следование.
+ */
+export default class AsteroidBelt {
+  constructor({
+    kind = 'main', // 'main' | 'kuiper'
+    name = 'Belt',
+    innerRadius = 20,
+    outerRadius = 30,
+    count = 3000,
+    seed = 12345,
+    color = 0x777066,
+    minSize = 20,
+    maxSize = 120,
+    maxEccentricity = 0.1,
+    maxInclination = 0.08,
+    centralMass = 1, // масса центральной звезды (или пары) в массах Солнца
+    namedAsteroids = [], // конфиги Planet
+    barycenter = 'A',
+  } = {}) {
+    this.kind = kind;
+    this.name = name;
+    this.barycenter = barycenter;
+    this.group = new THREE.Group();
+
+    const rng = AsteroidBelt.makeRng(seed);
+
+    // Неровный «камень»: икосаэдр со смещёнными вершинами
+    const geometry = AsteroidBelt.createRockGeometry(rng);
+
+    const material = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      roughness: 1.0,
+      metalness: 0.0,
+      flatShading: true,
+    });
+    this.timeUniform = { value: 0 };
+    material.onBeforeCompile = (shader) => {
+      shader.uniforms.uTime = this.timeUniform;
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          ${KEPLER_VERTEX_CHUNK}`)
+        .replace('#include <project_vertex>', `
+          vec4 mvPosition = vec4( transformed, 1.0 );
+          #ifdef USE_INSTANCING
+            mvPosition = instanceMatrix * mvPosition;
+          #endif
+          mvPosition.xyz += keplerOffset( aOrbit, aOrient, uTime );
+          mvPosition = modelViewMatrix * mvPosition;
+          gl_Position = projectionMatrix * mvPosition;
+        `);
+    };
+
+    this.mesh = new THREE.InstancedMesh(geometry, material, count);
+    // Позиции считаются в шейдере — bounding sphere геометрии о них не знает
+    this.mesh.frustumCulled = false;
+
+    // Элементы орбит: (a, e, n, M0) и (Ω, i, ω)
+    const orbits = new Float32Array(count * 4);
+    const orients = new Float32Array(count * 3);
+    const baseColor = new THREE.Color(color);
+    const instanceColor = new THREE.Color();
+    const matrix = new THREE.Matrix4();
+    const quaternion = new THREE.Quaternion();
+    const euler = new THREE.Euler();
+    const scale = new THREE.Vector3();
+    const origin = new THREE.Vector3();
+
+    for (let i = 0; i < count; i += 1) {
+      // Плотность выше к середине пояса (сумма двух равномерных)
+      const t = (rng() + rng()) * 0.5;
+      const a = innerRadius + (outerRadius - innerRadius) * t;
+      orbits[i * 4 + 0] = a;
+      orbits[i * 4 + 1] = rng() * maxEccentricity;
+      orbits[i * 4 + 2] = meanMotion(a, centralMass);
+      orbits[i * 4 + 3] = rng() * Math.PI * 2;
+      orients[i * 3 + 0] = rng() * Math.PI * 2;
+      orients[i * 3 + 1] = (rng() * 2 - 1) * maxInclination;
+      orients[i * 3 + 2] = rng() * Math.PI * 2;
+
+      // Размер: мелких тел гораздо больше, чем крупных
+      const size = minSize + (maxSize - minSize) * Math.pow(rng(), 3);
+      scale.set(size * (0.7 + 0.6 * rng()), size * (0.7 + 0.6 * rng()), size * (0.7 + 0.6 * rng()));
+      euler.set(rng() * Math.PI * 2, rng() * Math.PI * 2, rng() * Math.PI * 2);
+      quaternion.setFromEuler(euler);
+      matrix.compose(origin, quaternion, scale);
+      this.mesh.setMatrixAt(i, matrix);
+
+      instanceColor.copy(baseColor).multiplyScalar(0.75 + 0.5 * rng());
+      this.mesh.setColorAt(i, instanceColor);
+    }
+    geometry.setAttribute('aOrbit', new THREE.InstancedBufferAttribute(orbits, 4));
+    geometry.setAttribute('aOrient', new THREE.InstancedBufferAttribute(orients, 3));
+    this.mesh.instanceMatrix.needsUpdate = true;
+    if (this.mesh.instanceColor) this.mesh.instanceColor.needsUpdate = true;
+
+    this.group.add(this.mesh);
+
+    // Крупные именованные тела пояса
+    this.namedAsteroids = namedAsteroids.map((cfg) => new Planet(cfg));
+  }
+
+  static makeRng(seed) {
+    let x = (seed >>> 0) || 123456789;
+    return () => {
+      x ^= x << 13; x ^= x >>> 17; x ^= x << 5; // xorshift32
+      return ((x >>> 0) / 4294967296);
+    };
+  }
+
+  static createRockGeometry(rng) {
+    const geometry = new THREE.IcosahedronGeometry(1, 1);
+    const position = geometry.getAttribute('position');
+    const v = new THREE.Vector3();
+    // Смещаем совпадающие вершины одинаково, чтобы не было дыр
+    const offsets = new Map();
+    for (let i = 0; i < position.count; i += 1) {
+      v.fromBufferAttribute(position, i);
+      const key = `${v.x.toFixed(4)},${v.y.toFixed(4)},${v.z.toFixed(4)}`;
+      if (!offsets.has(key)) offsets.set(key, 0.75 + 0.5 * rng());
+      v.multiplyScalar(offsets.get(key));
+      position.setXYZ(i, v.x, v.y, v.z);
+    }
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  addTo(scene, origin = new THREE.Vector3(0, 0, 0)) {
+    this.group.position.copy(origin);
+    scene.add(this.group);
+    this.namedAsteroids.forEach((asteroid) => asteroid.addTo(scene, origin));
+  }
+
+  dispose() {
+    this.namedAsteroids.forEach((asteroid) => asteroid.dispose());
+    disposeObject(this.group);
+  }
+
+  setOrigin(origin) {
+    this.group.position.copy(origin);
+    this.namedAsteroids.forEach((asteroid) => asteroid.setOrigin(origin));
+  }
+
+  update(deltaSeconds) {
+    this.timeUniform.value += deltaSeconds;
+    this.namedAsteroids.forEach((asteroid) => asteroid.update(deltaSeconds));
+  }
+
+  setLightPosition(lightPosition, sunRadius) {
+    this.namedAsteroids.forEach((asteroid) => asteroid.setLightPosition(lightPosition, sunRadius));
+  }
+
+  setCameraPosition(cameraPosition) {
+    this.namedAsteroids.forEach((asteroid) => asteroid.setCameraPosition(cameraPosition));
+  }
+}
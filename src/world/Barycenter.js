@@ -0,0 +1,34 @@
+import * as THREE from 'three';
+import { keplerPosition, wrapAngle } from './Kepler.js';
+
+/**
+ * Центр масс пары (или иерархии) звёзд.
+ * Сам ничего не рисует: только хранит мировую позицию, вокруг которой обращаются звёзды и планеты.
+ */
+export default class Barycenter {
+  constructor({
+    id = 'AB',
+    members = [], // id звёзд/барицентров, обращающихся вокруг этого центра
+    orbit = null, // { barycenter, semiMajorAxis, eccentricity, orbitSpeed, inclination, ascendingNode, argPeriapsis, initialAnomaly }
+  } = {}) {
+    this.id = id;
+    this.members = members;
+    this.orbit = orbit;
+    this.meanAnomaly = orbit ? orbit.initialAnomaly ?? 0 : 0;
+    this.position = new THREE.Vector3();
+    this._offset = new THREE.Vector3();
+  }
+
+  // parentPosition — позиция барицентра верхнего уровня (для корневого — начало координат)
+  update(deltaSeconds, parentPosition) {
+    this.position.copy(parentPosition);
+    if (!this.orbit) return;
+    this.meanAnomaly = wrapAngle(this.meanAnomaly + this.orbit.orbitSpeed * deltaSeconds);
+    keplerPosition(this.orbit, this.meanAnomaly, this._offset);
+    this.position.add(this._offset);
+  }
+
+  getWorldPosition(target) {
+    return target.copy(this.position);
+  }
+}
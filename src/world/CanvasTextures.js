@@ -0,0 +1,261 @@
+import { createNoise } from './Noise.js';
+
+// Процедурные текстуры, которые рисуются 2D-контекстом холста: одинаково на обычном canvas
+// и на OffscreenCanvas в воркере (см. TextureWorkerPool). Без three.js — модуль грузит воркер.
+
+// Версия рисования для кэша (AssetCache): менять при правке функций ниже
+export const CANVAS_TEXTURES_VERSION = 2;
+// Шум волокон туманности считается на сетке NEBULA_MASK_GRID² и растягивается билинейно
+const NEBULA_MASK_GRID = 128;
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+function makeRng(seed) {
+  let x = (seed >>> 0) || 123456789;
+  return () => {
+    x ^= x << 13; x ^= x >>> 17; x ^= x << 5; // xorshift32
+    return ((x >>> 0) / 4294967296);
+  };
+}
+
+/**
+ * Туманность: «дымка» из множества мягких кругов с разной прозрачностью и цветом.
+ * Выглядит как приближённая фрактальная туманность, но без тяжёлого шума.
+ */
+function drawNebula(ctx, size, { seed, hue, saturation, lightness }) {
+  const rng = makeRng(seed);
+
+  ctx.clearRect(0, 0, size, size);
+
+  const centerX = size / 2;
+  const centerY = size / 2;
+
+  // Слои «тумана»: от крупных размытых к мелким, более неправильной формы
+  const layers = 6 + Math.floor(rng() * 5);
+  for (let l = 0; l < layers; l += 1) {
+    const blobs = 120 + Math.floor(rng() * 100); // меньше блобов для более неправильной формы
+    const layerHue = (hue + (rng() - 0.5) * 40) % 360; // больше вариации цвета
+    const layerSat = Math.min(1, Math.max(0.2, saturation + (rng() - 0.5) * 0.3));
+    const layerLight = Math.min(0.8, Math.max(0.15, lightness + (rng() - 0.5) * 0.3));
+
+    for (let i = 0; i < blobs; i += 1) {
+      // Создаем кластеры вместо равномерного распределения
+      const clusterX = rng() * size;
+      const clusterY = rng() * size;
+      const clusterSpread = size * (0.1 + 0.3 * rng());
+
+      const x = clusterX + (rng() - 0.5) * clusterSpread;
+      const y = clusterY + (rng() - 0.5) * clusterSpread;
+
+      // Более вытянутые и неправильные формы
+      const baseRad = (size * (0.15 + 0.35 * rng())) * (1 - l * 0.08);
+      const radX = baseRad * (0.6 + 0.8 * rng());
+      const radY = baseRad * (0.6 + 0.8 * rng());
+
+      const alpha = 0.005 + 0.015 * rng(); // еще более тонкие
+      const distFromCenter = Math.sqrt((x - centerX) * (x - centerX) + (y - centerY) * (y - centerY)) / (size * 0.5);
+      const centerBias = Math.max(0, 1 - distFromCenter);
+      const a = alpha * (0.3 + 0.7 * rng()) * centerBias;
+
+      // Эллиптический градиент для более реалистичной формы
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.rotate(rng() * Math.PI * 2);
+      ctx.scale(radX / baseRad, radY / baseRad);
+
+      const grd = ctx.createRadialGradient(0, 0, baseRad * 0.02, 0, 0, baseRad);
+      grd.addColorStop(0, `hsla(${layerHue}, ${Math.round(layerSat * 100)}%, ${Math.round(layerLight * 100)}%, ${a})`);
+      grd.addColorStop(0.7, `hsla(${layerHue}, ${Math.round(layerSat * 100)}%, ${Math.round(layerLight * 100)}%, ${a * 0.3})`);
+      grd.addColorStop(1, `hsla(${layerHue}, ${Math.round(layerSat * 100)}%, ${Math.round(layerLight * 100)}%, 0)`);
+      ctx.fillStyle = grd;
+      ctx.beginPath();
+      ctx.arc(0, 0, baseRad, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+  }
+
+  // Тонкие яркие области — очень деликатные акценты
+  const cores = 3 + Math.floor(rng() * 4); // меньше ярких областей
+  for (let i = 0; i < cores; i += 1) {
+    const x = size * (0.3 + 0.4 * rng()); // ближе к центру
+    const y = size * (0.3 + 0.4 * rng());
+    const rad = size * (0.05 + 0.08 * rng()); // меньший размер
+
+    // Неправильная форма для ярких областей
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(rng() * Math.PI * 2);
+    ctx.scale(0.7 + 0.6 * rng(), 0.7 + 0.6 * rng());
+
+    const grd = ctx.createRadialGradient(0, 0, 0, 0, 0, rad);
+    const coreHue = (hue + (rng() - 0.5) * 25) % 360;
+    const coreAlpha = 0.04 + 0.08 * rng(); // еще более тонкие ядра
+    grd.addColorStop(0, `hsla(${coreHue}, ${Math.round(saturation * 100)}%, ${Math.round((lightness + 0.15) * 100)}%, ${coreAlpha})`);
+    grd.addColorStop(0.5, `hsla(${coreHue}, ${Math.round(saturation * 100)}%, ${Math.round((lightness + 0.1) * 100)}%, ${coreAlpha * 0.4})`);
+    grd.addColorStop(1, `hsla(${coreHue}, ${Math.round(saturation * 100)}%, ${Math.round((lightness + 0.1) * 100)}%, 0)`);
+    ctx.fillStyle = grd;
+    ctx.beginPath();
+    ctx.arc(0, 0, rad, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Создаем очень мягкую маску с множественными градиентами для полного исчезновения краев
+  ctx.globalCompositeOperation = 'destination-in';
+
+  // Основная круглая маска
+  const mainMask = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, size * 0.5);
+  mainMask.addColorStop(0.0, 'rgba(255,255,255,1)');
+  mainMask.addColorStop(0.3, 'rgba(255,255,255,0.9)');
+  mainMask.addColorStop(0.6, 'rgba(255,255,255,0.5)');
+  mainMask.addColorStop(0.8, 'rgba(255,255,255,0.2)');
+  mainMask.addColorStop(0.95, 'rgba(255,255,255,0.05)');
+  mainMask.addColorStop(1.0, 'rgba(255,255,255,0)');
+
+  ctx.fillStyle = mainMask;
+  ctx.fillRect(0, 0, size, size);
+
+  // Дополнительные случайные мягкие маски для неправильной формы
+  for (let i = 0; i < 3; i++) {
+    const maskX = centerX + (rng() - 0.5) * size * 0.3;
+    const maskY = centerY + (rng() - 0.5) * size * 0.3;
+    const maskRadius = size * (0.3 + 0.4 * rng());
+
+    const softMask = ctx.createRadialGradient(maskX, maskY, 0, maskX, maskY, maskRadius);
+    softMask.addColorStop(0.0, 'rgba(255,255,255,0.8)');
+    softMask.addColorStop(0.5, 'rgba(255,255,255,0.4)');
+    softMask.addColorStop(0.8, 'rgba(255,255,255,0.1)');
+    softMask.addColorStop(1.0, 'rgba(255,255,255,0)');
+
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.fillStyle = softMask;
+    ctx.fillRect(0, 0, size, size);
+    ctx.globalCompositeOperation = 'destination-in';
+  }
+
+  ctx.globalCompositeOperation = 'source-over';
+
+  applyNebulaFilaments(ctx, size, seed);
+}
+
+// Газ рвётся на клочья (искажённый fBm) и прожилки (ridged) — вместо гладких пятен
+function applyNebulaFilaments(ctx, size, seed) {
+  const noise = createNoise(seed, { frequency: 3 });
+  const grid = NEBULA_MASK_GRID;
+  const row = grid + 1;
+  const mask = new Float32Array(row * row);
+  for (let y = 0; y <= grid; y += 1) {
+    for (let x = 0; x <= grid; x += 1) {
+      const u = x / grid;
+      const v = y / grid;
+      const gas = smoothstep(-0.3, 0.4, noise.warpedFbm(u, v, 0, 1.2, 5));
+      const filaments = noise.ridged(u * 2, v * 2, 0.5, 4);
+      mask[y * row + x] = (0.3 + 0.7 * gas) * (0.6 + 0.6 * filaments);
+    }
+  }
+
+  const image = ctx.getImageData(0, 0, size, size);
+  const { data } = image;
+  for (let py = 0; py < size; py += 1) {
+    const gy = (py / (size - 1)) * grid;
+    const y0 = Math.min(Math.floor(gy), grid - 1);
+    const fy = gy - y0;
+    for (let px = 0; px < size; px += 1) {
+      const gx = (px / (size - 1)) * grid;
+      const x0 = Math.min(Math.floor(gx), grid - 1);
+      const fx = gx - x0;
+      const i = y0 * row + x0;
+      const top = mask[i] + (mask[i + 1] - mask[i]) * fx;
+      const bottom = mask[i + row] + (mask[i + row + 1] - mask[i + row]) * fx;
+      const alpha = (py * size + px) * 4 + 3;
+      data[alpha] = Math.min(255, data[alpha] * (top + (bottom - top) * fy));
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+// Звезда фона: яркое ядро и мягкое свечение
+function drawStarDot(ctx, size) {
+
+  ctx.clearRect(0, 0, size, size);
+
+  const centerX = size / 2;
+  const centerY = size / 2;
+
+  // Основное ядро звезды
+  const coreGradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, size * 0.15);
+  coreGradient.addColorStop(0.0, 'rgba(255,255,255,1.0)');
+  coreGradient.addColorStop(0.5, 'rgba(255,255,255,0.95)');
+  coreGradient.addColorStop(1.0, 'rgba(255,255,255,0.8)');
+
+  ctx.fillStyle = coreGradient;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, size * 0.15, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Основное свечение
+  const mainGradient = ctx.createRadialGradient(centerX, centerY, size * 0.1, centerX, centerY, size * 0.4);
+  mainGradient.addColorStop(0.0, 'rgba(255,255,255,0.7)');
+  mainGradient.addColorStop(0.3, 'rgba(255,255,255,0.4)');
+  mainGradient.addColorStop(0.7, 'rgba(255,255,255,0.15)');
+  mainGradient.addColorStop(1.0, 'rgba(255,255,255,0.0)');
+
+  ctx.fillStyle = mainGradient;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, size * 0.4, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Внешнее мягкое свечение для ярких звезд
+  const outerGradient = ctx.createRadialGradient(centerX, centerY, size * 0.3, centerX, centerY, size * 0.5);
+  outerGradient.addColorStop(0.0, 'rgba(255,255,255,0.0)');
+  outerGradient.addColorStop(0.5, 'rgba(255,255,255,0.08)');
+  outerGradient.addColorStop(1.0, 'rgba(255,255,255,0.0)');
+
+  ctx.fillStyle = outerGradient;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, size * 0.5, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Звезда скопления: без отдельного ядра, свечение шире
+function drawClusterDot(ctx, size) {
+  ctx.clearRect(0, 0, size, size);
+
+  const centerX = size / 2;
+  const centerY = size / 2;
+
+  // Основное свечение звезды
+  const mainGradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, size * 0.4);
+  mainGradient.addColorStop(0.0, 'rgba(255,255,255,1.0)');
+  mainGradient.addColorStop(0.1, 'rgba(255,255,255,0.9)');
+  mainGradient.addColorStop(0.3, 'rgba(255,255,255,0.6)');
+  mainGradient.addColorStop(0.6, 'rgba(255,255,255,0.2)');
+  mainGradient.addColorStop(1.0, 'rgba(255,255,255,0.0)');
+
+  ctx.fillStyle = mainGradient;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, size * 0.4, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Дополнительное внешнее свечение для больших звезд
+  const outerGradient = ctx.createRadialGradient(centerX, centerY, size * 0.2, centerX, centerY, size * 0.5);
+  outerGradient.addColorStop(0.0, 'rgba(255,255,255,0.0)');
+  outerGradient.addColorStop(0.5, 'rgba(255,255,255,0.1)');
+  outerGradient.addColorStop(1.0, 'rgba(255,255,255,0.0)');
+
+  ctx.fillStyle = outerGradient;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, size * 0.5, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Задачи по имени: (ctx, size, params) -> рисует в ctx квадрат size × size
+export const CANVAS_TEXTURES = {
+  nebula: drawNebula,
+  starDot: drawStarDot,
+  clusterDot: drawClusterDot,
+};
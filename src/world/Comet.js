@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import Planet from './Planet.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Хвост — открытый конус от ядра (вершина в начале координат, ось +Y, длина 1)
+function createTailGeometry() {
+  const geometry = new THREE.ConeGeometry(1, 1, 32, 8, true);
+  geometry.rotateX(Math.PI);
+  geometry.translate(0, 0.5, 0);
+  return geometry;
+}
+
+function createTailMaterial(color) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uColor: { value: new THREE.Color(color) },
+      uBrightness: { value: 0 },
+    },
+    vertexShader: `
+      varying float vAlong;
+      varying vec3 vNormalV;
+      varying vec3 vViewDir;
+      void main() {
+        vAlong = position.y;
+        vec4 mvPos = modelViewMatrix * vec4(position, 1.0);
+        vNormalV = normalize(normalMatrix * normal);
+        vViewDir = normalize(-mvPos.xyz);
+        gl_Position = projectionMatrix * mvPos;
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 uColor;
+      uniform float uBrightness;
+      varying float vAlong;
+      varying vec3 vNormalV;
+      varying vec3 vViewDir;
+      void main() {
+        // Ярче у ядра, к концу хвоста гаснет; края конуса мягкие
+        float fade = pow(1.0 - clamp(vAlong, 0.0, 1.0), 1.5);
+        float edge = abs(dot(normalize(vNormalV), normalize(vViewDir)));
+        float alpha = uBrightness * fade * edge;
+        gl_FragColor = vec4(uColor * alpha, alpha);
+      }
+    `,
+    transparent: true,
+    side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+  });
+}
+
+/**
+ * Комета: ядро — обычное тело Planet на сильно вытянутой орбите (тот же решатель Кеплера),
+ * плюс два хвоста. Ионный хвост направлен строго от звезды, пылевой отстаёт по орбите.
+ * Длина и яркость растут от activityRadius (начало сублимации) до перицентра.
+ */
+export default class Comet extends Planet {
+  constructor({
+    activityRadius = 100, // на этом расстоянии от звезды хвосты только появляются
+    tail = {}, // { dustColor, ionColor, maxLength }
+    ...config
+  } = {}) {
+    super({ ...config, moons: [] });
+    this.isComet = true;
+    this.activityRadius = activityRadius;
+    this.perihelion = this.orbitRadius * (1 - this.eccentricity);
+    this.maxTailLength = tail.maxLength ?? this.orbitRadius * 0.2;
+    this.activity = 0;
+    this.comaIntensity = this.atmosphereMesh ? this.atmosphereMesh.material.uniforms.uIntensity.value : 0;
+
+    this.dustTail = new THREE.Mesh(createTailGeometry(), createTailMaterial(tail.dustColor ?? 0xfff2d0));
+    this.ionTail = new THREE.Mesh(createTailGeometry(), createTailMaterial(tail.ionColor ?? 0x7fb8ff));
+    [this.dustTail, this.ionTail].forEach((mesh) => {
+      mesh.visible = false;
+      mesh.renderOrder = 3;
+      this.bodyGroup.add(mesh);
+    });
+
+    // Ориентация плоскости орбиты (Ry(Ω) · Rx(i) · Ry(ω)) не меняется — считаем один раз
+    this.orbitQuaternion = new THREE.Quaternion()
+      .setFromAxisAngle(UP, this.ascendingNode)
+      .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), this.inclination))
+      .multiply(new THREE.Quaternion().setFromAxisAngle(UP, this.argPeriapsis));
+    this.inverseOrbitQuaternion = this.orbitQuaternion.clone().invert();
+    this.velocityDir = new THREE.Vector3(0, 0, 1);
+    this._worldPos = new THREE.Vector3();
+    this._antiSun = new THREE.Vector3();
+    this._dustDir = new THREE.Vector3();
+  }
+
+  update(deltaSeconds) {
+    super.update(deltaSeconds);
+    // Направление скорости в плоскости орбиты: d/dE (a(cos E − e), b sin E)
+    const a = this.orbitRadius;
+    const b = a * Math.sqrt(Math.max(0, 1 - this.eccentricity * this.eccentricity));
+    const cosE = this.bodyGroup.position.x / a + this.eccentricity;
+    const sinE = b > 0 ? this.bodyGroup.position.z / b : 0;
+    this.velocityDir.set(-a * sinE, 0, b * cosE).normalize();
+  }
+
+  // Позиция звезды нужна и атмосфере (коме), и хвостам
+  setLightPosition(lightPosition, sunRadius) {
+    super.setLightPosition(lightPosition, sunRadius);
+
+    // Мировая позиция ядра без updateMatrixWorld: фокус + повёрнутая точка эллипса
+    this._worldPos.copy(this.bodyGroup.position).applyQuaternion(this.orbitQuaternion).add(this.pivot.position);
+    this._antiSun.subVectors(this._worldPos, lightPosition);
+    const distance = this._antiSun.length();
+    this._antiSun.divideScalar(Math.max(distance, 1e-6)).applyQuaternion(this.inverseOrbitQuaternion);
+
+    const span = Math.max(1, this.activityRadius - this.perihelion);
+    this.activity = THREE.MathUtils.clamp((this.activityRadius - distance) / span, 0, 1);
+    const visible = this.activity > 0;
+    this.dustTail.visible = visible;
+    this.ionTail.visible = visible;
+    if (this.atmosphereMesh) {
+      this.atmosphereMesh.material.uniforms.uIntensity.value = this.comaIntensity * this.activity;
+    }
+    if (!visible) return;
+
+    const length = this.maxTailLength * Math.pow(this.activity, 0.7);
+    // Ионный хвост — ровно от звезды, узкий и голубой
+    this.ionTail.quaternion.setFromUnitVectors(UP, this._antiSun);
+    this.ionTail.scale.set(length * 0.03, length, length * 0.03);
+    this.ionTail.material.uniforms.uBrightness.value = 0.9 * this.activity;
+    // Пылевой хвост шире, короче и изогнут назад по орбите
+    this._dustDir.copy(this._antiSun).addScaledVector(this.velocityDir, -0.35).normalize();
+    this.dustTail.quaternion.setFromUnitVectors(UP, this._dustDir);
+    this.dustTail.scale.set(length * 0.12, length * 0.7, length * 0.12);
+    this.dustTail.material.uniforms.uBrightness.value = 0.6 * this.activity;
+  }
+}
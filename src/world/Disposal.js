@@ -0,0 +1,30 @@
+// Освобождение ресурсов GPU при смене системы: геометрии, материалы и их текстуры — и из свойств
+// материала (map, normalMap…), и из uniform-ов ShaderMaterial. Текстуры с userData.shared
+// (общие для нескольких объектов и систем, как точка звезды) остаются.
+
+function collectTextures(material, textures) {
+  Object.values(material).forEach((value) => {
+    if (value?.isTexture) textures.add(value);
+  });
+  Object.values(material.uniforms ?? {}).forEach((uniform) => {
+    if (uniform?.value?.isTexture) textures.add(uniform.value);
+  });
+}
+
+// Поддерево root снимается со сцены, всё, что в нём рисуется, освобождается
+export function disposeObject(root) {
+  const textures = new Set();
+  root.traverse((object) => {
+    object.geometry?.dispose();
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.filter(Boolean).forEach((material) => {
+      collectTextures(material, textures);
+      material.dispose();
+    });
+    if (object.isLight) object.dispose();
+  });
+  textures.forEach((texture) => {
+    if (!texture.userData.shared) texture.dispose();
+  });
+  root.removeFromParent();
+}
@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+// Карта теней точечного света бесполезна на масштабах орбит (far камеры теней — тысяча единиц,
+// а орбиты — сотни тысяч), поэтому тени тел считаются в шейдерах аналитически: какая доля
+// диска звезды закрыта сферами-заслонками. Полутень получается сама — из углового размера звезды.
+
+export const MAX_OCCLUDERS = 16;
+
+// Заслонки общие для всех материалов: каждый кадр выбираются тела, чья тень на других телах глубже всего
+export const eclipseUniforms = {
+  uOccluders: { value: Array.from({ length: MAX_OCCLUDERS }, () => new THREE.Vector4()) },
+  uOccluderCount: { value: 0 },
+};
+
+/**
+ * eclipseLight(point, toSpace, sunPosition, sunRadius) — доля видимого диска звезды (0..1).
+ * point и sunPosition — в одной системе координат, toSpace переводит в неё мировые центры
+ * заслонок (viewMatrix для стандартных материалов, mat4(1.0) для мировых координат).
+ */
+export const ECLIPSE_CHUNK = `
+  #define MAX_OCCLUDERS ${MAX_OCCLUDERS}
+  uniform vec4 uOccluders[MAX_OCCLUDERS]; // xyz — центр в мире, w — радиус
+  uniform int uOccluderCount;
+
+  // Площадь пересечения кругов радиусов r1 и r2 с центрами на расстоянии d
+  float circleOverlap(float r1, float r2, float d) {
+    if (d >= r1 + r2) return 0.0;
+    if (d <= abs(r1 - r2)) {
+      float r = min(r1, r2);
+      return 3.14159265359 * r * r;
+    }
+    float a = r1 * r1 * acos(clamp((d * d + r1 * r1 - r2 * r2) / (2.0 * d * r1), -1.0, 1.0));
+    float b = r2 * r2 * acos(clamp((d * d + r2 * r2 - r1 * r1) / (2.0 * d * r2), -1.0, 1.0));
+    float c = 0.5 * sqrt(max((-d + r1 + r2) * (d + r1 - r2) * (d - r1 + r2) * (d + r1 + r2), 0.0));
+    return a + b - c;
+  }
+
+  float eclipseLight(vec3 point, mat4 toSpace, vec3 sunPosition, float sunRadius) {
+    vec3 toSun = sunPosition - point;
+    float sunDistance = length(toSun);
+    vec3 sunDir = toSun / sunDistance;
+    // Звезда не меньше ~0.05° — иначе тень с бритвенным краем мерцает на пикселях
+    float sunAngle = max(asin(clamp(sunRadius / sunDistance, 0.0, 1.0)), 0.001);
+    float sunArea = 3.14159265359 * sunAngle * sunAngle;
+    float light = 1.0;
+    for (int i = 0; i < MAX_OCCLUDERS; i++) {
+      if (i >= uOccluderCount) break;
+      vec3 toBody = (toSpace * vec4(uOccluders[i].xyz, 1.0)).xyz - point;
+      float bodyDistance = length(toBody);
+      float radius = uOccluders[i].w;
+      // Своё тело (поверхность, рельеф, облака) и тела дальше звезды не затмевают
+      if (bodyDistance < radius * 1.05 || bodyDistance > sunDistance) continue;
+      vec3 bodyDir = toBody / bodyDistance;
+      float bodyAngle = asin(clamp(radius / bodyDistance, 0.0, 1.0));
+      // Угол через atan(|a×b|, a·b) — точнее acos для малых углов
+      float separation = atan(length(cross(bodyDir, sunDir)), dot(bodyDir, sunDir));
+      light *= 1.0 - min(circleOverlap(sunAngle, bodyAngle, separation) / sunArea, 1.0);
+    }
+    return light;
+  }
+`;
+
+const tmpCenter = new THREE.Vector3();
+const tmpSun = new THREE.Vector3();
+const tmpOffset = new THREE.Vector3();
+
+// Какую долю диска звезды заслонка может закрыть на теле-приёмнике: угловой размер заслонки
+// (радиус на расстояние до приёмника вдоль направления на звезду) к угловому размеру звезды.
+// 0 — тень мимо: заслонка не между приёмником и звездой или конус полутени его не задевает
+function shadowStrength(caster, receiver) {
+  tmpSun.copy(receiver.sunPosition).sub(receiver.center);
+  const sunDistance = tmpSun.length();
+  if (sunDistance < 1e-6) return 0;
+  tmpSun.divideScalar(sunDistance);
+  tmpOffset.copy(caster.center).sub(receiver.center);
+  const along = tmpOffset.dot(tmpSun);
+  if (along <= 0 || along >= sunDistance) return 0;
+  // Тот же нижний предел углового размера звезды, что и в eclipseLight
+  const sunAngle = Math.max(Math.asin(Math.min(receiver.sunRadius / sunDistance, 1)), 0.001);
+  const lateral = tmpOffset.addScaledVector(tmpSun, -along).length();
+  if (lateral > receiver.extent + caster.radius + along * sunAngle) return 0;
+  return Math.min(caster.radius / along / sunAngle, 1);
+}
+
+// Раз в кадр, после setLightPosition: bodies — Planet (планеты, спутники, кометы…).
+// Заслонки ранжируются по самой глубокой тени, которую они отбрасывают на освещённые тела,
+// а не по размеру в кадре: маленький спутник у своей планеты важнее далёкого гиганта
+export function updateEclipseOccluders(bodies) {
+  const entries = bodies.map((body) => {
+    body.bodyGroup.updateWorldMatrix(true, false);
+    const center = tmpCenter.setFromMatrixPosition(body.bodyGroup.matrixWorld).clone();
+    return {
+      center,
+      radius: body.radius,
+      // Приёмник — вместе с кольцом: тень планеты на собственное кольцо тоже нужна
+      extent: Math.max(body.radius, body.ring ? body.ring.outerRadius : 0),
+      sunPosition: body.surfaceUniforms.uSunPosition.value,
+      sunRadius: body.surfaceUniforms.uSunRadius.value,
+      importance: 0,
+    };
+  });
+  entries.forEach((caster) => {
+    entries.forEach((receiver) => {
+      if (receiver !== caster) caster.importance = Math.max(caster.importance, shadowStrength(caster, receiver));
+    });
+  });
+  const casters = entries.filter((entry) => entry.importance > 0).sort((a, b) => b.importance - a.importance);
+  const count = Math.min(casters.length, MAX_OCCLUDERS);
+  for (let i = 0; i < count; i += 1) {
+    const { center, radius } = casters[i];
+    eclipseUniforms.uOccluders.value[i].set(center.x, center.y, center.z, radius);
+  }
+  eclipseUniforms.uOccluderCount.value = count;
+}
@@ -0,0 +1,88 @@
+// Галактика: тысячи звёзд с плотностью диска и спиральных рукавов. Координаты — в световых годах,
+// плоскость диска — XZ. Сид системы каждой звезды выводится из её положения, поэтому звезда
+// и её система одинаковы у всех, кто открыл ту же галактику.
+import { makeRandUtils, makeRng, stringToSeed } from './SystemGenerator.js';
+
+export const DEFAULT_GALAXY_SEED = 'home';
+export const GALAXY_STAR_COUNT = 6000;
+
+const DISK_RADIUS = 50000;
+const DISK_SCALE_LENGTH = 12000; // экспоненциальный профиль плотности диска
+const DISK_SCALE_HEIGHT = 900;
+const BULGE_RADIUS = 4000;
+const BULGE_FRACTION = 0.12;
+
+// Нормальное распределение (Бокс — Мюллер)
+function gaussian(rand) {
+  const u = Math.max(1e-12, rand(0, 1));
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand(0, 1));
+}
+
+// Сид системы из положения звезды (с точностью до светового года)
+export function systemSeedFromPosition(galaxySeed, { x, y, z }) {
+  return `${galaxySeed}/${Math.round(x)}/${Math.round(y)}/${Math.round(z)}`;
+}
+
+// Плотность рукавов: логарифмические спирали, между рукавами звёзд меньше, но не ноль
+function armDensity(r, theta, { arms, pitch, phase }) {
+  const spiralAngle = Math.log(Math.max(r, 1) / BULGE_RADIUS) / Math.tan(pitch);
+  const wave = Math.cos(arms * (theta - spiralAngle - phase));
+  return 0.25 + 0.75 * Math.pow((wave + 1) / 2, 4);
+}
+
+export function generateGalaxy(seed = DEFAULT_GALAXY_SEED, { count = GALAXY_STAR_COUNT } = {}) {
+  const { rand, randInt } = makeRandUtils(makeRng(stringToSeed(`galaxy:${seed}`)));
+  const shape = {
+    arms: randInt(2, 4),
+    pitch: rand(0.2, 0.35), // угол закрутки рукавов (радианы)
+    phase: rand(0, Math.PI * 2),
+  };
+
+  const stars = [];
+  while (stars.length < count) {
+    let x;
+    let y;
+    let z;
+    if (rand(0, 1) < BULGE_FRACTION) {
+      // Балдж — сферическое облако в центре
+      x = gaussian(rand) * BULGE_RADIUS * 0.5;
+      y = gaussian(rand) * BULGE_RADIUS * 0.35;
+      z = gaussian(rand) * BULGE_RADIUS * 0.5;
+    } else {
+      const r = -DISK_SCALE_LENGTH * Math.log(Math.max(1e-12, rand(0, 1)));
+      if (r > DISK_RADIUS) continue;
+      const theta = rand(0, Math.PI * 2);
+      // Отбор по плотности рукавов
+      if (rand(0, 1) > armDensity(r, theta, shape)) continue;
+      x = r * Math.cos(theta);
+      z = r * Math.sin(theta);
+      // Диск тоньше к краю
+      y = gaussian(rand) * DISK_SCALE_HEIGHT * (0.5 + 0.5 * Math.exp(-r / DISK_SCALE_LENGTH));
+    }
+    const position = { x, y, z };
+    stars.push({ index: stars.length, position, systemSeed: systemSeedFromPosition(seed, position) });
+  }
+
+  return { seed, ...shape, stars };
+}
+
+// Звезда галактики, на месте которой показываем систему с произвольным сидом
+export function homeStarIndex(galaxy, systemSeed) {
+  return stringToSeed(String(systemSeed)) % galaxy.stars.length;
+}
+
+// Ближайшие соседи звезды: расстояние и единичное направление на небе
+export function nearestStars(galaxy, index, limit = 150) {
+  const origin = galaxy.stars[index].position;
+  return galaxy.stars
+    .filter((star) => star.index !== index)
+    .map((star) => {
+      const dx = star.position.x - origin.x;
+      const dy = star.position.y - origin.y;
+      const dz = star.position.z - origin.z;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      return { star, distance, direction: { x: dx / distance, y: dy / distance, z: dz / distance } };
+    })
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
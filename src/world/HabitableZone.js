@@ -0,0 +1,47 @@
+import * as THREE from 'three';
+import { disposeObject } from './Disposal.js';
+
+/**
+ * Зона обитаемости как полупрозрачное кольцо в плоскости орбит.
+ * Центр — звезда или барицентр пары, поэтому позицию переносим каждый кадр.
+ */
+export default class HabitableZone {
+  constructor({
+    barycenter = 'A',
+    innerRadius = 10,
+    outerRadius = 20,
+    color = 0x33ff88,
+    opacity = 0.08,
+  } = {}) {
+    this.barycenter = barycenter;
+
+    const geometry = new THREE.RingGeometry(innerRadius, outerRadius, 256, 1);
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.rotation.x = Math.PI / 2; // в плоскости XZ, как и орбиты
+    this.mesh.renderOrder = -2;
+    this.mesh.visible = false;
+  }
+
+  addTo(scene) {
+    scene.add(this.mesh);
+  }
+
+  dispose() {
+    disposeObject(this.mesh);
+  }
+
+  setOrigin(origin) {
+    this.mesh.position.copy(origin);
+  }
+
+  setVisible(flag) {
+    this.mesh.visible = flag;
+  }
+}
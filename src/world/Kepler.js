@@ -0,0 +1,63 @@
+// Общая механика Кеплера для планет, звёзд и барицентров
+
+// Решаем уравнение Кеплера: M = E - e sin E (Ньютон).
+// Для вытянутых орбит (кометы, e до 0.99) шагов нужно больше — выходим, как только сошлось.
+export function solveKepler(meanAnomaly, eccentricity, iterations = 16) {
+  const M = meanAnomaly;
+  let E = eccentricity < 0.8 ? M : Math.PI;
+  for (let i = 0; i < iterations; i += 1) {
+    const f = E - eccentricity * Math.sin(E) - M;
+    const f1 = 1 - eccentricity * Math.cos(E);
+    const step = f / f1;
+    E -= step;
+    if (Math.abs(step) < 1e-9) break;
+  }
+  return E;
+}
+
+// Нормализация угла в [0, 2π)
+export function wrapAngle(angle) {
+  return (angle % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+}
+
+/**
+ * Положение тела относительно фокуса орбиты.
+ * Порядок поворотов тот же, что у групп Planet: Ry(Ω) · Rx(i) · Ry(ω).
+ */
+export function keplerPosition({
+  semiMajorAxis,
+  eccentricity = 0,
+  inclination = 0,
+  ascendingNode = 0,
+  argPeriapsis = 0,
+}, meanAnomaly, target) {
+  const E = solveKepler(meanAnomaly, eccentricity);
+  const a = semiMajorAxis;
+  const b = a * Math.sqrt(Math.max(0, 1 - eccentricity * eccentricity));
+  let x = a * (Math.cos(E) - eccentricity);
+  let y = 0;
+  let z = b * Math.sin(E);
+
+  // Перицентр (вокруг Y)
+  let c = Math.cos(argPeriapsis);
+  let s = Math.sin(argPeriapsis);
+  [x, z] = [x * c + z * s, -x * s + z * c];
+  // Наклон (вокруг X)
+  c = Math.cos(inclination);
+  s = Math.sin(inclination);
+  [y, z] = [y * c - z * s, y * s + z * c];
+  // Восходящий узел (вокруг Y)
+  c = Math.cos(ascendingNode);
+  s = Math.sin(ascendingNode);
+  [x, z] = [x * c + z * s, -x * s + z * c];
+
+  return target.set(x, y, z);
+}
+
+// Масштаб гравитационного параметра: a = 50 000, M = 1 M☉ -> n ≈ 0.054 рад/с игрового времени
+const GRAVITY_SCALE = 6e5;
+
+// Среднее движение по третьему закону Кеплера: n = k·√(M / a³), M — в массах Солнца
+export function meanMotion(semiMajorAxis, centralMass = 1) {
+  return GRAVITY_SCALE * Math.sqrt(centralMass / Math.pow(Math.max(1, semiMajorAxis), 3));
+}
@@ -0,0 +1,148 @@
+// Имена тел системы: символьные марковские цепи, обученные на корпусах из nameCorpora.js.
+// Система получает один «язык», поэтому её имена звучат похоже друг на друга и непохоже
+// на соседние системы. Внутри системы имена не повторяются.
+import corpora from './nameCorpora.js';
+
+export const NAME_STYLES = Object.keys(corpora);
+
+const ORDER = 2; // длина контекста цепи (в буквах)
+const START = '^';
+const END = '$';
+const MIN_LENGTH = 4;
+const MAX_LENGTH = 10;
+const MAX_ATTEMPTS = 40;
+
+// Обученные модели: корпуса неизменны, обучаем каждую один раз
+const models = new Map();
+
+// Контекст (ORDER предыдущих букв) -> следующие буквы с весами, в порядке первого появления
+function trainModel(words) {
+  const counts = new Map();
+  words.forEach((word) => {
+    const padded = START.repeat(ORDER) + word + END;
+    for (let i = ORDER; i < padded.length; i += 1) {
+      const context = padded.slice(i - ORDER, i);
+      if (!counts.has(context)) counts.set(context, new Map());
+      const next = counts.get(context);
+      next.set(padded[i], (next.get(padded[i]) ?? 0) + 1);
+    }
+  });
+  const model = new Map();
+  counts.forEach((next, context) => {
+    const entries = [...next].map(([char, weight]) => ({ char, weight }));
+    model.set(context, { entries, total: entries.reduce((sum, entry) => sum + entry.weight, 0) });
+  });
+  return model;
+}
+
+function modelFor(style) {
+  if (!models.has(style)) {
+    const words = corpora[style];
+    if (!words) throw new Error(`Неизвестный стиль имён: ${style} (есть: ${NAME_STYLES.join(', ')})`);
+    models.set(style, { model: trainModel(words), words: new Set(words) });
+  }
+  return models.get(style);
+}
+
+// Одно слово из цепи (одна буква — один вызов rand) или null, если длина вне границ
+function sampleWord(model, rand) {
+  let context = START.repeat(ORDER);
+  let word = '';
+  while (word.length <= MAX_LENGTH) {
+    const { entries, total } = model.get(context);
+    let roll = rand(0, total);
+    let char = entries[entries.length - 1].char;
+    for (const entry of entries) {
+      roll -= entry.weight;
+      if (roll < 0) {
+        char = entry.char;
+        break;
+      }
+    }
+    if (char === END) return word.length >= MIN_LENGTH ? word : null;
+    word += char;
+    context = (context + char).slice(-ORDER);
+  }
+  return null;
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Источник уникальных имён для одной системы: namer.next() -> 'Kaedori'
+export function createNamer(style, rand) {
+  const { model, words } = modelFor(style);
+  const used = new Set();
+  return {
+    style,
+    next() {
+      let candidate = null;
+      for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+        const word = sampleWord(model, rand);
+        if (!word) continue;
+        candidate = word;
+        // Слова корпуса не берём — нужны новые имена, а не копии
+        if (!words.has(word) && !used.has(word)) {
+          used.add(word);
+          return capitalize(word);
+        }
+      }
+      // Цепь не дала нового слова: нумеруем последнее удачное
+      const base = candidate ?? corpora[style][0];
+      let n = 2;
+      while (used.has(`${base}-${n}`)) n += 1;
+      used.add(`${base}-${n}`);
+      return capitalize(`${base}-${n}`);
+    },
+  };
+}
+
+const ROMAN_DIGITS = [
+  [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+  [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I'],
+];
+
+export function romanNumeral(n) {
+  let rest = n;
+  let result = '';
+  ROMAN_DIGITS.forEach(([value, digits]) => {
+    while (rest >= value) {
+      result += digits;
+      rest -= value;
+    }
+  });
+  return result;
+}
+
+// Буква планеты по порядку от звезды: b, c, d, … (a — сама звезда); после z — номер
+export function planetLetter(index) {
+  return index < 25 ? String.fromCharCode(98 + index) : String(index + 1);
+}
+
+/**
+ * Каталожные обозначения, как у экзопланет: звезда — имя системы (в кратной — с буквой
+ * компонента), планета — обозначение звезды или пары + буква по удалённости,
+ * спутник — обозначение планеты + римский номер. Пишет поле designation в конфиги.
+ */
+export function assignDesignations({ stars, planets }, systemName) {
+  const single = stars.length === 1;
+  const hostDesignation = (id) => (single ? systemName : `${systemName} ${id}`);
+  stars.forEach((star) => {
+    star.designation = hostDesignation(star.id);
+  });
+
+  const hosts = new Map();
+  planets.forEach((planet) => {
+    if (!hosts.has(planet.barycenter)) hosts.set(planet.barycenter, []);
+    hosts.get(planet.barycenter).push(planet);
+  });
+  hosts.forEach((members, barycenter) => {
+    [...members]
+      .sort((a, b) => a.orbitRadius - b.orbitRadius)
+      .forEach((planet, i) => {
+        planet.designation = `${hostDesignation(barycenter)} ${planetLetter(i)}`;
+        planet.moons.forEach((moon, j) => {
+          moon.designation = `${planet.designation} ${romanNumeral(j + 1)}`;
+        });
+      });
+  });
+}
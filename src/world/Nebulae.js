@@ -1,8 +1,11 @@
 import * as THREE from 'three';
+import { disposeObject } from './Disposal.js';
+import TextureWorkerPool from './TextureWorkerPool.js';
 
 /**
  * Большие туманности как аддитивные спрайты c процедурной текстурой из полупрозрачных «облаков».
  * Держим группу центрированной на камере, чтобы фон казался бесконечным.
+ * Текстуры рисует пул воркеров; туманность появляется, когда готова её текстура.
  */
 export default class Nebulae {
   constructor({
@@ -16,6 +19,7 @@ export default class Nebulae {
 
     this.group = new THREE.Group();
     this.group.matrixAutoUpdate = true;
+    this.disposed = false;
 
     const rng = Nebulae.makeRng(typeof seed === 'number' ? seed : Nebulae.stringToSeed(String(seed)));
 
@@ -28,18 +32,9 @@ export default class Nebulae {
       const hue = (hueBase + rng() * 120 - 60 + i * 15) % 360;
       const saturation = 0.4 + 0.5 * rng();
       const lightness = 0.3 + 0.4 * rng();
-      const texture = Nebulae.createNebulaTexture(1024, rng, hue, saturation, lightness);
-      texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
-      texture.minFilter = THREE.LinearMipmapLinearFilter;
-      texture.magFilter = THREE.LinearFilter;
-      texture.generateMipmaps = true;
-      texture.premultiplyAlpha = false; // отключаем для лучшего контроля альфы
-      texture.colorSpace = THREE.SRGBColorSpace;
-      texture.flipY = false; // избегаем переворота
-      texture.needsUpdate = true;
+      const textureSeed = Math.floor(rng() * 4294967296); // текстуру рисует воркер со своим ГПСЧ
 
       const material = new THREE.MeshBasicMaterial({
-        map: texture,
         color: 0xffffff,
         blending: THREE.AdditiveBlending,
         depthWrite: false,
@@ -68,10 +63,27 @@ export default class Nebulae {
       // Случайная ориентация для большего разнообразия
       mesh.rotation.z = rng() * Math.PI * 2;
 
-
-
       // Убираем поворот к камере - туманности статичны
 
+      mesh.visible = false;
+      TextureWorkerPool.shared()
+        .generate('nebula', 1024, { seed: textureSeed, hue, saturation, lightness }, 'туманности')
+        // Не нарисовалась — туманность не показываем (без текстуры это залитый прямоугольник),
+        // ошибку покажет индикатор загрузки; остальные туманности и слои фона видны
+        .catch(() => null)
+        .then((texture) => {
+          if (!texture) return;
+          // Система сменилась, пока текстура рисовалась
+          if (this.disposed) {
+            texture.dispose();
+            return;
+          }
+          Nebulae.setupTexture(texture);
+          material.map = texture;
+          material.needsUpdate = true;
+          mesh.visible = true;
+        });
+
       this.group.add(mesh);
     }
   }
@@ -106,136 +118,25 @@ export default class Nebulae {
     );
   }
 
-  /**
-   * Рисуем «дымку» из множества мягких кругов с разной прозрачностью и цветом.
-   * Выглядит как приближённая фрактальная туманность, но без тяжёлого шума.
-   */
-  static createNebulaTexture(size, rng, hue, saturation, lightness) {
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    ctx.clearRect(0, 0, size, size);
-
-    const centerX = size / 2;
-    const centerY = size / 2;
-
-    // Слои «тумана»: от крупных размытых к мелким, более неправильной формы
-    const layers = 6 + Math.floor(rng() * 5);
-    for (let l = 0; l < layers; l += 1) {
-      const blobs = 120 + Math.floor(rng() * 100); // меньше блобов для более неправильной формы
-      const layerHue = (hue + (rng() - 0.5) * 40) % 360; // больше вариации цвета
-      const layerSat = Math.min(1, Math.max(0.2, saturation + (rng() - 0.5) * 0.3));
-      const layerLight = Math.min(0.8, Math.max(0.15, lightness + (rng() - 0.5) * 0.3));
-
-      for (let i = 0; i < blobs; i += 1) {
-        // Создаем кластеры вместо равномерного распределения
-        const clusterX = rng() * size;
-        const clusterY = rng() * size;
-        const clusterSpread = size * (0.1 + 0.3 * rng());
-
-        const x = clusterX + (rng() - 0.5) * clusterSpread;
-        const y = clusterY + (rng() - 0.5) * clusterSpread;
-
-        // Более вытянутые и неправильные формы
-        const baseRad = (size * (0.15 + 0.35 * rng())) * (1 - l * 0.08);
-        const radX = baseRad * (0.6 + 0.8 * rng());
-        const radY = baseRad * (0.6 + 0.8 * rng());
-
-        const alpha = 0.005 + 0.015 * rng(); // еще более тонкие
-        const distFromCenter = Math.sqrt((x - centerX) * (x - centerX) + (y - centerY) * (y - centerY)) / (size * 0.5);
-        const centerBias = Math.max(0, 1 - distFromCenter);
-        const a = alpha * (0.3 + 0.7 * rng()) * centerBias;
-
-        // Эллиптический градиент для более реалистичной формы
-        ctx.save();
-        ctx.translate(x, y);
-        ctx.rotate(rng() * Math.PI * 2);
-        ctx.scale(radX / baseRad, radY / baseRad);
-
-        const grd = ctx.createRadialGradient(0, 0, baseRad * 0.02, 0, 0, baseRad);
-        grd.addColorStop(0, `hsla(${layerHue}, ${Math.round(layerSat * 100)}%, ${Math.round(layerLight * 100)}%, ${a})`);
-        grd.addColorStop(0.7, `hsla(${layerHue}, ${Math.round(layerSat * 100)}%, ${Math.round(layerLight * 100)}%, ${a * 0.3})`);
-        grd.addColorStop(1, `hsla(${layerHue}, ${Math.round(layerSat * 100)}%, ${Math.round(layerLight * 100)}%, 0)`);
-        ctx.fillStyle = grd;
-        ctx.beginPath();
-        ctx.arc(0, 0, baseRad, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
-      }
-    }
-
-    // Тонкие яркие области — очень деликатные акценты
-    const cores = 3 + Math.floor(rng() * 4); // меньше ярких областей
-    for (let i = 0; i < cores; i += 1) {
-      const x = size * (0.3 + 0.4 * rng()); // ближе к центру
-      const y = size * (0.3 + 0.4 * rng());
-      const rad = size * (0.05 + 0.08 * rng()); // меньший размер
-
-      // Неправильная форма для ярких областей
-      ctx.save();
-      ctx.translate(x, y);
-      ctx.rotate(rng() * Math.PI * 2);
-      ctx.scale(0.7 + 0.6 * rng(), 0.7 + 0.6 * rng());
-
-      const grd = ctx.createRadialGradient(0, 0, 0, 0, 0, rad);
-      const coreHue = (hue + (rng() - 0.5) * 25) % 360;
-      const coreAlpha = 0.04 + 0.08 * rng(); // еще более тонкие ядра
-      grd.addColorStop(0, `hsla(${coreHue}, ${Math.round(saturation * 100)}%, ${Math.round((lightness + 0.15) * 100)}%, ${coreAlpha})`);
-      grd.addColorStop(0.5, `hsla(${coreHue}, ${Math.round(saturation * 100)}%, ${Math.round((lightness + 0.1) * 100)}%, ${coreAlpha * 0.4})`);
-      grd.addColorStop(1, `hsla(${coreHue}, ${Math.round(saturation * 100)}%, ${Math.round((lightness + 0.1) * 100)}%, 0)`);
-      ctx.fillStyle = grd;
-      ctx.beginPath();
-      ctx.arc(0, 0, rad, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.restore();
-    }
-
-    // Создаем очень мягкую маску с множественными градиентами для полного исчезновения краев
-    ctx.globalCompositeOperation = 'destination-in';
-
-    // Основная круглая маска
-    const mainMask = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, size * 0.5);
-    mainMask.addColorStop(0.0, 'rgba(255,255,255,1)');
-    mainMask.addColorStop(0.3, 'rgba(255,255,255,0.9)');
-    mainMask.addColorStop(0.6, 'rgba(255,255,255,0.5)');
-    mainMask.addColorStop(0.8, 'rgba(255,255,255,0.2)');
-    mainMask.addColorStop(0.95, 'rgba(255,255,255,0.05)');
-    mainMask.addColorStop(1.0, 'rgba(255,255,255,0)');
-
-    ctx.fillStyle = mainMask;
-    ctx.fillRect(0, 0, size, size);
-
-    // Дополнительные случайные мягкие маски для неправильной формы
-    for (let i = 0; i < 3; i++) {
-      const maskX = centerX + (rng() - 0.5) * size * 0.3;
-      const maskY = centerY + (rng() - 0.5) * size * 0.3;
-      const maskRadius = size * (0.3 + 0.4 * rng());
-
-      const softMask = ctx.createRadialGradient(maskX, maskY, 0, maskX, maskY, maskRadius);
-      softMask.addColorStop(0.0, 'rgba(255,255,255,0.8)');
-      softMask.addColorStop(0.5, 'rgba(255,255,255,0.4)');
-      softMask.addColorStop(0.8, 'rgba(255,255,255,0.1)');
-      softMask.addColorStop(1.0, 'rgba(255,255,255,0)');
-
-      ctx.globalCompositeOperation = 'destination-out';
-      ctx.fillStyle = softMask;
-      ctx.fillRect(0, 0, size, size);
-      ctx.globalCompositeOperation = 'destination-in';
-    }
-
-    ctx.globalCompositeOperation = 'source-over';
-
-
-
-    return new THREE.CanvasTexture(canvas);
+  static setupTexture(texture) {
+    texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = true;
+    texture.premultiplyAlpha = false; // отключаем для лучшего контроля альфы
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
   }
 
   addTo(scene) {
     scene.add(this.group);
   }
 
+  dispose() {
+    this.disposed = true;
+    disposeObject(this.group);
+  }
+
   update(camera) {
     if (camera && camera.position) {
       this.group.position.copy(camera.position);
@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+import { disposeObject } from './Disposal.js';
+import Stars from './Stars.js';
+import TextureWorkerPool from './TextureWorkerPool.js';
+
+const LIGHT_YEARS_FORMAT = new Intl.NumberFormat('ru-RU', { maximumFractionDigits: 0 });
+
+/**
+ * Соседние звёзды галактики на фоне неба — в их настоящих направлениях.
+ * Как и Stars, держатся на камере; размер точки — по видимой яркости (L / d²).
+ */
+export default class NeighbourStars {
+  constructor({
+    neighbours = [], // [{ star, distance, direction, preview }] из nearestStars + previewSystem
+    radius = 800,
+  } = {}) {
+    this.neighbours = neighbours;
+    this.group = new THREE.Group();
+    this.group.matrixAutoUpdate = false;
+    this._direction = new THREE.Vector3();
+
+    const count = neighbours.length;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const indices = new Float32Array(count);
+    const color = new THREE.Color();
+    neighbours.forEach(({ direction, distance, preview }, i) => {
+      positions[i * 3 + 0] = direction.x * radius;
+      positions[i * 3 + 1] = direction.y * radius;
+      positions[i * 3 + 2] = direction.z * radius;
+      color.setHex(preview.color);
+      colors[i * 3 + 0] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+      // Видимая звёздная величина в условных единицах: ярче и ближе — крупнее
+      const brightness = Math.log10(preview.luminosity / (distance * distance) * 1e8 + 1);
+      sizes[i] = THREE.MathUtils.clamp(4 + brightness * 3, 4, 14);
+      indices[i] = i;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('starIndex', new THREE.BufferAttribute(indices, 1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        pointTexture: { value: null },
+        highlighted: { value: -1 },
+      },
+      vertexShader: `
+        attribute float size;
+        attribute float starIndex;
+        uniform float highlighted;
+        varying vec3 vColor;
+        void main() {
+          vColor = color;
+          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+          // Звезда под прицелом заметно крупнее
+          gl_PointSize = abs(starIndex - highlighted) < 0.5 ? size * 2.0 : size;
+          gl_Position = projectionMatrix * mvPosition;
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D pointTexture;
+        varying vec3 vColor;
+        void main() {
+          float intensity = texture2D(pointTexture, gl_PointCoord).a;
+          gl_FragColor = vec4(vColor * intensity, intensity);
+        }
+      `,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      vertexColors: true,
+    });
+    material.toneMapped = false;
+
+    this.points = new THREE.Points(geometry, material);
+    this.points.renderOrder = -999; // поверх фоновых звёзд
+    this.points.matrixAutoUpdate = false;
+    this.group.add(this.points);
+
+    // Текстура точки общая со Stars; до неё соседи скрыты
+    this.group.visible = false;
+    Stars.loadDotTexture()
+      .catch(() => TextureWorkerPool.fallbackTexture())
+      .then((texture) => {
+        material.uniforms.pointTexture.value = texture;
+        this.group.visible = true;
+      });
+  }
+
+  addTo(scene) {
+    scene.add(this.group);
+  }
+
+  dispose() {
+    disposeObject(this.group);
+  }
+
+  update(camera) {
+    this.group.position.copy(camera.position);
+    this.group.updateMatrix();
+  }
+
+  // Соседняя звезда ближе всего к направлению взгляда (не дальше maxAngle радиан) или null
+  pick(camera, maxAngle = 0.02) {
+    camera.getWorldDirection(this._direction);
+    let best = null;
+    let bestAngle = maxAngle;
+    this.neighbours.forEach((neighbour, i) => {
+      const { x, y, z } = neighbour.direction;
+      const angle = Math.acos(THREE.MathUtils.clamp(this._direction.x * x + this._direction.y * y + this._direction.z * z, -1, 1));
+      if (angle < bestAngle) {
+        bestAngle = angle;
+        best = i;
+      }
+    });
+    this.points.material.uniforms.highlighted.value = best ?? -1;
+    return best === null ? null : this.neighbours[best];
+  }
+
+  // Подпись для HUD
+  static describe({ star, distance, preview }) {
+    return `Звезда №${star.index} — ${preview.spectralType}, ${LIGHT_YEARS_FORMAT.format(distance)} св. лет (J — прыжок)`;
+  }
+}
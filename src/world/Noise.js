@@ -0,0 +1,335 @@
+// Общая библиотека шума: 3D simplex (Ashima Arts / Stefan Gustavson, MIT), fBm, ridged, billow
+// и искажение области — в двух одинаковых реализациях, на JS и GLSL (NOISE_CHUNK).
+// JS повторяет шейдер до float32-констант, поэтому CPU (рельеф LOD, текстуры холста) и GPU
+// (запекание поверхностей, облака, океан) видят одно и то же поле. Правки — сразу в обе.
+// Сид не хранится в шуме: разные сиды — разные участки одного бесконечного поля (seedOffset).
+// Без three.js — модуль грузит и воркер текстур.
+
+const mod289 = (x) => x - Math.floor(x * (1 / 289)) * 289;
+const permute = (x) => mod289(((x * 34) + 10) * x);
+const taylorInvSqrt = (r) => 1.79284291400159 - 0.85373472095314 * r;
+const fract = (x) => x - Math.floor(x);
+
+// Октав не больше, чем в цикле шейдера
+const MAX_OCTAVES = 8;
+// Сдвиги между октавами и между компонентами искажения — те же, что в NOISE_CHUNK
+const OCTAVE_SHIFT = [1.7, 9.2, 4.1];
+const WARP_SHIFTS = [0, 5.2, 9.7];
+
+// Сдвиг в пространстве шума: разные сиды — разные участки одного бесконечного поля
+export function seedOffset(seed) {
+  return {
+    x: fract(Math.sin(seed * 12.9898 + 1.0) * 43758.5453) * 200 - 100,
+    y: fract(Math.sin(seed * 78.233 + 2.0) * 43758.5453) * 200 - 100,
+    z: fract(Math.sin(seed * 37.719 + 3.0) * 43758.5453) * 200 - 100,
+  };
+}
+
+// Константы градиентов как их видит GPU (float32): 0.142857142857 там чуть больше 1/7,
+// и floor(7 · n) даёт 1, а в double — 0 (градиент вышел бы за допустимый диапазон)
+const NS_Z = Math.fround(0.142857142857);
+const NS_X = Math.fround(NS_Z * 2);
+const NS_Y = Math.fround(NS_Z * 0.5 - 1);
+
+// Вклад одной вершины симплекса (градиент по p из permute, как в шейдере)
+function corner(p, x, y, z) {
+  const j = p - 49 * Math.floor(p * NS_Z * NS_Z);
+  const xs = Math.floor(j * NS_Z);
+  const ys = Math.floor(j - 7 * xs);
+  const gx = xs * NS_X + NS_Y;
+  const gy = ys * NS_X + NS_Y;
+  const h = 1 - Math.abs(gx) - Math.abs(gy);
+  const sh = h <= 0 ? -1 : 0;
+  let px = gx + (Math.floor(gx) * 2 + 1) * sh;
+  let py = gy + (Math.floor(gy) * 2 + 1) * sh;
+  let pz = h;
+  const norm = taylorInvSqrt(px * px + py * py + pz * pz);
+  px *= norm;
+  py *= norm;
+  pz *= norm;
+  let m = Math.max(0.5 - (x * x + y * y + z * z), 0);
+  m *= m;
+  return m * m * (px * x + py * y + pz * z);
+}
+
+// 3D simplex-шум, примерно в [-1, 1]
+export function snoise(vx, vy, vz) {
+  const s = (vx + vy + vz) / 3;
+  let ix = Math.floor(vx + s);
+  let iy = Math.floor(vy + s);
+  let iz = Math.floor(vz + s);
+  const t = (ix + iy + iz) / 6;
+  const x0 = vx - ix + t;
+  const y0 = vy - iy + t;
+  const z0 = vz - iz + t;
+
+  const gx = x0 >= y0 ? 1 : 0;
+  const gy = y0 >= z0 ? 1 : 0;
+  const gz = z0 >= x0 ? 1 : 0;
+  const i1x = Math.min(gx, 1 - gz);
+  const i1y = Math.min(gy, 1 - gx);
+  const i1z = Math.min(gz, 1 - gy);
+  const i2x = Math.max(gx, 1 - gz);
+  const i2y = Math.max(gy, 1 - gx);
+  const i2z = Math.max(gz, 1 - gy);
+
+  ix = mod289(ix);
+  iy = mod289(iy);
+  iz = mod289(iz);
+  const p = (ox, oy, oz) => permute(permute(permute(iz + oz) + iy + oy) + ix + ox);
+
+  return 105 * (
+    corner(p(0, 0, 0), x0, y0, z0)
+    + corner(p(i1x, i1y, i1z), x0 - i1x + 1 / 6, y0 - i1y + 1 / 6, z0 - i1z + 1 / 6)
+    + corner(p(i2x, i2y, i2z), x0 - i2x + 1 / 3, y0 - i2y + 1 / 3, z0 - i2z + 1 / 3)
+    + corner(p(1, 1, 1), x0 - 0.5, y0 - 0.5, z0 - 0.5)
+  );
+}
+
+// Гребень одной октавы: 1 на нулях шума, к краям спадает — трещины, хребты, дороги
+export function ridge(x, y, z) {
+  return 1 - Math.abs(snoise(x, y, z));
+}
+
+// Сумма октав basis(x, y, z) с амплитудами 1/2, 1/4, …
+function octaves(basis, x, y, z, count) {
+  let sum = 0;
+  let amplitude = 0.5;
+  for (let i = 0; i < Math.min(count, MAX_OCTAVES); i += 1) {
+    sum += amplitude * basis(x, y, z);
+    x = x * 2.03 + OCTAVE_SHIFT[0];
+    y = y * 2.03 + OCTAVE_SHIFT[1];
+    z = z * 2.03 + OCTAVE_SHIFT[2];
+    amplitude *= 0.5;
+  }
+  return sum;
+}
+
+// Обычный fBm, примерно в [-1, 1]
+export function fbm(x, y, z, count) {
+  return octaves(snoise, x, y, z, count);
+}
+
+// Ridged fBm: острые гребни (горные хребты, трещины), в [0, 1)
+export function ridged(x, y, z, count) {
+  const n = Math.min(count, MAX_OCTAVES);
+  return octaves((px, py, pz) => ridge(px, py, pz) ** 2, x, y, z, n) / (1 - 0.5 ** n);
+}
+
+// Billow: «клубы» из |шума| — кучевые облака, пыль, примерно в [-1, 1]
+export function billow(x, y, z, count) {
+  return octaves((px, py, pz) => 2 * Math.abs(snoise(px, py, pz)) - 1, x, y, z, count);
+}
+
+// Сдвиг для искажения области: три независимых fBm по три октавы
+export function warpOffset(x, y, z) {
+  return WARP_SHIFTS.map((shift) => fbm(x + shift, y + shift, z + shift, 3));
+}
+
+// fBm в искажённой точке p + strength · warpOffset(p): завихрения, потёки, волокна туманностей
+export function warpedFbm(x, y, z, strength, count) {
+  const [wx, wy, wz] = warpOffset(x, y, z);
+  return fbm(x + wx * strength, y + wy * strength, z + wz * strength, count);
+}
+
+// Хэш целочисленной ячейки -> три числа в [0, 1) (только permute — одинаково на CPU и GPU)
+export function hash33(x, y, z) {
+  const a = permute(permute(permute(mod289(Math.floor(x))) + mod289(Math.floor(y))) + mod289(Math.floor(z)));
+  const b = permute(a + 53);
+  const c = permute(b + 53);
+  return [a / 289, b / 289, c / 289];
+}
+
+// Развёртка uv -> точка единичной сферы, как у SphereGeometry (и sphereDir в шейдере)
+export function sphereDir(u, v) {
+  const phi = u * Math.PI * 2;
+  const theta = (1 - v) * Math.PI;
+  return [-Math.cos(phi) * Math.sin(theta), Math.cos(theta), Math.sin(phi) * Math.sin(theta)];
+}
+
+/**
+ * Равнопромежуточная карта width × height: sample(x, y, z) в точке сферы для центра каждого
+ * пикселя. Строки сверху вниз, как на холсте. Шум берётся на сфере, а не на плоскости,
+ * поэтому нет шва по долготе 0/360 и «воронок» на полюсах. Возвращает Float32Array.
+ */
+export function bakeEquirect(width, height, sample) {
+  const values = new Float32Array(width * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [dx, dy, dz] = sphereDir((x + 0.5) / width, 1 - (y + 0.5) / height);
+      values[y * width + x] = sample(dx, dy, dz);
+    }
+  }
+  return values;
+}
+
+// Направление пикселя грани кубической карты (порядок и оси — как у CubeTexture: +X, -X, +Y, -Y, +Z, -Z)
+const CUBE_FACES = [
+  (s, t) => [1, -t, -s],
+  (s, t) => [-1, -t, s],
+  (s, t) => [s, 1, t],
+  (s, t) => [s, -1, -t],
+  (s, t) => [s, -t, 1],
+  (s, t) => [-s, -t, -1],
+];
+
+// Кубическая карта: шесть граней size × size (Float32Array, строки сверху вниз), sample — по единичному вектору
+export function bakeCubemap(size, sample) {
+  return CUBE_FACES.map((face) => {
+    const values = new Float32Array(size * size);
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        const [fx, fy, fz] = face(((x + 0.5) / size) * 2 - 1, ((y + 0.5) / size) * 2 - 1);
+        const length = Math.hypot(fx, fy, fz);
+        values[y * size + x] = sample(fx / length, fy / length, fz / length);
+      }
+    }
+    return values;
+  });
+}
+
+/**
+ * Шум с сидом: те же функции, но в участке поля по seedOffset(seed).
+ * frequency — масштаб координат (на единичной сфере ~ число «пятен» по окружности / 2π).
+ */
+export function createNoise(seed, { frequency = 1 } = {}) {
+  const offset = seedOffset(seed);
+  const at = (fn) => (x, y, z, ...rest) => fn(
+    x * frequency + offset.x,
+    y * frequency + offset.y,
+    z * frequency + offset.z,
+    ...rest,
+  );
+  return {
+    offset,
+    snoise: at(snoise),
+    fbm: at(fbm),
+    ridged: at(ridged),
+    billow: at(billow),
+    warpedFbm: at(warpedFbm),
+  };
+}
+
+// Тот же шум в GLSL; подключается в шейдеры запекания и материалов как есть
+export const NOISE_CHUNK = `
+  vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+  vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+  vec4 permute(vec4 x) { return mod289(((x * 34.0) + 10.0) * x); }
+  vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+  float snoise(vec3 v) {
+    const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+    const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+    vec3 i = floor(v + dot(v, C.yyy));
+    vec3 x0 = v - i + dot(i, C.xxx);
+    vec3 g = step(x0.yzx, x0.xyz);
+    vec3 l = 1.0 - g;
+    vec3 i1 = min(g.xyz, l.zxy);
+    vec3 i2 = max(g.xyz, l.zxy);
+    vec3 x1 = x0 - i1 + C.xxx;
+    vec3 x2 = x0 - i2 + C.yyy;
+    vec3 x3 = x0 - D.yyy;
+    i = mod289(i);
+    vec4 p = permute(permute(permute(
+        i.z + vec4(0.0, i1.z, i2.z, 1.0))
+      + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+      + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+    float n_ = 0.142857142857;
+    vec3 ns = n_ * D.wyz - D.xzx;
+    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+    vec4 x_ = floor(j * ns.z);
+    vec4 y_ = floor(j - 7.0 * x_);
+    vec4 x = x_ * ns.x + ns.yyyy;
+    vec4 y = y_ * ns.x + ns.yyyy;
+    vec4 h = 1.0 - abs(x) - abs(y);
+    vec4 b0 = vec4(x.xy, y.xy);
+    vec4 b1 = vec4(x.zw, y.zw);
+    vec4 s0 = floor(b0) * 2.0 + 1.0;
+    vec4 s1 = floor(b1) * 2.0 + 1.0;
+    vec4 sh = -step(h, vec4(0.0));
+    vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+    vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+    vec3 p0 = vec3(a0.xy, h.x);
+    vec3 p1 = vec3(a0.zw, h.y);
+    vec3 p2 = vec3(a1.xy, h.z);
+    vec3 p3 = vec3(a1.zw, h.w);
+    vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+    p0 *= norm.x;
+    p1 *= norm.y;
+    p2 *= norm.z;
+    p3 *= norm.w;
+    vec4 m = max(0.5 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+    m = m * m;
+    return 105.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+  }
+
+  float ridge(vec3 p) { return 1.0 - abs(snoise(p)); }
+
+  // Сумма октав, результат примерно в [-1, 1]
+  float fbm(vec3 p, int octaves) {
+    float sum = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < ${MAX_OCTAVES}; i++) {
+      if (i >= octaves) break;
+      sum += amplitude * snoise(p);
+      p = p * 2.03 + vec3(${OCTAVE_SHIFT.join(', ')});
+      amplitude *= 0.5;
+    }
+    return sum;
+  }
+
+  // Острые гребни, в [0, 1)
+  float ridged(vec3 p, int octaves) {
+    float sum = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < ${MAX_OCTAVES}; i++) {
+      if (i >= octaves) break;
+      float r = ridge(p);
+      sum += amplitude * r * r;
+      p = p * 2.03 + vec3(${OCTAVE_SHIFT.join(', ')});
+      amplitude *= 0.5;
+    }
+    return sum / (1.0 - amplitude * 2.0);
+  }
+
+  // «Клубы» из |шума|, примерно в [-1, 1]
+  float billow(vec3 p, int octaves) {
+    float sum = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < ${MAX_OCTAVES}; i++) {
+      if (i >= octaves) break;
+      sum += amplitude * (2.0 * abs(snoise(p)) - 1.0);
+      p = p * 2.03 + vec3(${OCTAVE_SHIFT.join(', ')});
+      amplitude *= 0.5;
+    }
+    return sum;
+  }
+
+  vec3 warpOffset(vec3 p) {
+    return vec3(${WARP_SHIFTS.map((shift) => `fbm(p + ${shift.toFixed(1)}, 3)`).join(', ')});
+  }
+
+  float warpedFbm(vec3 p, float strength, int octaves) {
+    return fbm(p + warpOffset(p) * strength, octaves);
+  }
+
+  float mod289(float x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+  float permute(float x) { return mod289(((x * 34.0) + 10.0) * x); }
+
+  // Хэш целочисленной ячейки -> три числа в [0, 1). Только permute (без sin),
+  // поэтому на CPU (hash33 выше) получается ровно то же самое
+  vec3 hash33(vec3 p) {
+    vec3 c = mod289(floor(p));
+    float a = permute(permute(permute(c.x) + c.y) + c.z);
+    float b = permute(a + 53.0);
+    float d = permute(b + 53.0);
+    return vec3(a, b, d) / 289.0;
+  }
+
+  // Развёртка uv -> точка единичной сферы, как у SphereGeometry: шум непрерывен через шов и полюса
+  vec3 sphereDir(vec2 uv) {
+    float phi = uv.x * 6.28318530718;
+    float theta = (1.0 - uv.y) * 3.14159265359;
+    return vec3(-cos(phi) * sin(theta), cos(theta), sin(phi) * sin(theta));
+  }
+`;
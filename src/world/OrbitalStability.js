@@ -0,0 +1,175 @@
+// Проверка и исправление устойчивости планетной группы (без случайных чисел — результат детерминирован)
+import { EARTH_MASS_IN_SUNS } from './PlanetPhysics.js';
+
+// Критерий Хилла для пары (Gladman 1993): Δa > 2√3 взаимных радиусов Хилла
+export const HILL_FACTOR = 2 * Math.sqrt(3);
+
+// Резонансы средних движений (отношение периодов внешней к внутренней)
+const RESONANCES = [
+  { label: '2:1', ratio: 2 },
+  { label: '3:2', ratio: 3 / 2 },
+  { label: '5:3', ratio: 5 / 3 },
+  { label: '3:1', ratio: 3 },
+  { label: '4:3', ratio: 4 / 3 },
+];
+// Подписи правил для отчёта в интерфейсе
+const RULE_LABELS = {
+  'hill-spacing': 'разнос по Хиллу',
+  'orbit-crossing': 'пересечение орбит',
+  resonance: 'резонанс',
+  'unstable-removed': 'выброшена',
+};
+// Насколько близко (по отношению периодов) пара должна быть к резонансу, чтобы её «подтянуть»
+const RESONANCE_TOLERANCE = 0.05;
+// Если для развода орбит эксцентриситеты пришлось бы уменьшить сильнее — лучше сдвинуть орбиту
+const MIN_ECCENTRICITY_DAMPING = 0.3;
+
+// Взаимный радиус Хилла: ((m1 + m2) / 3M)^⅓ · (a1 + a2) / 2
+export function mutualHillRadius(inner, outer, centralMass) {
+  const m = (inner.mass + outer.mass) * EARTH_MASS_IN_SUNS;
+  return Math.cbrt(m / (3 * centralMass)) * (inner.orbitRadius + outer.orbitRadius) / 2;
+}
+
+// Ближайшая к inner полуось внешней планеты, при которой разнос ровно 2√3 взаимных радиуса Хилла.
+// Радиус Хилла растёт вместе с полуосью внешней: a2 − a1 = F·k·(a1 + a2)/2, k = (m / 3M)^⅓
+function hillSpacedOrbit(inner, outer, centralMass) {
+  const m = (inner.mass + outer.mass) * EARTH_MASS_IN_SUNS;
+  const half = (HILL_FACTOR * Math.cbrt(m / (3 * centralMass))) / 2;
+  return half < 1 ? inner.orbitRadius * (1 + half) / (1 - half) : Infinity;
+}
+
+// Насколько далеко от своей орбиты «занимает место» планета вместе со спутниками
+export function moonSystemExtent(planet) {
+  return planet.moons.reduce(
+    (extent, moon) => Math.max(extent, moon.orbitRadius * (1 + moon.eccentricity) + moon.radius),
+    planet.radius
+  );
+}
+
+function shiftOutward(planets, fromIndex, distance) {
+  for (let k = fromIndex; k < planets.length; k += 1) {
+    planets[k].orbitRadius += distance;
+  }
+}
+
+// Зазор между апоцентром внутренней и перицентром внешней (со спутниками и запасом margin)
+function pairGap(inner, outer, margin) {
+  const innerApo = inner.orbitRadius * (1 + inner.eccentricity) + moonSystemExtent(inner);
+  const outerPeri = outer.orbitRadius * (1 - outer.eccentricity) - moonSystemExtent(outer);
+  return outerPeri - innerApo - margin;
+}
+
+const pairNames = (inner, outer) => [inner.name, outer.name];
+
+/**
+ * Проходит пары соседних планет изнутри наружу и чинит:
+ *  - hill-spacing: пара ближе 2√3 взаимных радиусов Хилла — внешние орбиты отодвигаются;
+ *  - orbit-crossing: эллипсы (со спутниковыми системами) пересекаются —
+ *    сначала гасим эксцентриситеты, если мало — отодвигаем орбиту;
+ *  - resonance (опция): пара рядом с резонансом средних движений подтягивается в точный резонанс;
+ *  - unstable-removed: планеты, вытолкнутые за внешнюю границу устойчивой зоны, убираются.
+ * Меняет planets на месте (orbitRadius, eccentricity), возвращает оставшиеся планеты и журнал правил.
+ * exactHillSpacing — учитывать, что радиус Хилла растёт при сдвиге внешней орбиты (генератор v6+);
+ * без него сдвиг считается по радиусу до сдвига и пара остаётся чуть ближе 2√3 R_Hill.
+ */
+export function stabilizePlanets(planets, {
+  centralMass = 1,
+  outerLimit = Infinity,
+  resonances = false,
+  exactHillSpacing = true,
+} = {}) {
+  const applied = [];
+  const startOrbits = planets.map((p) => p.orbitRadius);
+
+  for (let i = 0; i < planets.length - 1; i += 1) {
+    const inner = planets[i];
+    const outer = planets[i + 1];
+
+    // 1. Разнос по взаимному радиусу Хилла
+    let hill = mutualHillRadius(inner, outer, centralMass);
+    let minDelta = HILL_FACTOR * hill;
+    const delta = outer.orbitRadius - inner.orbitRadius;
+    if (delta < minDelta) {
+      const shift = exactHillSpacing
+        ? hillSpacedOrbit(inner, outer, centralMass) - outer.orbitRadius
+        : minDelta - delta;
+      shiftOutward(planets, i + 1, shift);
+      applied.push({ rule: 'hill-spacing', planets: pairNames(inner, outer), shift });
+      if (exactHillSpacing) {
+        hill = mutualHillRadius(inner, outer, centralMass);
+        minDelta = HILL_FACTOR * hill;
+      }
+    }
+
+    // 2. Пересечение эллипсов (с запасом в один радиус Хилла)
+    const gap = pairGap(inner, outer, hill);
+    if (gap < 0) {
+      const room = outer.orbitRadius - inner.orbitRadius - moonSystemExtent(inner) - moonSystemExtent(outer) - hill;
+      const eccentricReach = inner.orbitRadius * inner.eccentricity + outer.orbitRadius * outer.eccentricity;
+      const damping = eccentricReach > 0 ? room / eccentricReach : 0;
+      if (damping >= MIN_ECCENTRICITY_DAMPING) {
+        inner.eccentricity *= damping;
+        outer.eccentricity *= damping;
+        applied.push({ rule: 'orbit-crossing', action: 'eccentricity-damped', planets: pairNames(inner, outer), factor: damping });
+      } else {
+        // Гасим сколько допустимо, остаток добираем сдвигом (перицентр смещается на shift·(1 − e))
+        inner.eccentricity *= MIN_ECCENTRICITY_DAMPING;
+        outer.eccentricity *= MIN_ECCENTRICITY_DAMPING;
+        const shift = Math.max(0, -pairGap(inner, outer, hill)) / (1 - outer.eccentricity);
+        shiftOutward(planets, i + 1, shift);
+        applied.push({ rule: 'orbit-crossing', action: 'orbit-shifted', planets: pairNames(inner, outer), factor: MIN_ECCENTRICITY_DAMPING, shift });
+      }
+    }
+
+    // 3. Подтяжка в резонанс средних движений
+    if (resonances) {
+      const periodRatio = Math.pow(outer.orbitRadius / inner.orbitRadius, 1.5);
+      const nearest = RESONANCES.find((r) => Math.abs(periodRatio / r.ratio - 1) < RESONANCE_TOLERANCE);
+      if (nearest) {
+        const target = inner.orbitRadius * Math.pow(nearest.ratio, 2 / 3);
+        const shift = target - outer.orbitRadius;
+        // Внутрь двигаем, только если не нарушим разнос и не пересечём орбиты
+        const spacedOrbit = exactHillSpacing
+          ? hillSpacedOrbit(inner, outer, centralMass)
+          : inner.orbitRadius + minDelta;
+        const keepsSpacing = target >= spacedOrbit
+          && pairGap(inner, outer, hill) + shift * (1 - outer.eccentricity) >= 0;
+        if (shift >= 0 || keepsSpacing) {
+          shiftOutward(planets, i + 1, shift);
+          applied.push({ rule: 'resonance', planets: pairNames(inner, outer), resonance: nearest.label });
+        }
+      }
+    }
+  }
+
+  // 4. Всё, что вытолкнуто за границу устойчивой зоны, убираем
+  const kept = planets.filter((p) => p.orbitRadius * (1 + p.eccentricity) + moonSystemExtent(p) <= outerLimit);
+  planets.filter((p) => !kept.includes(p)).forEach((p) => {
+    applied.push({ rule: 'unstable-removed', planets: [p.name] });
+  });
+
+  // На сколько отодвинулась последняя оставшаяся планета — на столько же растёт размер группы
+  const lastIndex = planets.indexOf(kept[kept.length - 1]);
+  const outwardShift = lastIndex >= 0 ? planets[lastIndex].orbitRadius - startOrbits[lastIndex] : 0;
+  return { planets: kept, applied, outwardShift };
+}
+
+/**
+ * Отчёт о проверке устойчивости (system.stability) для интерфейса: summary — одна строка
+ * со счётчиками правил, details — по строке на каждое срабатывание. null — отчёта нет
+ * (импортированный файл без поля stability).
+ */
+export function describeStability(stability) {
+  if (!stability) return null;
+  const counts = new Map();
+  const details = stability.applied.map((entry) => {
+    const label = RULE_LABELS[entry.rule] ?? entry.rule;
+    counts.set(label, (counts.get(label) ?? 0) + 1);
+    const suffix = entry.resonance ? ` ${entry.resonance}` : '';
+    return `${label}${suffix}: ${entry.planets.join(' — ')}`;
+  });
+  const summary = counts.size > 0
+    ? [...counts].map(([label, count]) => `${label} ×${count}`).join(', ')
+    : 'без правок';
+  return { summary: `устойчивость: ${summary}`, details };
+}
@@ -1,9 +1,323 @@
 import * as THREE from 'three';
-import TextureUtils from './TextureUtils.js';
+import PlanetTextures, { BAKE_VERSION, HEIGHT_PACKING } from './PlanetTextures.js';
+import PlanetTerrain from './PlanetTerrain.js';
+import PlanetRing from './PlanetRing.js';
+import { ECLIPSE_CHUNK, eclipseUniforms } from './Eclipses.js';
+import { disposeObject } from './Disposal.js';
+import { solveKepler, wrapAngle } from './Kepler.js';
+import { NOISE_CHUNK } from './Noise.js';
+import { resolvePlanetType, scatteringFromColor } from './PlanetTypeRegistry.js';
+import { makeRandUtils, makeRng, stringToSeed } from './SystemGenerator.js';
+import './planetTypes/index.js';
+
+// Рельеф включается ближе TERRAIN_ENTER_RADII радиусов и выключается дальше TERRAIN_EXIT_RADII
+const TERRAIN_ENTER_RADII = 5;
+const TERRAIN_EXIT_RADII = 6;
+// Запекаемые текстуры тела — записи AssetCache под ключом `${cacheKey}/${asset}`
+const SURFACE_ASSETS = ['map', 'normalMap', 'heightMap', 'nightLights', 'clouds'];
+const tmpCenter = new THREE.Vector3();
+const tmpVector = new THREE.Vector3();
+const tmpMatrix = new THREE.Matrix4();
+
+// Океан поверх каменистого материала: вода там, где запечённая высота ниже uSeaLevel.
+// Береговая линия берётся из той же карты высот и на сфере, и на патчах LOD-рельефа
+const OCEAN_FRAGMENT_HEADER = `
+  uniform sampler2D uOceanHeight;
+  uniform vec2 uOceanTexel;
+  uniform float uSeaLevel;
+  ${NOISE_CHUNK}
+  ${HEIGHT_PACKING}
+
+  const vec3 OCEAN_DEEP = vec3(0.004, 0.02, 0.06);
+  const vec3 OCEAN_SHALLOW = vec3(0.02, 0.22, 0.26);
+  const float WAVE_FREQUENCY = 160.0;
+
+  // Карта высот упакована и читается без фильтрации — билинейную интерполяцию делаем сами,
+  // иначе берег из пикселей-ступенек
+  float oceanHeightAt(vec2 uv) {
+    vec2 st = uv / uOceanTexel - 0.5;
+    vec2 f = fract(st);
+    vec2 base = (floor(st) + 0.5) * uOceanTexel;
+    float h00 = unpackHeight(texture2D(uOceanHeight, base));
+    float h10 = unpackHeight(texture2D(uOceanHeight, base + vec2(uOceanTexel.x, 0.0)));
+    float h01 = unpackHeight(texture2D(uOceanHeight, base + vec2(0.0, uOceanTexel.y)));
+    float h11 = unpackHeight(texture2D(uOceanHeight, base + uOceanTexel));
+    return mix(mix(h00, h10, f.x), mix(h01, h11, f.x), f.y);
+  }
+
+  // Два слоя ряби, бегущие в разные стороны
+  float waveHeight(vec3 p) {
+    return snoise(p + vec3(uTime * 0.35, 0.0, uTime * 0.2))
+      + 0.5 * snoise(p * 2.3 - vec3(0.0, uTime * 0.3, uTime * 0.45));
+  }
+
+  // Нормаль волн в касательном базисе развёртки (T — на восток, B — на север), как у normalMap
+  vec3 oceanWaveNormal(vec2 uv) {
+    float phi = uv.x * 6.28318530718;
+    float theta = (1.0 - uv.y) * 3.14159265359;
+    vec3 dir = vec3(-cos(phi) * sin(theta), cos(theta), sin(phi) * sin(theta));
+    vec3 east = vec3(sin(phi), 0.0, cos(phi));
+    vec3 north = vec3(cos(phi) * cos(theta), sin(theta), -sin(phi) * cos(theta));
+    // Рябь мельче пикселя только мерцает — гасим её с расстоянием
+    float footprint = length(fwidth(dir)) * WAVE_FREQUENCY;
+    float strength = 0.12 * (1.0 - smoothstep(0.15, 0.8, footprint));
+    if (strength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 p = dir * WAVE_FREQUENCY;
+    const float eps = 0.05;
+    float dEast = (waveHeight(p + east * eps) - waveHeight(p - east * eps)) / (2.0 * eps);
+    float dNorth = (waveHeight(p + north * eps) - waveHeight(p - north * eps)) / (2.0 * eps);
+    return normalize(vec3(-dEast * strength, -dNorth * strength, 1.0));
+  }
+`;
+
+// Вода с мелководьем: чем глубже, тем темнее, на мелководье просвечивает дно
+const OCEAN_COLOR_CHUNK = `
+  float oceanDepth = uSeaLevel - oceanHeightAt(vMapUv);
+  float coastWidth = max(fwidth(oceanDepth), 1e-4);
+  float water = smoothstep(-coastWidth, coastWidth, oceanDepth);
+  float shallows = 1.0 - smoothstep(0.0, 0.03, oceanDepth);
+  vec3 waterColor = mix(OCEAN_DEEP, OCEAN_SHALLOW, shallows);
+  waterColor = mix(waterColor, diffuseColor.rgb * OCEAN_SHALLOW * 4.0, shallows * shallows * 0.5);
+  diffuseColor.rgb = mix(diffuseColor.rgb, waterColor, water);
+`;
+
+// Блик солнца и отражение неба по Френелю — только на дневной стороне
+const OCEAN_GLINT_CHUNK = `
+  if (water > 0.0) {
+    vec3 sunView = (viewMatrix * vec4(uSunPosition, 1.0)).xyz;
+    vec3 toSun = normalize(sunView + vViewPosition);
+    vec3 toEye = normalize(vViewPosition);
+    vec3 halfway = normalize(toSun + toEye);
+    float fresnel = 0.02 + 0.98 * pow(1.0 - max(dot(normal, toEye), 0.0), 5.0);
+    float glint = pow(max(dot(normal, halfway), 0.0), 400.0) * mix(0.3, 1.0, fresnel) * 4.0;
+    float daylight = smoothstep(-0.05, 0.15, dot(nonPerturbedNormal, toSun));
+    totalEmissiveRadiance += water * daylight * eclipse * (vec3(1.0, 0.95, 0.85) * glint + vec3(0.25, 0.4, 0.6) * fresnel * 0.3);
+  }
+`;
+
+// Общие uniform-ы правок поверхности: время анимаций (волны, течения), мировая позиция и радиус звезды
+const SURFACE_UNIFORMS_HEADER = `
+  uniform float uTime;
+  uniform vec3 uSunPosition;
+  uniform float uSunRadius;
+`;
+
+// Затмения: прямой свет гасится долей закрытого диска звезды (см. Eclipses.js).
+// eclipse считается до emissive — им пользуются и другие правки (блик океана)
+const ECLIPSE_FACTOR_CHUNK = `
+  float eclipse = eclipseLight(-vViewPosition, viewMatrix, (viewMatrix * vec4(uSunPosition, 1.0)).xyz, uSunRadius);
+`;
+
+// Гасится весь прямой свет: в кратных системах это приближение — затмение считается для своей звезды
+const ECLIPSE_LIGHT_CHUNK = `
+  reflectedLight.directDiffuse *= eclipse;
+  reflectedLight.directSpecular *= eclipse;
+`;
+
+// Течения газового гиганта: карта сдвигается вдоль струй по широте и по вихрям.
+// Два сдвига в противофазе сменяют друг друга — поверхность «кипит», но полосы не размазываются
+const GAS_FLOW_HEADER = `
+  ${NOISE_CHUNK}
+  const float FLOW_PERIOD = 40.0; // секунд на цикл сдвига
+
+  vec2 gasFlow(vec2 uv) {
+    vec3 dir = sphereDir(uv);
+    float jets = sin(uv.y * 3.14159265359 * 14.0);
+    return vec2(
+      0.006 * jets + 0.003 * snoise(dir * 3.0),
+      0.002 * snoise(dir * 3.0 + 17.0)
+    );
+  }
+`;
+
+const GAS_FLOW_CHUNK = `
+  vec2 flow = gasFlow(vMapUv);
+  float flowPhase = fract(uTime / FLOW_PERIOD);
+  float flowPhase2 = fract(uTime / FLOW_PERIOD + 0.5);
+  vec4 flowA = texture2D(map, vMapUv - flow * flowPhase);
+  vec4 flowB = texture2D(map, vMapUv - flow * flowPhase2);
+  diffuseColor = vec4(diffuse, opacity) * mix(flowA, flowB, abs(1.0 - 2.0 * flowPhase));
+`;
+
+// Тень облаков на поверхности: точку облачного слоя ищем со сдвигом к солнцу
+// и переводим в систему облачной сферы (она вращается со своей скоростью)
+const CLOUD_SHADOW_HEADER = `
+  uniform sampler2D uCloudMap;
+  uniform mat3 uCloudMatrix;
+  uniform vec3 uSunLocal;
+  uniform float uCloudAltitude;
+`;
+
+const CLOUD_SHADOW_CHUNK = `
+  {
+    float phi = vMapUv.x * 6.28318530718;
+    float theta = (1.0 - vMapUv.y) * 3.14159265359;
+    vec3 surfaceDir = vec3(-cos(phi) * sin(theta), cos(theta), sin(phi) * sin(theta));
+    vec3 cloudDir = normalize(uCloudMatrix * normalize(surfaceDir + uSunLocal * uCloudAltitude));
+    float u = atan(cloudDir.z, -cloudDir.x) / 6.28318530718;
+    vec2 cloudUv = vec2(u < 0.0 ? u + 1.0 : u, 1.0 - acos(clamp(cloudDir.y, -1.0, 1.0)) / 3.14159265359);
+    // Размытая (мягкая) тень: уровень mip по экранному размеру развёртки плюс запас;
+    // производные берём от непрерывной vMapUv — на шве atan они скачут
+    vec2 cloudSize = vec2(textureSize(uCloudMap, 0));
+    vec2 footprint = fwidth(vMapUv) * cloudSize;
+    float cloudLod = log2(max(max(footprint.x, footprint.y), 1.0)) + 2.5;
+    float cloudShadow = textureLod(uCloudMap, cloudUv, cloudLod).a;
+    diffuseColor.rgb *= 1.0 - 0.6 * cloudShadow;
+  }
+`;
+
+// Облачная сфера: плотность из запечённой карты, освещение по uLightPos (ночью облака тёмные)
+const CLOUD_VERTEX_SHADER = `
+  varying vec2 vUv;
+  varying vec3 vWorldPos;
+  varying vec3 vNormalW;
+  void main() {
+    vUv = uv;
+    vec4 worldPos = modelMatrix * vec4(position, 1.0);
+    vWorldPos = worldPos.xyz;
+    vNormalW = normalize(mat3(modelMatrix) * normal);
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+  }
+`;
+
+const CLOUD_FRAGMENT_SHADER = `
+  uniform sampler2D uClouds;
+  uniform vec3 uLightPos;
+  uniform float uSunRadius;
+  ${ECLIPSE_CHUNK}
+  varying vec2 vUv;
+  varying vec3 vWorldPos;
+  varying vec3 vNormalW;
+  void main() {
+    vec4 cloud = texture2D(uClouds, vUv);
+    float ndl = dot(normalize(vNormalW), normalize(uLightPos - vWorldPos));
+    float day = smoothstep(-0.15, 0.25, ndl);
+    // У терминатора облака подсвечены закатом
+    vec3 sunlight = mix(vec3(1.0, 0.55, 0.3), vec3(1.0), smoothstep(0.0, 0.3, ndl));
+    float eclipse = eclipseLight(vWorldPos, mat4(1.0), uLightPos, uSunRadius);
+    vec3 lit = cloud.rgb * sunlight * (0.35 + 0.65 * max(ndl, 0.0)) * eclipse;
+    vec3 color = mix(cloud.rgb * vec3(0.015, 0.018, 0.025), lit, day);
+    gl_FragColor = vec4(color, cloud.a * 0.95);
+  }
+`;
+
+// Ночные огни (города, лава) видны только на ночной стороне — по направлению на звезду
+const NIGHT_LIGHTS_CHUNK = `
+  {
+    vec3 sunView = (viewMatrix * vec4(uSunPosition, 1.0)).xyz;
+    float sunHeight = dot(nonPerturbedNormal, normalize(sunView + vViewPosition));
+    float night = 1.0 - smoothstep(-0.12, 0.08, sunHeight);
+    totalEmissiveRadiance += texture2D(uNightLights, vMapUv).rgb * night * 1.5;
+  }
+`;
+
+// Облака чуть выше поверхности и заметно ниже края атмосферы
+const CLOUD_ALTITUDE = 0.02;
+
+// Высота однородной атмосферы для дымки Ми — доля рэлеевской (на Земле ~1.2 км против ~8 км)
+const MIE_HEIGHT_RATIO = 0.15;
+
+// Однократное рассеяние Рэлея и Ми (Nishita): луч из камеры проходит сквозь шар атмосферы,
+// в каждой точке к глазу приходит свет звезды, ослабленный по пути к точке и от неё.
+// Считается в координатах с центром в планете, поэтому одинаково работает с орбиты и изнутри
+const ATMOSPHERE_VERTEX_SHADER = `
+  varying vec3 vWorldPos;
+  varying vec3 vCenter;
+  void main() {
+    vec4 worldPos = modelMatrix * vec4(position, 1.0);
+    vWorldPos = worldPos.xyz;
+    vCenter = (modelMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+  }
+`;
+
+const ATMOSPHERE_FRAGMENT_SHADER = `
+  #define PI 3.14159265359
+  #define VIEW_STEPS 16
+  #define LIGHT_STEPS 6
+  #define SUN_INTENSITY 20.0
+  uniform vec3 uLightPos;
+  uniform vec3 uCameraPos;
+  uniform float uIntensity;
+  uniform float uPlanetRadius;
+  uniform float uAtmosphereRadius;
+  uniform vec3 uRayleigh; // коэффициенты рассеяния у поверхности, на единицу длины
+  uniform vec3 uMie;
+  uniform float uMieG;
+  uniform vec2 uScaleHeights; // Рэлей, Ми
+  varying vec3 vWorldPos;
+  varying vec3 vCenter;
+
+  // Пересечение луча с шаром вокруг начала координат: (ближнее, дальнее) расстояние
+  vec2 raySphere(vec3 origin, vec3 dir, float radius) {
+    float b = dot(origin, dir);
+    float d = b * b - dot(origin, origin) + radius * radius;
+    if (d < 0.0) return vec2(1e20, -1e20);
+    d = sqrt(d);
+    return vec2(-b - d, -b + d);
+  }
+
+  vec2 density(vec3 point) {
+    return exp(-max(length(point) - uPlanetRadius, 0.0) / uScaleHeights);
+  }
+
+  // Оптическая толщина (Рэлей, Ми) от точки до края атмосферы к звезде; -1 — точка в тени планеты
+  vec2 sunDepth(vec3 point, vec3 sunDir) {
+    vec2 planet = raySphere(point, sunDir, uPlanetRadius);
+    if (planet.x > 0.0 && planet.x < planet.y) return vec2(-1.0);
+    float stepSize = raySphere(point, sunDir, uAtmosphereRadius).y / float(LIGHT_STEPS);
+    vec2 depth = vec2(0.0);
+    for (int i = 0; i < LIGHT_STEPS; i++) {
+      depth += density(point + sunDir * stepSize * (float(i) + 0.5)) * stepSize;
+    }
+    return depth;
+  }
+
+  void main() {
+    vec3 origin = uCameraPos - vCenter;
+    vec3 dir = normalize(vWorldPos - uCameraPos);
+    vec2 atmosphere = raySphere(origin, dir, uAtmosphereRadius);
+    vec2 planet = raySphere(origin, dir, uPlanetRadius);
+    float start = max(atmosphere.x, 0.0);
+    float end = planet.x > 0.0 && planet.x < planet.y ? min(atmosphere.y, planet.x) : atmosphere.y;
+    if (end <= start) discard;
+
+    vec3 sunDir = normalize(uLightPos - vCenter);
+    float stepSize = (end - start) / float(VIEW_STEPS);
+    vec2 viewDepth = vec2(0.0);
+    vec3 rayleighSum = vec3(0.0);
+    vec3 mieSum = vec3(0.0);
+    for (int i = 0; i < VIEW_STEPS; i++) {
+      vec3 point = origin + dir * (start + stepSize * (float(i) + 0.5));
+      vec2 local = density(point) * stepSize;
+      viewDepth += local;
+      vec2 lightDepth = sunDepth(point, sunDir);
+      if (lightDepth.x < 0.0) continue;
+      // Ми ещё и поглощает: ослабление ~1.1 от рассеяния
+      vec2 depth = viewDepth + lightDepth;
+      vec3 attenuation = exp(-(uRayleigh * depth.x + uMie * 1.1 * depth.y));
+      rayleighSum += local.x * attenuation;
+      mieSum += local.y * attenuation;
+    }
+
+    float mu = dot(dir, sunDir);
+    float rayleighPhase = 3.0 / (16.0 * PI) * (1.0 + mu * mu);
+    float g2 = uMieG * uMieG;
+    float miePhase = 3.0 / (8.0 * PI) * (1.0 - g2) * (1.0 + mu * mu)
+      / ((2.0 + g2) * pow(1.0 + g2 - 2.0 * uMieG * mu, 1.5));
+    vec3 color = SUN_INTENSITY * uIntensity * (rayleighSum * uRayleigh * rayleighPhase + mieSum * uMie * miePhase);
+    // Мягкая экспозиция до тон-маппинга, чтобы солнечный ореол не выжигался в белое
+    color = 1.0 - exp(-color);
+    // Поверхность и звёзды за атмосферой ослабляются её пропусканием (цвет уже умножен на альфу)
+    vec3 transmittance = exp(-(uRayleigh * viewDepth.x + uMie * 1.1 * viewDepth.y));
+    gl_FragColor = vec4(color, 1.0 - dot(transmittance, vec3(1.0 / 3.0)));
+  }
+`;
 
 export default class Planet {
   constructor({
     name = 'Planet',
+    designation = null, // каталожное обозначение: 'Kaedori b', 'Kaedori b II'
     radius = 1,
     color = 0x888888,
     orbitRadius = 20,
@@ -17,15 +331,24 @@ export default class Planet {
     argPeriapsis = 0.0, // аргумент перицентра ω (радианы)
     initialAnomaly = 0.0, // начальная средняя аномалия M0 (радианы)
     ring = null, // { innerRadius, outerRadius, color, opacity }
-    atmosphere = null, // { thickness, color, intensity, fresnelPower }
+    atmosphere = null, // { thickness, color, intensity, scattering? }
     planetType = 'rocky', // 'rocky', 'gas', 'ice'
+    climate = null, // id типа из PlanetTypeRegistry: 'lava' | 'desert' | 'temperate' | 'ocean' | 'ice' | 'gas' | ...
+    temperatureK = null, // равновесная температура на орбите
+    inHabitableZone = false,
+    physics = null, // { mass, density, radius, surfaceGravity, escapeVelocity, dayLength, orbitalPeriod } — см. planetPhysics
+    traits = {}, // черты мира { civilisation, volcanic } — сила 0..1 (генератор v4)
     seed = Math.random() * 1000, // для генерации кратеров
+    moons = [], // конфиги спутников (те же поля, что и у планеты)
+    barycenter = 'A', // id звезды или барицентра, вокруг которого идёт орбита
   } = {}) {
     this.name = name;
+    this.designation = designation;
+    this.barycenter = barycenter;
     this.orbitRadius = orbitRadius; // большая полуось a
     this.orbitSpeed = orbitSpeed;   // используем как среднее движение n
     this.rotationSpeed = rotationSpeed;
-    this.eccentricity = THREE.MathUtils.clamp(eccentricity, 0, 0.95);
+    this.eccentricity = THREE.MathUtils.clamp(eccentricity, 0, 0.99);
     this.inclination = inclination;
     this.ascendingNode = ascendingNode;
     this.argPeriapsis = argPeriapsis;
@@ -56,17 +379,34 @@ export default class Planet {
     this.radius = radius;
     this.color = color;
     this.planetType = planetType;
+    this.climate = climate;
+    this.temperatureK = temperatureK;
+    this.inHabitableZone = inHabitableZone;
+    this.physics = physics;
+    this.traits = traits;
     this.seed = seed;
+    // Общие uniform-ы правок шейдера поверхности (см. patchSurfaceShader)
+    this.surfaceUniforms = {
+      uTime: { value: 0 },
+      uSunPosition: { value: new THREE.Vector3() },
+      uSunRadius: { value: 0 },
+    };
 
     // Геометрия планеты с большим количеством сегментов для деталей
     const geometry = new THREE.SphereGeometry(radius, 128, 64);
 
-    // Создаем материал в зависимости от типа планеты
-    const material = this.createPlanetMaterial();
-
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.castShadow = true;
-    this.mesh.receiveShadow = true;
+    // Пока текстуры не запечены (buildSurface), тело залито ровным цветом
+    const placeholder = new THREE.MeshStandardMaterial({ color, roughness: 1, metalness: 0 });
+    this.surfaceReady = false;
+    // Префикс записей AssetCache ('сид/vN/p2/m0' — путь тела в системе); задаёт Game, без него кэш не используется
+    this.cacheKey = null;
+    // Сообщение, если запечь поверхность не удалось (тело остаётся с временным материалом)
+    this.surfaceError = null;
+    // Запечённые и взятые из кэша текстуры — освобождаются в dispose
+    this.bakedTextures = [];
+    this.disposed = false;
+
+    this.mesh = new THREE.Mesh(geometry, placeholder);
     this.mesh.rotation.z = tilt; // наклон оси
 
     // Базовая эмиссия для подсветки
@@ -77,335 +417,301 @@ export default class Planet {
     // Размещаем планету внутри bodyGroup; позиция будет обновляться каждый кадр
     this.bodyGroup.add(this.mesh);
 
-    // Атмосфера
-    if (atmosphere || planetType === 'gas') {
-      this.createAtmosphere(atmosphere);
-    }
+    // Атмосфера (облака — вместе с поверхностью)
+    this.hasAtmosphere = Boolean(atmosphere || planetType === 'gas');
+    if (this.hasAtmosphere) this.createAtmosphere(atmosphere);
 
     // Кольца (например, для Сатурна)
     if (ring) {
-      const ringGeo = new THREE.RingGeometry(ring.innerRadius, ring.outerRadius, 64);
-      // Поворачиваем UV, чтобы внутренняя часть была более прозрачна при желании
-      const ringMat = new THREE.MeshBasicMaterial({
-        color: ring.color ?? 0xffffff,
-        transparent: true,
-        opacity: ring.opacity ?? 0.6,
-        side: THREE.DoubleSide,
-        depthWrite: false,
-      });
-      const ringMesh = new THREE.Mesh(ringGeo, ringMat);
-      ringMesh.rotation.x = Math.PI / 2; // лежит в плоскости локальной орбитальной плоскости
-      this.bodyGroup.add(ringMesh);
-      this.ringMesh = ringMesh;
+      this.ring = new PlanetRing({ ...ring, seed: this.seed });
+      this.ring.addTo(this.bodyGroup);
+      this.ringMesh = this.ring.mesh;
     }
 
     // Линия орбиты (эллиптическая)
     this.orbit = Planet.createEllipticalOrbitLine(this.orbitRadius, this.eccentricity);
     this.periapsisGroup.add(this.orbit);
+
+    // Спутники обращаются вокруг bodyGroup планеты по тем же элементам Кеплера
+    this.parentBody = null;
+    this.moons = moons.map((moonConfig) => new Planet(moonConfig));
+    this.moons.forEach((moon) => {
+      moon.parentBody = this;
+      moon.addTo(this.bodyGroup);
+    });
+  }
+
+  /**
+   * Запекание поверхности на GPU и замена временного материала: карты, облака, тень кольца.
+   * Game вызывает по одному-два тела за кадр, ближние первыми, — первый кадр не ждёт всех текстур.
+   * С cache (AssetCache) текстуры сначала ищутся там, а свежезапечённые сохраняются после сборки.
+   */
+  async buildSurface(cache = null) {
+    if (this.surfaceReady) return;
+    this.cachedAssets = new Map();
+    this.bakedAssets = [];
+    if (cache && this.cacheKey) {
+      const records = await Promise.all(SURFACE_ASSETS.map((asset) => cache.get(`${this.cacheKey}/${asset}`)));
+      SURFACE_ASSETS.forEach((asset, i) => {
+        if (records[i]) this.cachedAssets.set(asset, records[i]);
+      });
+      // Пока читался кэш, систему могли сменить
+      if (this.disposed) return;
+    }
+    const placeholder = this.mesh.material;
+    const material = this.createPlanetMaterial();
+    this.patchSurfaceShader(material, 'eclipse', eclipseUniforms, (fragmentShader) => fragmentShader
+      .replace('#include <common>', `#include <common>
+        ${ECLIPSE_CHUNK}`)
+      .replace('#include <emissivemap_fragment>', `${ECLIPSE_FACTOR_CHUNK}
+        #include <emissivemap_fragment>`)
+      .replace('#include <lights_fragment_end>', `#include <lights_fragment_end>
+        ${ECLIPSE_LIGHT_CHUNK}`));
+    this.mesh.material = material;
+    placeholder.dispose();
+    if (this.hasAtmosphere) this.createClouds();
+    if (this.ring) this.ring.applyShadowTo(this);
+    this.surfaceReady = true;
+    const baked = this.bakedAssets;
+    this.cachedAssets = null;
+    this.bakedAssets = null;
+    if (cache && this.cacheKey) this.storeBakedAssets(cache, baked);
   }
 
-  // Создание материала планеты в зависимости от типа
+  /**
+   * Текстуры assets из кэша, если все записаны с тем же fingerprint (параметры запекания),
+   * иначе bake() — объект { asset: texture | null }, результат которого уйдёт в кэш.
+   */
+  cachedTextures(assets, fingerprint, bake) {
+    const print = `${BAKE_VERSION}:${fingerprint}`;
+    const records = assets.map((asset) => this.cachedAssets?.get(asset));
+    let textures;
+    if (records.every((record) => record?.fingerprint === print)) {
+      textures = Object.fromEntries(assets.map((asset, i) => [
+        asset,
+        records[i].pixels && PlanetTextures.fromPixels(records[i].pixels),
+      ]));
+    } else {
+      textures = bake();
+      assets.forEach((asset) => this.bakedAssets?.push({ asset, print, texture: textures[asset] ?? null }));
+    }
+    assets.forEach((asset) => {
+      if (textures[asset]) this.bakedTextures.push(textures[asset]);
+    });
+    return textures;
+  }
+
+  // Пиксели читаются с GPU асинхронно — сборка тела их не ждёт
+  async storeBakedAssets(cache, baked) {
+    try {
+      for (const { asset, print, texture } of baked) {
+        // После dispose render target-ов уже нет
+        if (this.disposed) return;
+        const pixels = texture ? await PlanetTextures.readPixels(texture) : null;
+        await cache.put(`${this.cacheKey}/${asset}`, print, pixels);
+      }
+    } catch {
+      // Кэш необязателен: в следующий раз тело просто запечётся заново
+    }
+  }
+
+  // Материал берём у типа из реестра (по климату, иначе по семейству planetType)
   createPlanetMaterial() {
     const baseColor = new THREE.Color(this.color);
-
-    switch (this.planetType) {
-      case 'gas':
-        return this.createGasGiantMaterial(baseColor);
-      case 'ice':
-        return this.createIcePlanetMaterial(baseColor);
-      case 'rocky':
-      default:
-        return this.createRockyPlanetMaterial(baseColor);
+    const material = resolvePlanetType(this).createMaterial(this, baseColor);
+    if (Object.keys(this.traits).length > 0 && this.surfaceTextures?.heightMap) {
+      this.addNightLights(material);
     }
+    return material;
   }
 
-  // Материал для каменистых планет с кратерами
+  // Огни городов и лавы по чертам мира — отдельная emissive-карта, только на ночной стороне
+  addNightLights(material) {
+    const size = PlanetTextures.sizeForRadius(this.radius);
+    const fingerprint = `night:${this.surfaceFingerprint}:${JSON.stringify(this.traits)}:${this.seaLevel}`;
+    const { nightLights } = this.cachedTextures(['nightLights'], fingerprint, () => ({
+      nightLights: PlanetTextures.bakeNightLights(this.traits, {
+        seed: this.seed,
+        heightMap: this.surfaceTextures.heightMap,
+        seaLevel: this.seaLevel,
+        size,
+      }),
+    }));
+    this.patchSurfaceShader(material, 'night-lights', { uNightLights: { value: nightLights } }, (fragmentShader) => fragmentShader
+      .replace('#include <common>', `#include <common>
+        uniform sampler2D uNightLights;`)
+      .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+        ${NIGHT_LIGHTS_CHUNK}`));
+  }
+
+  // Текстуры поверхности запекаются на GPU; разрешение — по размеру тела
+  bakeSurface(kind, baseColor) {
+    this.surfaceKind = kind;
+    const size = PlanetTextures.sizeForRadius(this.radius);
+    this.surfaceFingerprint = `${kind}:${this.seed}:${baseColor.getHexString()}:${size}`;
+    this.surfaceTextures = this.cachedTextures(['map', 'normalMap', 'heightMap'], this.surfaceFingerprint, () => PlanetTextures.bake(kind, {
+      seed: this.seed,
+      color: baseColor,
+      size,
+    }));
+    return this.surfaceTextures;
+  }
+
+  // Материал для каменистых планет с кратерами (цвет целиком в карте)
   createRockyPlanetMaterial(baseColor) {
-    // Создаем процедурные текстуры для кратеров
-    const craterTexture = this.generateCraterTexture();
-    const normalTexture = this.generateNormalTexture();
+    const { map, normalMap } = this.bakeSurface('rocky', baseColor);
 
     return new THREE.MeshStandardMaterial({
-      color: baseColor,
-      map: craterTexture,
-      normalMap: normalTexture,
-      normalScale: new THREE.Vector2(0.8, 0.8),
+      map,
+      normalMap,
+      normalScale: new THREE.Vector2(1, 1),
       roughness: 1.0, // полностью матовая поверхность
       metalness: 0.0, // никакого металлического блеска
-      bumpMap: craterTexture,
-      bumpScale: 0.02,
     });
   }
 
-  // Материал для газовых гигантов с полосами
+  // Каменистый материал с океаном: seaLevel — порог на запечённой высоте (0..1)
+  createOceanPlanetMaterial(baseColor, { seaLevel = 0.5 } = {}) {
+    const material = this.createRockyPlanetMaterial(baseColor);
+    const { heightMap } = this.surfaceTextures;
+    this.seaLevel = seaLevel;
+    const uniforms = {
+      uOceanHeight: { value: heightMap },
+      uOceanTexel: { value: new THREE.Vector2(1 / heightMap.image.width, 1 / heightMap.image.height) },
+      uSeaLevel: { value: seaLevel },
+    };
+    this.patchSurfaceShader(material, 'ocean', uniforms, (fragmentShader) => fragmentShader
+      .replace('#include <common>', `#include <common>
+        ${OCEAN_FRAGMENT_HEADER}`)
+      .replace('#include <map_fragment>', `#include <map_fragment>
+        ${OCEAN_COLOR_CHUNK}`)
+      .replace('#include <roughnessmap_fragment>', `#include <roughnessmap_fragment>
+        roughnessFactor = mix(roughnessFactor, 0.3, water);`)
+      .replace('#include <normal_fragment_maps>', `#include <normal_fragment_maps>
+        if (water > 0.0) normal = normalize(mix(normal, normalize(tbn * oceanWaveNormal(vMapUv)), water));`)
+      .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+        ${OCEAN_GLINT_CHUNK}`));
+    return material;
+  }
+
+  /**
+   * Правка фрагментного шейдера стандартного материала поверхности. Правки складываются
+   * (океан + тени облаков), а программа кэшируется по набору ключей — одинаковые
+   * комбинации у разных планет компилируются один раз. Общие uTime и uSunPosition подключаются всегда.
+   */
+  patchSurfaceShader(material, key, uniforms, patch) {
+    const previous = material.onBeforeCompile;
+    const keys = [...(material.userData.shaderPatches ?? []), key];
+    material.userData.shaderPatches = keys;
+    material.onBeforeCompile = (shader, renderer) => {
+      previous.call(material, shader, renderer);
+      if (!shader.uniforms.uTime) {
+        shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `${SURFACE_UNIFORMS_HEADER}
+          #include <common>`);
+      }
+      Object.assign(shader.uniforms, this.surfaceUniforms, uniforms);
+      shader.fragmentShader = patch(shader.fragmentShader);
+    };
+    material.customProgramCacheKey = () => `planet:${keys.join('+')}`;
+  }
+
+  // Материал для газовых гигантов с полосами и штормами
   createGasGiantMaterial(baseColor) {
-    const bandsTexture = this.generateGasGiantTexture();
+    const { map } = this.bakeSurface('gas', baseColor);
 
-    return new THREE.MeshStandardMaterial({
-      color: baseColor,
-      map: bandsTexture,
+    const material = new THREE.MeshStandardMaterial({
+      map,
       roughness: 0.8, // менее блестящая поверхность
       metalness: 0.0, // никакого металлического блеска
       emissive: baseColor.clone().multiplyScalar(0.02), // слабое свечение
     });
+    this.patchSurfaceShader(material, 'gas-flow', {}, (fragmentShader) => fragmentShader
+      .replace('#include <common>', `#include <common>
+        ${GAS_FLOW_HEADER}`)
+      .replace('#include <map_fragment>', `#include <map_fragment>
+        ${GAS_FLOW_CHUNK}`));
+    return material;
   }
 
-  // Материал для ледяных планет
+  // Материал для ледяных планет с трещинами
   createIcePlanetMaterial(baseColor) {
-    const iceTexture = this.generateIceTexture();
+    const { map, normalMap } = this.bakeSurface('ice', baseColor);
 
     return new THREE.MeshStandardMaterial({
-      color: baseColor.clone().lerp(new THREE.Color(0xaaccff), 0.3),
-      map: iceTexture,
+      map,
+      normalMap,
+      normalScale: new THREE.Vector2(1, 1),
       roughness: 0.4, // менее блестящий лед
       metalness: 0.0, // убираем металлический блеск
-      // прозрачность убрана, чтобы ледяные планеты были полностью непрозрачными
     });
   }
 
-  // Генерация текстуры кратеров
-  generateCraterTexture() {
-    const size = 512;
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    // Базовый цвет поверхности с небольшими вариациями
-    const baseColor = new THREE.Color(this.color);
-    const rng = this.createSeededRandom(this.seed);
-
-    // Добавляем базовую текстуру поверхности
-    for (let y = 0; y < size; y += 2) {
-      for (let x = 0; x < size; x += 2) {
-        const variation = 0.9 + rng() * 0.2; // небольшие вариации цвета
-        const surfaceColor = baseColor.clone().multiplyScalar(variation);
-        ctx.fillStyle = `rgb(${Math.floor(surfaceColor.r * 255)}, ${Math.floor(surfaceColor.g * 255)}, ${Math.floor(surfaceColor.b * 255)})`;
-        ctx.fillRect(x, y, 2, 2);
-      }
-    }
-
-    // Генерируем кратеры разных размеров
-    const craterSizes = [
-      { count: 8, minRadius: 20, maxRadius: 40, depth: 0.2 },  // большие кратеры
-      { count: 15, minRadius: 10, maxRadius: 25, depth: 0.3 }, // средние кратеры
-      { count: 25, minRadius: 3, maxRadius: 12, depth: 0.4 }   // маленькие кратеры
-    ];
-
-    craterSizes.forEach(craterType => {
-      for (let i = 0; i < craterType.count; i++) {
-        const x = rng() * size;
-        const y = rng() * size;
-        const radius = craterType.minRadius + rng() * (craterType.maxRadius - craterType.minRadius);
-
-        // Создаем более реалистичный градиент для кратера
-        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-        const depthFactor = craterType.depth;
-        const centerColor = baseColor.clone().multiplyScalar(0.2 + depthFactor * 0.3);
-        const wallColor = baseColor.clone().multiplyScalar(0.4 + depthFactor * 0.2);
-        const rimColor = baseColor.clone().multiplyScalar(1.1 + depthFactor * 0.3);
-
-        gradient.addColorStop(0, `rgb(${Math.floor(centerColor.r * 255)}, ${Math.floor(centerColor.g * 255)}, ${Math.floor(centerColor.b * 255)})`);
-        gradient.addColorStop(0.3, `rgb(${Math.floor(centerColor.r * 255)}, ${Math.floor(centerColor.g * 255)}, ${Math.floor(centerColor.b * 255)})`);
-        gradient.addColorStop(0.7, `rgb(${Math.floor(wallColor.r * 255)}, ${Math.floor(wallColor.g * 255)}, ${Math.floor(wallColor.b * 255)})`);
-        gradient.addColorStop(0.85, `rgb(${Math.floor(rimColor.r * 255)}, ${Math.floor(rimColor.g * 255)}, ${Math.floor(rimColor.b * 255)})`);
-        gradient.addColorStop(1, `rgb(${Math.floor(baseColor.r * 255)}, ${Math.floor(baseColor.g * 255)}, ${Math.floor(baseColor.b * 255)})`);
-
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fill();
-      }
-    });
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(2, 1);
-    return texture;
-  }
-
-  // Генерация карты нормалей для кратеров
-  generateNormalTexture() {
-    const size = 512;
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    // Базовый нормальный цвет (128, 128, 255) = (0, 0, 1) в нормализованном виде
-    ctx.fillStyle = 'rgb(128, 128, 255)';
-    ctx.fillRect(0, 0, size, size);
-
-    const rng = this.createSeededRandom(this.seed + 100);
-    const numCraters = Math.floor(20 + rng() * 30);
-
-    for (let i = 0; i < numCraters; i++) {
-      const x = rng() * size;
-      const y = rng() * size;
-      const radius = 5 + rng() * 25;
-
-      // Создаем градиент для нормалей кратера
-      const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-      gradient.addColorStop(0, 'rgb(128, 128, 200)'); // углубление
-      gradient.addColorStop(0.7, 'rgb(128, 128, 220)');
-      gradient.addColorStop(0.9, 'rgb(128, 128, 280)'); // возвышение края
-      gradient.addColorStop(1, 'rgb(128, 128, 255)'); // нормальная поверхность
-
-      ctx.fillStyle = gradient;
-      ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
-      ctx.fill();
-    }
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(2, 1);
-    return texture;
-  }
-
-  // Генерация текстуры для газовых гигантов
-  generateGasGiantTexture() {
-    const size = 512;
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    const baseColor = new THREE.Color(this.color);
-    const rng = this.createSeededRandom(this.seed + 200);
-
-    // Создаем горизонтальные полосы с шумом
-    const numBands = 8 + Math.floor(rng() * 12);
-    const bandHeight = size / numBands;
-
-    for (let i = 0; i < numBands; i++) {
-      const y = i * bandHeight;
-      const variation = 0.3 + rng() * 0.4;
-      const bandColor = baseColor.clone().multiplyScalar(variation);
-
-      // Добавляем шум к полосам для более реалистичного вида
-      for (let x = 0; x < size; x++) {
-        for (let py = y; py < y + bandHeight; py++) {
-          const noiseValue = TextureUtils.noise2D(x * 0.02, py * 0.01, rng);
-          const turbulence = TextureUtils.noise2D(x * 0.05, py * 0.03, rng) * 0.3;
-
-          const finalColor = bandColor.clone();
-          finalColor.multiplyScalar(0.8 + (noiseValue + turbulence) * 0.4);
-
-          ctx.fillStyle = `rgb(${Math.floor(finalColor.r * 255)}, ${Math.floor(finalColor.g * 255)}, ${Math.floor(finalColor.b * 255)})`;
-          ctx.fillRect(x, py, 1, 1);
-        }
-      }
-
-      // Добавляем большие вихри (Большое красное пятно на Юпитере)
-      if (rng() < 0.3) {
-        const vortexX = rng() * size;
-        const vortexY = y + rng() * bandHeight;
-        const vortexRadius = 20 + rng() * 50;
-
-        const vortexGradient = ctx.createRadialGradient(vortexX, vortexY, 0, vortexX, vortexY, vortexRadius);
-        const vortexColor = baseColor.clone().multiplyScalar(0.5 + rng() * 0.8);
-        const vortexColorStr = `rgb(${Math.floor(vortexColor.r * 255)}, ${Math.floor(vortexColor.g * 255)}, ${Math.floor(vortexColor.b * 255)})`;
-
-        vortexGradient.addColorStop(0, vortexColorStr);
-        vortexGradient.addColorStop(0.6, `rgba(${Math.floor(vortexColor.r * 255)}, ${Math.floor(vortexColor.g * 255)}, ${Math.floor(vortexColor.b * 255)}, 0.5)`);
-        vortexGradient.addColorStop(1, 'transparent');
-
-        ctx.fillStyle = vortexGradient;
-        ctx.beginPath();
-        ctx.arc(vortexX, vortexY, vortexRadius, 0, Math.PI * 2);
-        ctx.fill();
-      }
-    }
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(3, 1);
-    return texture;
-  }
-
-  // Генерация текстуры для ледяных планет
-  generateIceTexture() {
-    const size = 512;
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    const baseColor = new THREE.Color(this.color).lerp(new THREE.Color(0xaaccff), 0.5);
-    ctx.fillStyle = `rgb(${Math.floor(baseColor.r * 255)}, ${Math.floor(baseColor.g * 255)}, ${Math.floor(baseColor.b * 255)})`;
-    ctx.fillRect(0, 0, size, size);
-
-    const rng = this.createSeededRandom(this.seed + 300);
-
-    // Добавляем ледяные трещины
-    for (let i = 0; i < 15; i++) {
-      ctx.strokeStyle = `rgba(${Math.floor(baseColor.r * 150)}, ${Math.floor(baseColor.g * 150)}, ${Math.floor(baseColor.b * 200)}, 0.7)`;
-      ctx.lineWidth = 1 + rng() * 3;
-      ctx.beginPath();
-
-      const startX = rng() * size;
-      const startY = rng() * size;
-      ctx.moveTo(startX, startY);
-
-      const segments = 3 + Math.floor(rng() * 5);
-      for (let j = 0; j < segments; j++) {
-        const endX = startX + (rng() - 0.5) * 100;
-        const endY = startY + (rng() - 0.5) * 100;
-        ctx.lineTo(endX, endY);
-      }
-      ctx.stroke();
-    }
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(2, 1);
-    return texture;
+  // Облачная сфера со своей скоростью вращения; покрытие — из диапазона типа, по сиду
+  createClouds() {
+    const [minCoverage, maxCoverage] = resolvePlanetType(this).cloudCoverage;
+    // Покрытие, скорость и направление ветра — из своего генератора по сиду планеты
+    const { rand } = makeRandUtils(makeRng(stringToSeed(`clouds:${this.seed}`)));
+    const coverage = rand(minCoverage, maxCoverage);
+    const size = Math.min(1024, PlanetTextures.sizeForRadius(this.radius));
+    const { clouds: cloudMap } = this.cachedTextures(['clouds'], `clouds:${this.seed + 1}:${coverage}:${size}`, () => ({
+      clouds: PlanetTextures.bakeClouds({ seed: this.seed + 1, coverage, size }),
+    }));
+
+    this.cloudMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(this.radius * (1 + CLOUD_ALTITUDE), 96, 48),
+      new THREE.ShaderMaterial({
+        uniforms: {
+          uClouds: { value: cloudMap },
+          uLightPos: { value: new THREE.Vector3() },
+          uSunRadius: this.surfaceUniforms.uSunRadius,
+          ...eclipseUniforms,
+        },
+        vertexShader: CLOUD_VERTEX_SHADER,
+        fragmentShader: CLOUD_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+      }),
+    );
+    this.cloudMesh.rotation.z = this.mesh.rotation.z;
+    // Облака рисуются раньше оболочки атмосферы (у неё renderOrder 1)
+    this.cloudMesh.renderOrder = 0.5;
+    // Ветер: облака отстают от поверхности или обгоняют её на 10–30%
+    const drift = rand(0.1, 0.3);
+    this.cloudSpeed = rand(0, 1) < 0.5 ? 1 - drift : 1 + drift;
+    this.bodyGroup.add(this.cloudMesh);
+
+    this.cloudShadowUniforms = {
+      uCloudMap: { value: cloudMap },
+      uCloudMatrix: { value: new THREE.Matrix3() },
+      uSunLocal: { value: new THREE.Vector3(1, 0, 0) },
+      uCloudAltitude: { value: CLOUD_ALTITUDE },
+    };
+    this.patchSurfaceShader(this.mesh.material, 'cloud-shadow', this.cloudShadowUniforms, (fragmentShader) => fragmentShader
+      .replace('#include <common>', `#include <common>
+        ${CLOUD_SHADOW_HEADER}`)
+      .replace('#include <color_fragment>', `#include <color_fragment>
+        ${CLOUD_SHADOW_CHUNK}`));
   }
 
-  // Создание атмосферы
+  // Атмосфера: шар чуть больше тела, цвет неба считает шейдер рассеяния
   createAtmosphere(atmosphereConfig) {
     const config = atmosphereConfig || {
-      thickness: this.radius * 0.12, // оптимальная толщина для мягкого эффекта
+      thickness: this.radius * 0.12,
       color: this.planetType === 'gas' ? this.color : 0x88ccff,
       intensity: this.planetType === 'gas' ? 0.5 : 0.7,
-      fresnelPower: 2.2 // оптимальный fresnel для мягких краев
     };
-
-    // Создаем один основной слой атмосферы
-    const atmosphereRadius = this.radius + config.thickness;
-    const atmosphereGeometry = new THREE.SphereGeometry(atmosphereRadius, 64, 32);
-    const atmosphereMaterial = Planet.createAtmosphereMaterial(config);
-
-    this.atmosphereMesh = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
+    this.atmosphereRadius = this.radius + config.thickness;
+    const material = Planet.createAtmosphereMaterial({
+      planetRadius: this.radius,
+      atmosphereRadius: this.atmosphereRadius,
+      intensity: config.intensity,
+      // Конфиги до генератора v5 (и кома комет) — коэффициенты по цвету атмосферы
+      scattering: config.scattering ?? scatteringFromColor(config.color),
+    });
+    // Грани сферы лежат внутри описанного шара — чуть раздуваем, чтобы не срезать край лимба
+    this.atmosphereMesh = new THREE.Mesh(new THREE.SphereGeometry(this.atmosphereRadius * 1.01, 64, 32), material);
     this.atmosphereMesh.renderOrder = 1;
     this.bodyGroup.add(this.atmosphereMesh);
-
-    // Для газовых гигантов добавляем дополнительный внешний слой
-    if (this.planetType === 'gas') {
-      const outerRadius = this.radius + config.thickness * 1.6;
-      const outerGeometry = new THREE.SphereGeometry(outerRadius, 64, 32);
-      const outerConfig = {
-        ...config,
-        intensity: config.intensity * 0.3,
-        fresnelPower: config.fresnelPower + 0.8
-      };
-
-      const outerMaterial = Planet.createAtmosphereMaterial(outerConfig);
-      const outerMesh = new THREE.Mesh(outerGeometry, outerMaterial);
-      outerMesh.renderOrder = 2;
-      this.bodyGroup.add(outerMesh);
-    }
-  }
-
-  // Создание генератора случайных чисел с сидом
-  createSeededRandom(seed) {
-    let x = Math.sin(seed) * 10000;
-    x = x - Math.floor(x);
-    return function () {
-      x = Math.sin(x) * 10000;
-      return x - Math.floor(x);
-    };
   }
 
   static createOrbitLine(radius, segments = 256, color = 0x444444) {
@@ -450,19 +756,28 @@ export default class Planet {
     scene.add(this.pivot);
   }
 
+  // Тело снимается со сцены со спутниками, кольцом и рельефом; запечённые текстуры — вместе с render target
+  dispose() {
+    this.disposed = true;
+    if (this.terrain) {
+      this.terrain.dispose();
+      this.terrain = null;
+    }
+    this.moons.forEach((moon) => moon.dispose());
+    this.bakedTextures.forEach((texture) => PlanetTextures.release(texture));
+    this.bakedTextures = [];
+    disposeObject(this.pivot);
+  }
+
+  // Барицентр может двигаться (кратные звёзды) — фокус орбиты переносим каждый кадр
+  setOrigin(origin) {
+    this.pivot.position.copy(origin);
+  }
+
   update(deltaSeconds) {
     // Средняя аномалия (упрощённо — постоянная угловая скорость)
-    this.meanAnomaly += this.orbitSpeed * deltaSeconds;
-    this.meanAnomaly = (this.meanAnomaly % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
-
-    // Решаем уравнение Кеплера: M = E - e sin E (Ньютон)
-    const M = this.meanAnomaly;
-    let E = this.eccentricity < 0.8 ? M : Math.PI;
-    for (let i = 0; i < 6; i += 1) {
-      const f = E - this.eccentricity * Math.sin(E) - M;
-      const f1 = 1 - this.eccentricity * Math.cos(E);
-      E -= f / f1;
-    }
+    this.meanAnomaly = wrapAngle(this.meanAnomaly + this.orbitSpeed * deltaSeconds);
+    const E = solveKepler(this.meanAnomaly, this.eccentricity);
 
     // Положение в плоскости орбиты (фокус в начале координат)
     const a = this.orbitRadius;
@@ -473,6 +788,17 @@ export default class Planet {
 
     // Собственное вращение планеты
     this.mesh.rotation.y += this.rotationSpeed * deltaSeconds;
+    this.surfaceUniforms.uTime.value += deltaSeconds;
+    if (this.cloudMesh) {
+      this.cloudMesh.rotation.y += this.rotationSpeed * this.cloudSpeed * deltaSeconds;
+      // Переход из системы поверхности в систему облаков (обе сферы — в начале bodyGroup)
+      this.mesh.updateMatrix();
+      this.cloudMesh.updateMatrix();
+      tmpMatrix.copy(this.cloudMesh.matrix).invert().multiply(this.mesh.matrix);
+      this.cloudShadowUniforms.uCloudMatrix.value.setFromMatrix4(tmpMatrix);
+    }
+
+    this.moons.forEach((moon) => moon.update(deltaSeconds));
   }
 
   setHighlighted(flag) {
@@ -480,101 +806,84 @@ export default class Planet {
     this.isHighlighted = flag;
   }
 
-  setLightPosition(lightPosition) {
-    if (this.atmosphereMesh && this.atmosphereMesh.material.uniforms) {
-      this.atmosphereMesh.material.uniforms.uLightPos.value.copy(lightPosition);
+  // sunRadius — радиус звезды: от её углового размера зависит полутень затмений
+  setLightPosition(lightPosition, sunRadius = 0) {
+    if (this.atmosphereMesh) this.atmosphereMesh.material.uniforms.uLightPos.value.copy(lightPosition);
+    this.surfaceUniforms.uSunPosition.value.copy(lightPosition);
+    this.surfaceUniforms.uSunRadius.value = sunRadius;
+    if (this.ring) this.ring.setLightPosition(lightPosition, sunRadius);
+    if (this.cloudMesh) {
+      this.cloudMesh.material.uniforms.uLightPos.value.copy(lightPosition);
+      this.cloudShadowUniforms.uSunLocal.value.copy(this.mesh.worldToLocal(tmpVector.copy(lightPosition))).normalize();
     }
+    this.moons.forEach((moon) => moon.setLightPosition(lightPosition, sunRadius));
   }
 
   setCameraPosition(cameraPosition) {
-    if (this.atmosphereMesh && this.atmosphereMesh.material.uniforms) {
+    if (this.atmosphereMesh) {
       this.atmosphereMesh.material.uniforms.uCameraPos.value.copy(cameraPosition);
+      const center = tmpCenter.setFromMatrixPosition(this.bodyGroup.matrixWorld);
+      const inside = cameraPosition.distanceTo(center) < this.atmosphereRadius * 1.01;
+      this.atmosphereMesh.material.side = inside ? THREE.BackSide : THREE.FrontSide;
     }
+    this.updateTerrain(cameraPosition);
+    if (this.ring) this.ring.setCameraPosition(cameraPosition);
+    this.moons.forEach((moon) => moon.setCameraPosition(cameraPosition));
   }
 
-  static createAtmosphereMaterial({ color = 0x88ccff, intensity = 1.0, fresnelPower = 3.0 }) {
+  // Вблизи сфера заменяется LOD-рельефом; сфера остаётся дальним уровнем и целью для raycast
+  updateTerrain(cameraPosition) {
+    if (!this.surfaceKind || this.surfaceKind === 'gas') return;
+    const center = tmpCenter.setFromMatrixPosition(this.mesh.matrixWorld);
+    const distance = center.distanceTo(cameraPosition) / this.radius;
+
+    if (!this.terrain && distance < TERRAIN_ENTER_RADII) {
+      this.terrain = new PlanetTerrain({
+        radius: this.radius,
+        seed: this.seed,
+        kind: this.surfaceKind,
+        seaLevel: this.seaLevel,
+        material: this.mesh.material,
+      });
+      this.bodyGroup.add(this.terrain.group);
+    } else if (this.terrain && distance > TERRAIN_EXIT_RADII) {
+      this.bodyGroup.remove(this.terrain.group);
+      this.terrain.dispose();
+      this.terrain = null;
+      this.mesh.visible = true;
+      return;
+    }
+    if (!this.terrain) return;
+
+    this.terrain.group.quaternion.copy(this.mesh.quaternion);
+    this.terrain.update(this.mesh.worldToLocal(tmpVector.copy(cameraPosition)));
+    this.mesh.visible = !this.terrain.ready;
+  }
+
+  // scattering — { rayleigh, mie, mieG, scaleHeight } (см. PlanetTypeRegistry): оптические
+  // толщины по вертикали переводятся в коэффициенты на единицу длины для этой атмосферы
+  static createAtmosphereMaterial({ planetRadius, atmosphereRadius, intensity = 1, scattering }) {
+    const rayleighHeight = (atmosphereRadius - planetRadius) * scattering.scaleHeight;
+    const mieHeight = rayleighHeight * MIE_HEIGHT_RATIO;
     return new THREE.ShaderMaterial({
       uniforms: {
-        uColor: { value: new THREE.Color(color) },
-        uIntensity: { value: intensity },
-        uFresnelPower: { value: fresnelPower },
         uLightPos: { value: new THREE.Vector3(0, 0, 0) },
         uCameraPos: { value: new THREE.Vector3(0, 0, 0) },
+        uIntensity: { value: intensity },
+        uPlanetRadius: { value: planetRadius },
+        uAtmosphereRadius: { value: atmosphereRadius },
+        uRayleigh: { value: new THREE.Vector3(...scattering.rayleigh).divideScalar(rayleighHeight) },
+        uMie: { value: new THREE.Vector3(...scattering.mie).divideScalar(mieHeight) },
+        uMieG: { value: scattering.mieG },
+        uScaleHeights: { value: new THREE.Vector2(rayleighHeight, mieHeight) },
       },
-      vertexShader: `
-        varying vec3 vWorldPos;
-        varying vec3 vNormalW;
-        varying vec3 vViewDir;
-        varying float vDistanceFromCenter;
-        void main() {
-          vec4 worldPos = modelMatrix * vec4(position, 1.0);
-          vWorldPos = worldPos.xyz;
-          vNormalW = normalize(mat3(modelMatrix) * normal);
-          vViewDir = normalize(cameraPosition - worldPos.xyz);
-          
-          // Вычисляем расстояние от центра сферы для градиента плотности
-          vec3 centerPos = (modelMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
-          vDistanceFromCenter = distance(worldPos.xyz, centerPos);
-          
-          gl_Position = projectionMatrix * viewMatrix * worldPos;
-        }
-      `,
-      fragmentShader: `
-        uniform vec3 uColor;
-        uniform float uIntensity;
-        uniform float uFresnelPower;
-        uniform vec3 uLightPos;
-        uniform vec3 uCameraPos;
-        varying vec3 vWorldPos;
-        varying vec3 vNormalW;
-        varying vec3 vViewDir;
-        varying float vDistanceFromCenter;
-
-        void main() {
-          vec3 N = normalize(vNormalW);
-          vec3 L = normalize(uLightPos - vWorldPos);
-          vec3 V = normalize(vViewDir);
-
-          // Освещение от звезды
-          float ndl = max(dot(N, L), 0.0);
-          
-          // Fresnel эффект - сильнее на краях
-          float fresnel = pow(1.0 - max(dot(N, V), 0.0), uFresnelPower);
-          
-          // Рассеяние света в атмосфере
-          float scattering = pow(ndl, 0.4) * 0.8 + 0.2;
-          
-          // Мягкий переход от дня к ночи
-          float dayNightTransition = smoothstep(-0.3, 0.3, ndl);
-          
-          // Основное свечение атмосферы
-          float atmosphereGlow = fresnel * scattering * dayNightTransition;
-          
-          // Добавляем базовое свечение для ночной стороны
-          atmosphereGlow += fresnel * 0.15 * (1.0 - dayNightTransition);
-          
-          // Применяем интенсивность
-          atmosphereGlow *= uIntensity;
-          
-          // Создаем градиент плотности - плотнее у поверхности, разреженнее к краям
-          // Инвертируем fresnel для этого эффекта
-          float densityGradient = 1.0 - pow(fresnel, 0.8);
-          atmosphereGlow *= densityGradient;
-          
-          // Ограничиваем максимальное значение
-          atmosphereGlow = clamp(atmosphereGlow, 0.0, 0.8);
-          
-          // Альфа-канал с мягкими краями - сильнее в центре, слабее на краях
-          float alpha = atmosphereGlow * (1.0 - pow(fresnel, 1.5));
-          alpha = clamp(alpha, 0.0, 0.7);
-          
-          vec3 finalColor = uColor * atmosphereGlow;
-          gl_FragColor = vec4(finalColor, alpha);
-        }
-      `,
+      vertexShader: ATMOSPHERE_VERTEX_SHADER,
+      fragmentShader: ATMOSPHERE_FRAGMENT_SHADER,
       transparent: true,
-      side: THREE.FrontSide, // Рендерим внешние поверхности
-      blending: THREE.AdditiveBlending,
+      // Снаружи — передние грани, изнутри — задние (переключает setCameraPosition)
+      side: THREE.FrontSide,
+      blending: THREE.NormalBlending,
+      premultipliedAlpha: true,
       depthWrite: false,
     });
   }
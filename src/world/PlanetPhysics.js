@@ -0,0 +1,54 @@
+// Физические оценки для планет. Радиус Земли = 1000 единиц сцены (как SCALE_FACTOR генератора).
+import { meanMotion } from './Kepler.js';
+
+const EARTH_RADIUS_UNITS = 1000;
+// 1 а.е. в единицах сцены
+export const AU = 60 * EARTH_RADIUS_UNITS;
+// Масса Земли в массах Солнца
+export const EARTH_MASS_IN_SUNS = 3.003e-6;
+
+const EARTH_DENSITY = 5.51; // г/см³
+const EARTH_GRAVITY = 9.81; // м/с²
+const EARTH_ESCAPE_VELOCITY = 11.19; // км/с
+const DAYS_PER_YEAR = 365.25;
+// Игровых секунд в земном году: столько длится оборот по орбите 1 а.е. вокруг 1 M☉.
+// meanMotion следует третьему закону Кеплера, поэтому масштаб времени общий для всех орбит.
+export const GAME_SECONDS_PER_YEAR = (2 * Math.PI) / meanMotion(AU, 1);
+
+// Масса в массах Земли по радиусу и семейству материалов.
+// Радиусы в сцене сжаты, поэтому зависимости подобраны так, чтобы
+// газовые гиганты выходили в диапазоне ~60..300 M⊕, а каменистые — как у земных планет.
+export function estimateMass(radius, planetType) {
+  const r = radius / EARTH_RADIUS_UNITS;
+  switch (planetType) {
+    case 'gas':
+      return 15 * r * r;
+    case 'ice':
+      return 0.6 * Math.pow(r, 3);
+    case 'rocky':
+    default:
+      return Math.pow(r, 3.7);
+  }
+}
+
+/**
+ * Физические характеристики планеты в привычных единицах.
+ * mass — M⊕ (estimateMass), density — г/см³ (из типа), rotationSpeed — рад/с игрового времени,
+ * orbitRadius — полуось в единицах сцены, centralMass — M☉ звезды или пары, вокруг которой орбита.
+ * Радиусы в сцене сжаты, поэтому физический радиус выводим из массы и плотности, а не из сцены.
+ */
+export function planetPhysics({ mass, density, rotationSpeed, orbitRadius }, centralMass = 1) {
+  const radius = Math.cbrt(mass * EARTH_DENSITY / density);
+  const yearsToHours = DAYS_PER_YEAR * 24;
+  return {
+    mass, // M⊕
+    density, // г/см³
+    radius, // R⊕
+    surfaceGravity: EARTH_GRAVITY * mass / (radius * radius), // м/с²
+    escapeVelocity: EARTH_ESCAPE_VELOCITY * Math.sqrt(mass / radius), // км/с
+    // Звёздные сутки: период вращения в том же масштабе времени, что и орбиты, ч
+    dayLength: (2 * Math.PI / rotationSpeed / GAME_SECONDS_PER_YEAR) * yearsToHours,
+    // Третий закон Кеплера: P² = a³ / (M + m), годы -> сутки
+    orbitalPeriod: Math.sqrt(Math.pow(orbitRadius / AU, 3) / (centralMass + mass * EARTH_MASS_IN_SUNS)) * DAYS_PER_YEAR,
+  };
+}
@@ -0,0 +1,293 @@
+import * as THREE from 'three';
+import { ECLIPSE_CHUNK, eclipseUniforms } from './Eclipses.js';
+import { makeRng } from './SystemGenerator.js';
+
+const PROFILE_SAMPLES = 512;
+// Вблизи кольцо превращается в облако глыб: сетка ячеек в плоскости кольца вокруг камеры
+const PARTICLE_CELLS = 50; // ячеек на ширину кольца
+const PARTICLES_PER_CELL = 320; // при плотности 1
+const PARTICLE_ZONE_HEIGHT = 0.04; // высота зоны частиц над плоскостью, доля ширины кольца
+
+const RING_VERTEX_SHADER = `
+  varying vec3 vLocal;
+  varying vec3 vWorldPos;
+  void main() {
+    vLocal = position;
+    vec4 worldPos = modelMatrix * vec4(position, 1.0);
+    vWorldPos = worldPos.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+  }
+`;
+
+// Плотность и тон из радиального профиля; освещённая и теневая сторона, рассеяние вперёд
+// (пылевые участки светятся против солнца). Тень планеты и спутников — через затмения (Eclipses.js)
+const RING_FRAGMENT_SHADER = `
+  uniform sampler2D uProfile;
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  uniform float uInner;
+  uniform float uOuter;
+  uniform vec3 uSunPosition;
+  uniform float uSunRadius;
+  uniform vec3 uRingNormal;
+  varying vec3 vLocal;
+  varying vec3 vWorldPos;
+  ${ECLIPSE_CHUNK}
+  void main() {
+    float t = (length(vLocal.xy) - uInner) / (uOuter - uInner);
+    vec4 profile = texture2D(uProfile, vec2(t, 0.5));
+    float density = profile.r;
+    if (density < 0.003) discard;
+
+    vec3 toSun = normalize(uSunPosition - vWorldPos);
+    vec3 toEye = normalize(cameraPosition - vWorldPos);
+
+    float sunSide = dot(uRingNormal, toSun);
+    float eyeSide = dot(uRingNormal, toEye);
+    // С неосвещённой стороны видно только то, что просвечивает сквозь редкие участки
+    float face = sunSide * eyeSide > 0.0 ? 1.0 : 0.1 + 0.8 * (1.0 - density);
+    float forward = pow(max(dot(-toEye, toSun), 0.0), 6.0);
+    float brightness = face * (0.35 + 0.65 * sqrt(abs(sunSide))) + 2.0 * forward * (1.0 - density);
+    brightness *= 0.05 + 0.95 * eclipseLight(vWorldPos, mat4(1.0), uSunPosition, uSunRadius);
+
+    gl_FragColor = vec4(uColor * profile.g * brightness, clamp(density * uOpacity * 1.5, 0.0, 0.95));
+  }
+`;
+
+// Тень кольца на поверхности планеты: луч от точки к звезде пересекает плоскость кольца.
+// Всё в видовых координатах — в стандартном шейдере есть vViewPosition, а мировой позиции нет
+const RING_SHADOW_HEADER = `
+  uniform sampler2D uRingProfile;
+  uniform vec3 uRingCenter;
+  uniform vec3 uRingNormal;
+  uniform float uRingInner;
+  uniform float uRingOuter;
+  uniform float uRingOpacity;
+`;
+
+const RING_SHADOW_CHUNK = `
+  {
+    vec3 point = -vViewPosition;
+    vec3 toSun = normalize((viewMatrix * vec4(uSunPosition, 1.0)).xyz - point);
+    vec3 ringCenter = (viewMatrix * vec4(uRingCenter, 1.0)).xyz;
+    vec3 ringNormal = normalize(mat3(viewMatrix) * uRingNormal);
+    float facing = dot(toSun, ringNormal);
+    if (abs(facing) > 1e-4) {
+      float distanceToRing = dot(ringCenter - point, ringNormal) / facing;
+      float t = (length(point + toSun * distanceToRing - ringCenter) - uRingInner) / (uRingOuter - uRingInner);
+      if (distanceToRing > 0.0 && t > 0.0 && t < 1.0) {
+        float density = texture2D(uRingProfile, vec2(t, 0.5)).r;
+        diffuseColor.rgb *= 1.0 - clamp(density * uRingOpacity * 1.5, 0.0, 0.95);
+      }
+    }
+  }
+`;
+
+const tmpVector = new THREE.Vector3();
+
+/**
+ * Кольцо планеты: шейдер с радиальным профилем плотности по сиду (полосы и щели вроде
+ * деления Кассини), тень «кольцо -> планета» и затмения на самом кольце (Eclipses.js).
+ * Когда камера влетает в кольцо, вокруг неё появляются отдельные глыбы (InstancedMesh).
+ */
+export default class PlanetRing {
+  constructor({
+    innerRadius,
+    outerRadius,
+    color = 0xffffff,
+    opacity = 0.6,
+    seed = 0,
+  }) {
+    this.innerRadius = innerRadius;
+    this.outerRadius = outerRadius;
+    this.opacity = opacity;
+    this.color = new THREE.Color(color);
+    this.group = new THREE.Group();
+
+    const rng = makeRng(Math.floor(seed * 4096));
+    this.profile = PlanetRing.createProfile(rng);
+    this.profileTexture = PlanetRing.createProfileTexture(this.profile);
+    this.particleSeed = Math.floor(rng() * 4294967296);
+
+    this.uniforms = {
+      uProfile: { value: this.profileTexture },
+      uColor: { value: this.color },
+      uOpacity: { value: opacity },
+      uInner: { value: innerRadius },
+      uOuter: { value: outerRadius },
+      uSunPosition: { value: new THREE.Vector3() },
+      uSunRadius: { value: 0 },
+      uRingNormal: { value: new THREE.Vector3(0, 1, 0) },
+      ...eclipseUniforms,
+    };
+    this.mesh = new THREE.Mesh(
+      new THREE.RingGeometry(innerRadius, outerRadius, 256, 1),
+      new THREE.ShaderMaterial({
+        uniforms: this.uniforms,
+        vertexShader: RING_VERTEX_SHADER,
+        fragmentShader: RING_FRAGMENT_SHADER,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+      }),
+    );
+    this.mesh.rotation.x = Math.PI / 2; // лежит в плоскости локальной орбитальной плоскости
+    this.group.add(this.mesh);
+
+    // Для тени на планете — те же профиль и плоскость
+    this.shadowUniforms = {
+      uRingProfile: { value: this.profileTexture },
+      uRingCenter: { value: new THREE.Vector3() },
+      uRingNormal: this.uniforms.uRingNormal,
+      uRingInner: { value: innerRadius },
+      uRingOuter: { value: outerRadius },
+      uRingOpacity: { value: opacity },
+    };
+
+    this.particles = null;
+    this.particleCell = null;
+  }
+
+  /**
+   * Радиальный профиль: { density, tone } — массивы по PROFILE_SAMPLES точкам от внутреннего
+   * края к внешнему, и gaps — щели { center, width } в долях ширины кольца.
+   * Широкие полосы + мелкие кольца, 1–3 щели и мягкие края.
+   */
+  static createProfile(rng) {
+    const smoothNoise = (count, min, max) => {
+      const points = Array.from({ length: count + 1 }, () => min + (max - min) * rng());
+      return (t) => {
+        const x = t * count;
+        const i = Math.min(Math.floor(x), count - 1);
+        const f = (1 - Math.cos((x - i) * Math.PI)) / 2;
+        return points[i] * (1 - f) + points[i + 1] * f;
+      };
+    };
+    const bands = smoothNoise(12, 0.25, 1);
+    const ringlets = smoothNoise(90, 0.75, 1.15);
+    const tones = smoothNoise(20, 0.7, 1.1);
+    const gaps = Array.from({ length: 1 + Math.floor(rng() * 3) }, () => ({
+      center: 0.25 + 0.6 * rng(),
+      width: 0.01 + 0.04 * rng(),
+    }));
+
+    const density = new Float32Array(PROFILE_SAMPLES);
+    const tone = new Float32Array(PROFILE_SAMPLES);
+    for (let i = 0; i < PROFILE_SAMPLES; i += 1) {
+      const t = i / (PROFILE_SAMPLES - 1);
+      let value = bands(t) * ringlets(t);
+      gaps.forEach(({ center, width }) => {
+        value *= THREE.MathUtils.smoothstep(Math.abs(t - center), width * 0.6, width);
+      });
+      value *= THREE.MathUtils.smoothstep(t, 0, 0.04) * (1 - THREE.MathUtils.smoothstep(t, 0.93, 1));
+      density[i] = THREE.MathUtils.clamp(value, 0, 1);
+      tone[i] = tones(t);
+    }
+    return { density, tone, gaps };
+  }
+
+  static createProfileTexture({ density, tone }) {
+    const data = new Uint8Array(PROFILE_SAMPLES * 4);
+    for (let i = 0; i < PROFILE_SAMPLES; i += 1) {
+      data[i * 4] = Math.round(density[i] * 255);
+      data[i * 4 + 1] = Math.round(Math.min(tone[i], 1) * 255);
+      data[i * 4 + 3] = 255;
+    }
+    const texture = new THREE.DataTexture(data, PROFILE_SAMPLES, 1);
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  densityAt(radius) {
+    const t = (radius - this.innerRadius) / (this.outerRadius - this.innerRadius);
+    if (t <= 0 || t >= 1) return 0;
+    return this.profile.density[Math.round(t * (PROFILE_SAMPLES - 1))];
+  }
+
+  // Тень кольца на планете: правка шейдера её поверхности (см. Planet.patchSurfaceShader)
+  applyShadowTo(planet) {
+    planet.patchSurfaceShader(planet.mesh.material, 'ring-shadow', this.shadowUniforms, (fragmentShader) => fragmentShader
+      .replace('#include <common>', `#include <common>
+        ${RING_SHADOW_HEADER}`)
+      .replace('#include <color_fragment>', `#include <color_fragment>
+        ${RING_SHADOW_CHUNK}`));
+  }
+
+  // Каждый кадр: мировые позиция звезды, центр планеты и нормаль плоскости кольца
+  setLightPosition(lightPosition, sunRadius = 0) {
+    this.group.updateWorldMatrix(true, false);
+    this.uniforms.uSunPosition.value.copy(lightPosition);
+    this.uniforms.uSunRadius.value = sunRadius;
+    this.shadowUniforms.uRingCenter.value.setFromMatrixPosition(this.group.matrixWorld);
+    this.uniforms.uRingNormal.value.set(0, 1, 0).transformDirection(this.group.matrixWorld);
+  }
+
+  // Частицы включаются, когда камера в толще кольца; набор пересобирается при смене ячейки
+  setCameraPosition(cameraPosition) {
+    const local = this.group.worldToLocal(tmpVector.copy(cameraPosition));
+    const width = this.outerRadius - this.innerRadius;
+    const radius = Math.hypot(local.x, local.z);
+    const cellSize = width / PARTICLE_CELLS;
+    const inside = Math.abs(local.y) < width * PARTICLE_ZONE_HEIGHT
+      && radius > this.innerRadius - cellSize && radius < this.outerRadius + cellSize;
+    if (!inside) {
+      if (this.particles) this.particles.visible = false;
+      this.particleCell = null;
+      return;
+    }
+    const cellX = Math.floor(local.x / cellSize);
+    const cellZ = Math.floor(local.z / cellSize);
+    const key = `${cellX}:${cellZ}`;
+    if (key !== this.particleCell) {
+      this.particleCell = key;
+      this.fillParticles(cellX, cellZ, cellSize);
+    }
+    this.particles.visible = true;
+  }
+
+  // Глыбы в 3×3 ячейках вокруг камеры; в каждой ячейке свой сид — при возвращении всё на месте
+  fillParticles(cellX, cellZ, cellSize) {
+    const capacity = PARTICLES_PER_CELL * 9;
+    if (!this.particles) {
+      const material = new THREE.MeshStandardMaterial({ color: this.color, roughness: 1, metalness: 0, flatShading: true });
+      this.particles = new THREE.InstancedMesh(new THREE.IcosahedronGeometry(1, 0), material, capacity);
+      // Ячейки заполняются каждый раз заново — bounding sphere геометрии о них не знает
+      this.particles.frustumCulled = false;
+      this.group.add(this.particles);
+    }
+    const thickness = (this.outerRadius - this.innerRadius) * 0.002;
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const euler = new THREE.Euler();
+    const scale = new THREE.Vector3();
+    let count = 0;
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dz = -1; dz <= 1; dz += 1) {
+        const x0 = (cellX + dx) * cellSize;
+        const z0 = (cellZ + dz) * cellSize;
+        const rng = makeRng(this.particleSeed ^ Math.imul(cellX + dx, 73856093) ^ Math.imul(cellZ + dz, 19349663));
+        for (let i = 0; i < PARTICLES_PER_CELL; i += 1) {
+          position.set(x0 + rng() * cellSize, (rng() + rng() + rng() - 1.5) * thickness, z0 + rng() * cellSize);
+          // Плотность профиля решает, оставить ли глыбу
+          if (rng() > this.densityAt(Math.hypot(position.x, position.z))) continue;
+          euler.set(rng() * Math.PI, rng() * Math.PI, 0);
+          quaternion.setFromEuler(euler);
+          const size = cellSize * (0.002 + 0.008 * rng() ** 3);
+          scale.set(size, size * (0.6 + 0.4 * rng()), size);
+          matrix.compose(position, quaternion, scale);
+          this.particles.setMatrixAt(count, matrix);
+          count += 1;
+        }
+      }
+    }
+    this.particles.count = count;
+    this.particles.instanceMatrix.needsUpdate = true;
+  }
+
+  addTo(parent) {
+    parent.add(this.group);
+  }
+}
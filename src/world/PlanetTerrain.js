@@ -0,0 +1,373 @@
+import * as THREE from 'three';
+import { fbm, seedOffset } from './Noise.js';
+import { surfaceHeight } from './SurfaceNoise.js';
+
+const PATCH_SEGMENTS = 32; // квадратов на сторону патча
+const MAX_LEVEL = 10;
+const SPLIT_DISTANCE = 1.5; // делим узел, если камера ближе стольких его размеров
+const MERGE_HYSTERESIS = 1.25; // а сливаем обратно — только заметно дальше, чтобы патчи не мерцали
+const BUILD_BUDGET_MS = 4; // сколько миллисекунд кадра можно тратить на сборку патчей
+// Перепад высот рельефа: высота 0..1 -> ±TERRAIN_RELIEF радиуса
+export const TERRAIN_RELIEF = 0.015;
+// Мелкая детализация, которой нет в текстуре: видна только вблизи
+const DETAIL_AMPLITUDE = 0.04;
+const DETAIL_FREQUENCY = 96;
+
+// Грани куба: внешняя нормаль n и оси u, v на грани (u × v = n — обход против часовой снаружи)
+const FACES = [
+  { n: [1, 0, 0], u: [0, 0, -1], v: [0, 1, 0] },
+  { n: [-1, 0, 0], u: [0, 0, 1], v: [0, 1, 0] },
+  { n: [0, 1, 0], u: [1, 0, 0], v: [0, 0, -1] },
+  { n: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1] },
+  { n: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] },
+  { n: [0, 0, -1], u: [-1, 0, 0], v: [0, 1, 0] },
+];
+
+// Точка грани (a, b в [-1, 1]) -> единичный вектор. Равномерная «сферизация» куба:
+// ячейки у рёбер почти не сжимаются, а на общем ребре две грани дают одну и ту же точку
+function faceToSphere(face, a, b, out) {
+  const x = face.n[0] + face.u[0] * a + face.v[0] * b;
+  const y = face.n[1] + face.u[1] * a + face.v[1] * b;
+  const z = face.n[2] + face.u[2] * a + face.v[2] * b;
+  const x2 = x * x;
+  const y2 = y * y;
+  const z2 = z * z;
+  out[0] = x * Math.sqrt(Math.max(0, 1 - y2 / 2 - z2 / 2 + (y2 * z2) / 3));
+  out[1] = y * Math.sqrt(Math.max(0, 1 - z2 / 2 - x2 / 2 + (z2 * x2) / 3));
+  out[2] = z * Math.sqrt(Math.max(0, 1 - x2 / 2 - y2 / 2 + (x2 * y2) / 3));
+  const length = Math.hypot(out[0], out[1], out[2]);
+  out[0] /= length;
+  out[1] /= length;
+  out[2] /= length;
+  return out;
+}
+
+// Ближе этого (по v развёртки) к полюсу долгота вершины не определена
+const POLE_EPSILON = 1e-6;
+
+/**
+ * Развёртка патча без разрывов. На шве (долгота 0/360) u скачет с ~1 на ~0, а в полюсе не
+ * определён вовсе — общий u для вершины там не подобрать. Поэтому u выравнивается по
+ * треугольникам: вершины, которые попали «по ту сторону» шва (u < 0.5 при размахе > 0.5),
+ * получают копию с u + 1, а вершина в полюсе — копию с u, средним по двум другим вершинам
+ * треугольника. Копии общие для треугольников с одинаковым u; indices правятся на месте.
+ * Возвращает массивы вершин (новые, если копии понадобились).
+ */
+export function unwrapPatchUVs(positions, normals, uvs, indices) {
+  const vertexCount = uvs.length / 2;
+  const extra = [];
+  const copies = new Map();
+  const copyWithU = (vertex, u) => {
+    const key = `${vertex}:${u}`;
+    if (!copies.has(key)) {
+      copies.set(key, vertexCount + extra.length);
+      extra.push({ vertex, u });
+    }
+    return copies.get(key);
+  };
+  const atPole = (vertex) => Math.min(uvs[vertex * 2 + 1], 1 - uvs[vertex * 2 + 1]) < POLE_EPSILON;
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const corners = [indices[t], indices[t + 1], indices[t + 2]];
+    const around = corners.filter((vertex) => !atPole(vertex));
+    if (around.length === 0) continue;
+    const us = around.map((vertex) => uvs[vertex * 2]);
+    const acrossSeam = Math.max(...us) - Math.min(...us) > 0.5;
+    const unwrapped = (vertex) => {
+      const u = uvs[vertex * 2];
+      return acrossSeam && u < 0.5 ? u + 1 : u;
+    };
+    const poleU = around.reduce((sum, vertex) => sum + unwrapped(vertex), 0) / around.length;
+    corners.forEach((vertex, k) => {
+      const u = atPole(vertex) ? poleU : unwrapped(vertex);
+      if (u !== uvs[vertex * 2]) indices[t + k] = copyWithU(vertex, u);
+    });
+  }
+  if (extra.length === 0) return { positions, normals, uvs };
+
+  const total = vertexCount + extra.length;
+  const out = {
+    positions: new Float32Array(total * 3),
+    normals: new Float32Array(total * 3),
+    uvs: new Float32Array(total * 2),
+  };
+  out.positions.set(positions);
+  out.normals.set(normals);
+  out.uvs.set(uvs);
+  extra.forEach(({ vertex, u }, k) => {
+    const target = vertexCount + k;
+    out.positions.set(positions.subarray(vertex * 3, vertex * 3 + 3), target * 3);
+    out.normals.set(normals.subarray(vertex * 3, vertex * 3 + 3), target * 3);
+    out.uvs[target * 2] = u;
+    out.uvs[target * 2 + 1] = uvs[vertex * 2 + 1];
+  });
+  return out;
+}
+
+/**
+ * LOD-рельеф планеты: куб, спроецированный на сферу, каждая грань — квадродерево патчей.
+ * Чем ближе камера, тем мельче патчи; стыки разных уровней закрыты «юбками» — полосами,
+ * опущенными от края патча к центру планеты. Сборка патчей идёт в очереди с бюджетом на кадр.
+ * Высоты — из SurfaceNoise (те же, что в запечённой карте) плюс мелкая детализация.
+ */
+export default class PlanetTerrain {
+  constructor({
+    radius = 1000,
+    seed = 0,
+    kind = 'rocky', // 'rocky' | 'ice' — как у PlanetTextures
+    seaLevel = null, // уровень океана на шкале высот; ниже него поверхность — ровная вода
+    material, // материал планеты (общий, не освобождается вместе с рельефом)
+  } = {}) {
+    this.radius = radius;
+    this.kind = kind;
+    this.seaLevel = seaLevel;
+    this.offset = seedOffset(seed);
+    this.material = material;
+    this.group = new THREE.Group();
+    this.queue = [];
+    this._dir = [0, 0, 0];
+    this.roots = FACES.map((face) => this.createNode(face, 0, -1, -1, 2));
+    this.roots.forEach((node) => this.enqueue(node));
+  }
+
+  // Корневые патчи собраны — рельефом можно заменять сферу
+  get ready() {
+    return this.roots.every((node) => node.mesh);
+  }
+
+  createNode(face, level, a, b, size) {
+    const center = faceToSphere(face, a + size / 2, b + size / 2, [0, 0, 0]);
+    return {
+      face,
+      level,
+      a,
+      b,
+      size,
+      center: new THREE.Vector3(...center).multiplyScalar(this.radius),
+      // Длина стороны патча на поверхности (грань куба со стороной 2 ложится примерно на πR/2)
+      extent: (size / 2) * (Math.PI / 2) * this.radius,
+      children: null,
+      mesh: null,
+      queued: false,
+      disposed: false,
+    };
+  }
+
+  enqueue(node) {
+    if (node.mesh || node.queued) return;
+    node.queued = true;
+    this.queue.push(node);
+  }
+
+  // cameraLocal — позиция камеры в системе координат сферы планеты (с учётом вращения и наклона)
+  update(cameraLocal) {
+    this.roots.forEach((node) => this.updateNode(node, cameraLocal));
+    this.buildQueued(cameraLocal);
+  }
+
+  updateNode(node, cameraLocal) {
+    const distance = cameraLocal.distanceTo(node.center);
+    const splitDistance = node.extent * SPLIT_DISTANCE;
+    const wantSplit = node.level < MAX_LEVEL
+      && (node.children ? distance < splitDistance * MERGE_HYSTERESIS : distance < splitDistance);
+
+    if (!wantSplit) {
+      if (node.children) this.disposeChildren(node);
+      this.showNode(node);
+      return;
+    }
+
+    if (!node.children) {
+      const half = node.size / 2;
+      node.children = [
+        this.createNode(node.face, node.level + 1, node.a, node.b, half),
+        this.createNode(node.face, node.level + 1, node.a + half, node.b, half),
+        this.createNode(node.face, node.level + 1, node.a, node.b + half, half),
+        this.createNode(node.face, node.level + 1, node.a + half, node.b + half, half),
+      ];
+    }
+    node.children.forEach((child) => this.enqueue(child));
+    // Пока дети не собраны, показываем родителя — дыр в поверхности не бывает
+    if (node.children.every((child) => child.mesh)) {
+      if (node.mesh) node.mesh.visible = false;
+      node.children.forEach((child) => this.updateNode(child, cameraLocal));
+    } else {
+      this.showNode(node);
+      node.children.forEach((child) => this.hideSubtree(child));
+    }
+  }
+
+  showNode(node) {
+    if (node.mesh) node.mesh.visible = true;
+    else this.enqueue(node);
+  }
+
+  hideSubtree(node) {
+    if (node.mesh) node.mesh.visible = false;
+    if (node.children) node.children.forEach((child) => this.hideSubtree(child));
+  }
+
+  disposeChildren(node) {
+    node.children.forEach((child) => {
+      if (child.children) this.disposeChildren(child);
+      child.disposed = true;
+      if (child.mesh) {
+        this.group.remove(child.mesh);
+        child.mesh.geometry.dispose();
+        child.mesh = null;
+      }
+    });
+    node.children = null;
+  }
+
+  // Сначала крупные и ближние патчи; за кадр — сколько влезает в бюджет (минимум один)
+  buildQueued(cameraLocal) {
+    if (this.queue.length === 0) return;
+    this.queue = this.queue.filter((node) => !node.disposed);
+    this.queue.sort((p, q) => (p.level - q.level) || (cameraLocal.distanceTo(p.center) - cameraLocal.distanceTo(q.center)));
+    const start = performance.now();
+    while (this.queue.length > 0) {
+      const node = this.queue.shift();
+      node.queued = false;
+      node.mesh = this.buildPatch(node);
+      node.mesh.visible = false;
+      this.group.add(node.mesh);
+      if (performance.now() - start > BUILD_BUDGET_MS) break;
+    }
+  }
+
+  // Радиус поверхности в точке единичной сферы (с детализацией по уровню патча)
+  surfaceRadius(dx, dy, dz, level) {
+    const { offset } = this;
+    let h = surfaceHeight(this.kind, dx, dy, dz, offset);
+    // Вода — по той же высоте, что в карте, без детализации: берег совпадает с видом с орбиты
+    if (this.seaLevel !== null && h < this.seaLevel) {
+      return this.radius * (1 + TERRAIN_RELIEF * 2 * (this.seaLevel - 0.5));
+    }
+    const detailOctaves = Math.min(6, Math.max(0, level - 2));
+    if (detailOctaves > 0) {
+      h += DETAIL_AMPLITUDE * fbm(
+        dx * DETAIL_FREQUENCY + offset.x,
+        dy * DETAIL_FREQUENCY + offset.y,
+        dz * DETAIL_FREQUENCY + offset.z,
+        detailOctaves,
+      );
+    }
+    if (this.seaLevel !== null) h = Math.max(h, this.seaLevel);
+    return this.radius * (1 + TERRAIN_RELIEF * 2 * (h - 0.5));
+  }
+
+  buildPatch(node) {
+    const n = PATCH_SEGMENTS;
+    const row = n + 3; // сетка с рамкой в одну клетку — для нормалей на краях
+    const grid = new Float32Array(row * row * 3);
+    const dirs = new Float32Array(row * row * 3);
+    const dir = this._dir;
+    for (let j = -1; j <= n + 1; j += 1) {
+      for (let i = -1; i <= n + 1; i += 1) {
+        faceToSphere(node.face, node.a + (node.size * i) / n, node.b + (node.size * j) / n, dir);
+        const r = this.surfaceRadius(dir[0], dir[1], dir[2], node.level);
+        const k = ((j + 1) * row + (i + 1)) * 3;
+        dirs[k] = dir[0];
+        dirs[k + 1] = dir[1];
+        dirs[k + 2] = dir[2];
+        grid[k] = dir[0] * r - node.center.x;
+        grid[k + 1] = dir[1] * r - node.center.y;
+        grid[k + 2] = dir[2] * r - node.center.z;
+      }
+    }
+    const at = (i, j) => ((j + 1) * row + (i + 1)) * 3;
+
+    const vertexCount = (n + 1) * (n + 1) + 4 * (n + 1);
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const du = new THREE.Vector3();
+    const dv = new THREE.Vector3();
+    let vertex = 0;
+    const emit = (i, j, lower) => {
+      const k = at(i, j);
+      du.set(grid[at(i + 1, j)] - grid[at(i - 1, j)], grid[at(i + 1, j) + 1] - grid[at(i - 1, j) + 1], grid[at(i + 1, j) + 2] - grid[at(i - 1, j) + 2]);
+      dv.set(grid[at(i, j + 1)] - grid[at(i, j - 1)], grid[at(i, j + 1) + 1] - grid[at(i, j - 1) + 1], grid[at(i, j + 1) + 2] - grid[at(i, j - 1) + 2]);
+      du.cross(dv).normalize();
+      positions[vertex * 3] = grid[k] - dirs[k] * lower;
+      positions[vertex * 3 + 1] = grid[k + 1] - dirs[k + 1] * lower;
+      positions[vertex * 3 + 2] = grid[k + 2] - dirs[k + 2] * lower;
+      normals[vertex * 3] = du.x;
+      normals[vertex * 3 + 1] = du.y;
+      normals[vertex * 3 + 2] = du.z;
+      // Та же развёртка, что у SphereGeometry и запечённых карт
+      const u = Math.atan2(dirs[k + 2], -dirs[k]) / (Math.PI * 2);
+      uvs[vertex * 2] = u < 0 ? u + 1 : u;
+      uvs[vertex * 2 + 1] = 1 - Math.acos(THREE.MathUtils.clamp(dirs[k + 1], -1, 1)) / Math.PI;
+      vertex += 1;
+      return vertex - 1;
+    };
+
+    const indices = [];
+    for (let j = 0; j <= n; j += 1) {
+      for (let i = 0; i <= n; i += 1) emit(i, j, 0);
+    }
+    const index = (i, j) => j * (n + 1) + i;
+    for (let j = 0; j < n; j += 1) {
+      for (let i = 0; i < n; i += 1) {
+        const a = index(i, j);
+        const b = index(i + 1, j);
+        const c = index(i, j + 1);
+        const d = index(i + 1, j + 1);
+        indices.push(a, b, d, a, d, c);
+      }
+    }
+
+    // Юбки по четырём краям; треугольники в обе стороны, чтобы щель не просвечивала ни под каким углом
+    const skirtDepth = node.extent * 0.1 + this.radius * TERRAIN_RELIEF * 0.1;
+    const edges = [
+      (t) => [t, 0],
+      (t) => [n, t],
+      (t) => [n - t, n],
+      (t) => [0, n - t],
+    ];
+    edges.forEach((edge) => {
+      let previousTop = null;
+      let previousBottom = null;
+      for (let t = 0; t <= n; t += 1) {
+        const [i, j] = edge(t);
+        const top = index(i, j);
+        const bottom = emit(i, j, skirtDepth);
+        if (previousTop !== null) {
+          indices.push(previousTop, top, bottom, previousTop, bottom, previousBottom);
+          indices.push(previousTop, bottom, top, previousTop, previousBottom, bottom);
+        }
+        previousTop = top;
+        previousBottom = bottom;
+      }
+    });
+
+    // Патчи поперёк шва развёртки и с полюсом — без растянутой текстуры
+    const attributes = unwrapPatchUVs(positions, normals, uvs, indices);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(attributes.positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(attributes.normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(attributes.uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.position.copy(node.center);
+    return mesh;
+  }
+
+  dispose() {
+    this.roots.forEach((node) => {
+      if (node.children) this.disposeChildren(node);
+      node.disposed = true;
+      if (node.mesh) {
+        this.group.remove(node.mesh);
+        node.mesh.geometry.dispose();
+        node.mesh = null;
+      }
+    });
+    this.queue = [];
+  }
+}
@@ -0,0 +1,478 @@
+import * as THREE from 'three';
+import { NOISE_CHUNK, seedOffset } from './Noise.js';
+
+// Шум (simplex, fBm, ridged, hash33, sphereDir) — общий, из Noise.js.
+// Рельеф (surfaceHeight) продублирован на CPU в SurfaceNoise.js — правки вносить в оба места;
+// test/surfaceNoise.test.js сверяет копию с этим GLSL (surfaceHeightShader), исполненным на CPU.
+
+// Общие uniform-ы; шум берётся в точке сферы sphereDir(uv) — та же развёртка, что у SphereGeometry,
+// поэтому он непрерывен через шов u = 0/1 и на полюсах
+const SURFACE_HEADER = `
+  uniform vec3 uColor;
+  uniform vec3 uOffset; // сдвиг в пространстве шума по сиду тела
+  varying vec2 vUv;
+  ${NOISE_CHUNK}
+`;
+
+const VERTEX_SHADER = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// Высота в [0, 1] хранится в двух 8-битных каналах (256² уровней — без ступенек на нормалях)
+export const HEIGHT_PACKING = `
+  vec2 packHeight(float h) {
+    float scaled = clamp(h, 0.0, 1.0) * 255.0;
+    return vec2(floor(scaled) / 255.0, fract(scaled));
+  }
+  float unpackHeight(vec4 texel) {
+    return texel.r + texel.g / 255.0;
+  }
+`;
+
+/**
+ * Поверхности по семейству: height(dir) — рельеф в [0, 1] (null — гладкая),
+ * color(dir, h) — линейный цвет, relief — сила карты нормалей (наклон на единицу высоты).
+ */
+const SURFACES = {
+  rocky: {
+    relief: 0.25,
+    height: `
+      // Кратер: чаша внутри радиуса и приподнятый вал по краю; в каждой ячейке — не больше одного
+      float craters(vec3 dir, float frequency, float density) {
+        vec3 q = dir * frequency + uOffset;
+        vec3 cell = floor(q);
+        float h = 0.0;
+        for (int x = -1; x <= 1; x++) {
+          for (int y = -1; y <= 1; y++) {
+            for (int z = -1; z <= 1; z++) {
+              vec3 c = cell + vec3(float(x), float(y), float(z));
+              vec3 rnd = hash33(c);
+              vec3 rnd2 = hash33(c + 17.0);
+              if (rnd2.x > density) continue;
+              float radius = mix(0.2, 0.45, rnd2.y);
+              float d = length(q - c - rnd) / radius;
+              float bowl = d < 1.0 ? d * d - 1.0 : 0.0;
+              float rimDistance = (d - 1.0) * 4.0;
+              float rim = exp(-rimDistance * rimDistance) * 0.35;
+              h += (bowl + rim) * radius;
+            }
+          }
+        }
+        return h;
+      }
+
+      float surfaceHeight(vec3 dir) {
+        float h = 0.5 + 0.22 * fbm(dir * 2.0 + uOffset, 6);
+        h += 0.2 * craters(dir, 5.0, 0.35);
+        h += 0.1 * craters(dir, 13.0, 0.5);
+        h += 0.05 * craters(dir, 31.0, 0.6);
+        return h;
+      }
+    `,
+    color: `
+      vec3 surfaceColor(vec3 dir, float h) {
+        // Тёмные «моря» крупного масштаба и мелкая пестрота поверхности
+        float maria = smoothstep(0.05, 0.35, fbm(dir * 1.3 + uOffset * 0.7, 4));
+        float grain = fbm(dir * 24.0 + uOffset, 4);
+        vec3 color = uColor * mix(1.05, 0.7, maria);
+        color *= 0.55 + 0.9 * h;
+        color *= 0.92 + 0.16 * grain;
+        return color;
+      }
+    `,
+  },
+  gas: {
+    relief: 0,
+    height: null,
+    color: `
+      vec3 surfaceColor(vec3 dir, float h) {
+        // Полосы по широте, искажённые крупными течениями
+        float bands = 8.0 + floor(hash33(uOffset).x * 12.0);
+        float lat = dir.y + 0.06 * fbm(dir * vec3(2.0, 5.0, 2.0) + uOffset, 5);
+        float bandIndex = floor((lat * 0.5 + 0.5) * bands);
+        float bandTone = 0.55 + 0.45 * hash33(vec3(bandIndex, uOffset.x, 3.0)).x;
+        float edge = 0.5 + 0.5 * sin(lat * bands * 3.14159265359);
+        // Вихревая турбулентность вытянута вдоль долготы
+        float turbulence = fbm(vec3(dir.x * 3.0, dir.y * 24.0, dir.z * 3.0) + uOffset, 6);
+        vec3 color = uColor * (bandTone * (0.85 + 0.3 * edge) + 0.25 * turbulence);
+
+        // Несколько овальных штормов (как Большое красное пятно)
+        for (int i = 0; i < 3; i++) {
+          vec3 rnd = hash33(uOffset + float(i) * 7.31);
+          if (rnd.z > 0.6) continue;
+          float stormLat = (rnd.x - 0.5) * 1.2;
+          float stormLon = rnd.y * 6.28318530718;
+          vec3 center = vec3(-cos(stormLon) * sqrt(1.0 - stormLat * stormLat), stormLat, sin(stormLon) * sqrt(1.0 - stormLat * stormLat));
+          vec3 delta = dir - center;
+          float size = 0.08 + 0.1 * rnd.z;
+          float d = length(vec2(length(delta.xz) * 0.6, delta.y * 1.4)) / size;
+          float swirl = fbm(delta * 18.0 + uOffset, 3);
+          float storm = smoothstep(1.0, 0.4, d + 0.15 * swirl);
+          color = mix(color, uColor * vec3(1.25, 0.8, 0.65), storm * 0.8);
+        }
+        return color;
+      }
+    `,
+  },
+  ice: {
+    relief: 0.1,
+    height: `
+      // Трещины — гребни шума
+      float cracks(vec3 dir) {
+        float coarse = ridge(dir * 6.0 + uOffset);
+        float fine = ridge(dir * 19.0 + uOffset * 1.3);
+        return smoothstep(0.93, 0.995, coarse) + 0.5 * smoothstep(0.95, 0.995, fine);
+      }
+
+      float surfaceHeight(vec3 dir) {
+        return 0.5 + 0.15 * fbm(dir * 3.0 + uOffset, 5) - 0.12 * cracks(dir);
+      }
+    `,
+    color: `
+      vec3 surfaceColor(vec3 dir, float h) {
+        vec3 ice = mix(uColor, vec3(0.4, 0.6, 1.0), 0.35);
+        float frost = fbm(dir * 8.0 + uOffset * 0.5, 5);
+        vec3 color = ice * (0.85 + 0.25 * frost);
+        // Полярные шапки светлее
+        color = mix(color, vec3(0.9, 0.95, 1.0), smoothstep(0.75, 0.95, abs(dir.y)) * 0.6);
+        // В трещинах — тёмный синий лёд
+        color = mix(color, ice * vec3(0.35, 0.45, 0.7), cracks(dir) * 0.8);
+        return color;
+      }
+    `,
+  },
+};
+
+// GLSL рельефа семейства (uniform-ы, шум, surfaceHeight) или null у гладких поверхностей
+export function surfaceHeightShader(family) {
+  const surface = SURFACES[family];
+  return surface?.height ? `${SURFACE_HEADER}\n${surface.height}` : null;
+}
+
+const FRAGMENT_HEIGHT = (surface) => `
+  ${SURFACE_HEADER}
+  ${HEIGHT_PACKING}
+  ${surface.height}
+  void main() {
+    gl_FragColor = vec4(packHeight(surfaceHeight(sphereDir(vUv))), 0.0, 1.0);
+  }
+`;
+
+// Цвет берёт высоту из уже запечённой карты; у гладких поверхностей — константа
+const FRAGMENT_COLOR = (surface) => `
+  ${SURFACE_HEADER}
+  ${HEIGHT_PACKING}
+  uniform sampler2D uHeight;
+  ${surface.height ?? ''}
+  ${surface.color}
+  void main() {
+    float h = ${surface.height ? 'unpackHeight(texture2D(uHeight, vUv))' : '0.5'};
+    gl_FragColor = vec4(surfaceColor(sphereDir(vUv), h), 1.0);
+  }
+`;
+
+// Нормаль в касательном базисе развёртки: T — вдоль u (на восток), B — вдоль v (на север)
+const FRAGMENT_NORMAL = `
+  ${HEIGHT_PACKING}
+  uniform sampler2D uHeight;
+  uniform vec2 uTexel;
+  uniform float uRelief;
+  varying vec2 vUv;
+  float heightAt(vec2 uv) {
+    return unpackHeight(texture2D(uHeight, uv));
+  }
+  void main() {
+    float theta = (1.0 - vUv.y) * 3.14159265359;
+    // Длины шага текселя по поверхности единичной сферы (к полюсам восток-запад сжимается)
+    float east = max(uTexel.x * 6.28318530718 * sin(theta), uTexel.y * 0.5);
+    float north = uTexel.y * 3.14159265359;
+    float dhEast = (heightAt(vUv + vec2(uTexel.x, 0.0)) - heightAt(vUv - vec2(uTexel.x, 0.0))) / (2.0 * east);
+    float dhNorth = (heightAt(vUv + vec2(0.0, uTexel.y)) - heightAt(vUv - vec2(0.0, uTexel.y))) / (2.0 * north);
+    vec3 normal = normalize(vec3(-dhEast * uRelief, -dhNorth * uRelief, 1.0));
+    gl_FragColor = vec4(normal * 0.5 + 0.5, 1.0);
+  }
+`;
+
+// Облачный слой: закрученный fBm, порог по покрытию; плотность — в альфе.
+// Пояса по широте: у экватора и в умеренных широтах облаков больше, в субтропиках меньше
+const FRAGMENT_CLOUDS = `
+  ${SURFACE_HEADER}
+  uniform float uCoverage;
+  void main() {
+    vec3 dir = sphereDir(vUv);
+    vec3 warp = warpOffset(dir * 2.0 + uOffset);
+    float n = fbm(dir * 4.0 + warp * 0.9 + uOffset, 6) + 0.08 * cos(dir.y * 9.42477796);
+    float threshold = mix(0.35, -0.35, uCoverage);
+    float density = smoothstep(threshold, threshold + 0.25, n);
+    gl_FragColor = vec4(uColor, density);
+  }
+`;
+
+// Ночные огни (линейная яркость): сети городов на суше и светящиеся трещины лавы.
+// uCivilisation и uVolcanic — сила черт 0..1, ноль выключает слой
+const FRAGMENT_NIGHT_LIGHTS = `
+  ${SURFACE_HEADER}
+  ${HEIGHT_PACKING}
+  uniform sampler2D uHeight;
+  uniform float uSeaLevel; // ниже — вода, там городов нет; -1 — океана нет
+  uniform float uCivilisation;
+  uniform float uVolcanic;
+
+  // Города — яркие ядра в ячейках, чаще там, где «население» выше
+  float cities(vec3 dir, float population) {
+    vec3 q = dir * 60.0 + uOffset;
+    vec3 cell = floor(q);
+    float light = 0.0;
+    for (int x = -1; x <= 1; x++) {
+      for (int y = -1; y <= 1; y++) {
+        for (int z = -1; z <= 1; z++) {
+          vec3 c = cell + vec3(float(x), float(y), float(z));
+          vec3 rnd2 = hash33(c + 31.0);
+          if (rnd2.x > population) continue;
+          float size = mix(0.1, 0.35, rnd2.y);
+          float d = length(q - c - hash33(c)) / size;
+          light += (1.0 - smoothstep(0.0, 1.0, d)) * mix(0.5, 1.0, rnd2.z);
+        }
+      }
+    }
+    return light;
+  }
+
+  void main() {
+    vec3 dir = sphereDir(vUv);
+    float h = unpackHeight(texture2D(uHeight, vUv));
+    vec3 color = vec3(0.0);
+
+    if (uCivilisation > 0.0 && h > uSeaLevel) {
+      // Население: крупные пятна, гуще у побережий и в умеренных широтах
+      float population = smoothstep(0.0, 0.45, fbm(dir * 3.0 + uOffset, 4) + uCivilisation * 0.5 - 0.25);
+      float coast = uSeaLevel < 0.0 ? 0.0 : 1.0 - smoothstep(0.0, 0.03, h - uSeaLevel);
+      population *= (0.6 + 0.4 * coast) * (1.0 - smoothstep(0.6, 0.85, abs(dir.y)));
+      // Дороги — тонкие гребни шума между городами, пригороды — мелкая россыпь
+      float roads = smoothstep(0.975, 1.0, ridge(dir * 40.0 + uOffset));
+      float sprawl = smoothstep(0.55, 0.9, snoise(dir * 220.0 + uOffset) * 0.5 + 0.5);
+      float light = cities(dir, population * 0.6) + (0.5 * roads + 0.3 * sprawl) * population;
+      color += vec3(1.0, 0.7, 0.35) * light * uCivilisation;
+    }
+
+    if (uVolcanic > 0.0) {
+      // Трещины лавы — гребни шума там, где недра активны
+      float cracks = smoothstep(0.9, 0.99, ridge(dir * 8.0 + uOffset))
+        + 0.6 * smoothstep(0.93, 0.995, ridge(dir * 23.0 + uOffset * 1.7));
+      float activity = smoothstep(0.0, 0.4, fbm(dir * 2.0 + uOffset * 0.3, 3) + uVolcanic - 0.5);
+      float glow = cracks * activity;
+      color += mix(vec3(1.0, 0.12, 0.02), vec3(1.0, 0.55, 0.15), clamp(glow, 0.0, 1.0)) * glow * (0.5 + uVolcanic);
+    }
+
+    gl_FragColor = vec4(color, 1.0);
+  }
+`;
+
+// Версия запекания для кэша (AssetCache): менять при правке шейдеров, иначе подтянутся старые текстуры
+export const BAKE_VERSION = 1;
+
+let renderer = null;
+// Render target каждой запечённой текстуры — для чтения пикселей в кэш
+const targets = new WeakMap();
+// Общие uniform-ы всех проходов: перед запеканием тела меняются только значения
+const uniforms = {
+  uColor: { value: new THREE.Color() },
+  uOffset: { value: new THREE.Vector3() },
+  uHeight: { value: null },
+  uTexel: { value: new THREE.Vector2() },
+  uRelief: { value: 0 },
+  uCoverage: { value: 0.5 },
+  uSeaLevel: { value: -1 },
+  uCivilisation: { value: 0 },
+  uVolcanic: { value: 0 },
+};
+// Материалы проходов по ключу 'rocky:color' и т. п. — шейдеры компилируются один раз за сессию
+const materials = new Map();
+let quad = null;
+
+function passMaterial(key, fragmentShader) {
+  if (!materials.has(key)) {
+    materials.set(key, new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: VERTEX_SHADER,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+    }));
+  }
+  return materials.get(key);
+}
+
+// Полноэкранный прямоугольник с материалом прохода -> target
+function renderPass(material, target) {
+  if (!quad) {
+    quad = {
+      scene: new THREE.Scene(),
+      camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+      mesh: new THREE.Mesh(new THREE.PlaneGeometry(2, 2)),
+    };
+    quad.mesh.frustumCulled = false;
+    quad.scene.add(quad.mesh);
+  }
+  quad.mesh.material = material;
+  const previousTarget = renderer.getRenderTarget();
+  renderer.setRenderTarget(target);
+  renderer.render(quad.scene, quad.camera);
+  renderer.setRenderTarget(previousTarget);
+}
+
+function createTarget(width, height, colorSpace) {
+  return track(new THREE.WebGLRenderTarget(width, height, {
+    depthBuffer: false,
+    colorSpace,
+    generateMipmaps: true,
+    minFilter: THREE.LinearMipmapLinearFilter,
+    magFilter: THREE.LinearFilter,
+    wrapS: THREE.RepeatWrapping,
+    wrapT: THREE.ClampToEdgeWrapping,
+    anisotropy: renderer.capabilities.getMaxAnisotropy(),
+  }));
+}
+
+function track(target) {
+  targets.set(target.texture, target);
+  return target;
+}
+
+/**
+ * Процедурные текстуры планет, запечённые на GPU: шейдер рисует развёртку сферы в render target
+ * один раз при создании тела. Шум берётся в точке единичной сферы, поэтому швов нет,
+ * а запекание занимает миллисекунды вместо попиксельного fillRect на CPU.
+ */
+export default class PlanetTextures {
+  // Вызывается один раз из Game до создания тел
+  static setRenderer(value) {
+    renderer = value;
+  }
+
+  // Разрешение развёртки по радиусу тела: крупным — больше деталей
+  static sizeForRadius(radius) {
+    if (radius >= 2000) return 2048;
+    if (radius >= 600) return 1024;
+    return 512;
+  }
+
+  /**
+   * kind — 'rocky' | 'gas' | 'ice'; color — THREE.Color (линейный).
+   * Возвращает { map, normalMap, heightMap }; у гладких поверхностей normalMap и heightMap — null.
+   */
+  static bake(kind, { seed = 0, color = new THREE.Color(0xffffff), size = 1024 } = {}) {
+    if (!renderer) throw new Error('PlanetTextures.setRenderer() не вызван — нечем запекать текстуры');
+    const family = SURFACES[kind] ? kind : 'rocky';
+    const surface = SURFACES[family];
+    const width = size * 2;
+    const height = size;
+    uniforms.uColor.value.copy(color);
+    uniforms.uOffset.value.copy(seedOffset(seed));
+    uniforms.uTexel.value.set(1 / width, 1 / height);
+    uniforms.uRelief.value = surface.relief;
+    uniforms.uHeight.value = null;
+
+    let heightTarget = null;
+    if (surface.height) {
+      // Упакованная высота: без фильтрации и sRGB, иначе байты смешаются
+      heightTarget = track(new THREE.WebGLRenderTarget(width, height, {
+        depthBuffer: false,
+        generateMipmaps: false,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        wrapS: THREE.RepeatWrapping,
+        wrapT: THREE.ClampToEdgeWrapping,
+      }));
+      renderPass(passMaterial(`${family}:height`, FRAGMENT_HEIGHT(surface)), heightTarget);
+      uniforms.uHeight.value = heightTarget.texture;
+    }
+
+    const mapTarget = createTarget(width, height, THREE.SRGBColorSpace);
+    renderPass(passMaterial(`${family}:color`, FRAGMENT_COLOR(surface)), mapTarget);
+
+    let normalTarget = null;
+    if (heightTarget) {
+      normalTarget = createTarget(width, height, THREE.NoColorSpace);
+      renderPass(passMaterial('normal', FRAGMENT_NORMAL), normalTarget);
+    }
+    uniforms.uHeight.value = null;
+
+    return {
+      map: mapTarget.texture,
+      normalMap: normalTarget ? normalTarget.texture : null,
+      heightMap: heightTarget ? heightTarget.texture : null,
+    };
+  }
+
+  /**
+   * Карта ночных огней по чертам мира: traits = { civilisation, volcanic } (сила 0..1).
+   * heightMap — из bake(): по ней города не заходят в воду ниже seaLevel (null — океана нет).
+   */
+  static bakeNightLights(traits, { seed = 0, heightMap, seaLevel = null, size = 1024 } = {}) {
+    if (!renderer) throw new Error('PlanetTextures.setRenderer() не вызван — нечем запекать текстуры');
+    uniforms.uOffset.value.copy(seedOffset(seed));
+    uniforms.uHeight.value = heightMap;
+    uniforms.uSeaLevel.value = seaLevel ?? -1;
+    uniforms.uCivilisation.value = traits.civilisation ?? 0;
+    uniforms.uVolcanic.value = traits.volcanic ?? 0;
+    const target = createTarget(size * 2, size, THREE.NoColorSpace);
+    renderPass(passMaterial('night-lights', FRAGMENT_NIGHT_LIGHTS), target);
+    uniforms.uHeight.value = null;
+    return target.texture;
+  }
+
+  // Карта облаков: цвет color, плотность в альфе; coverage — доля неба под облаками (0..1)
+  static bakeClouds({ seed = 0, coverage = 0.5, color = new THREE.Color(0xffffff), size = 1024 } = {}) {
+    if (!renderer) throw new Error('PlanetTextures.setRenderer() не вызван — нечем запекать текстуры');
+    uniforms.uColor.value.copy(color);
+    uniforms.uOffset.value.copy(seedOffset(seed));
+    uniforms.uCoverage.value = coverage;
+    const target = createTarget(size * 2, size, THREE.NoColorSpace);
+    renderPass(passMaterial('clouds', FRAGMENT_CLOUDS), target);
+    return target.texture;
+  }
+
+  /**
+   * Пиксели запечённой текстуры для кэша: { width, height, data, colorSpace, nearest }.
+   * Чтение асинхронное (без остановки конвейера GPU); null — текстура не из bake*().
+   */
+  static async readPixels(texture) {
+    const target = targets.get(texture);
+    if (!target) return null;
+    const { width, height } = target;
+    const data = new Uint8Array(width * height * 4);
+    await renderer.readRenderTargetPixelsAsync(target, 0, 0, width, height, data);
+    return { width, height, data, colorSpace: texture.colorSpace, nearest: texture.minFilter === THREE.NearestFilter };
+  }
+
+  // Освобождение запечённой текстуры вместе с её render target
+  static release(texture) {
+    const target = targets.get(texture);
+    if (target) target.dispose();
+    else texture.dispose();
+  }
+
+  // Текстура из пикселей кэша с теми же настройками, что у запечённой
+  static fromPixels({ width, height, data, colorSpace, nearest }) {
+    const texture = new THREE.DataTexture(data, width, height);
+    texture.colorSpace = colorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    if (nearest) {
+      texture.minFilter = THREE.NearestFilter;
+      texture.magFilter = THREE.NearestFilter;
+    } else {
+      texture.minFilter = THREE.LinearMipmapLinearFilter;
+      texture.magFilter = THREE.LinearFilter;
+      texture.generateMipmaps = true;
+      texture.anisotropy = renderer ? renderer.capabilities.getMaxAnisotropy() : 1;
+    }
+    texture.needsUpdate = true;
+    return texture;
+  }
+}
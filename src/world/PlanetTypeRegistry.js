@@ -0,0 +1,124 @@
+// Реестр типов планет. Один тип описывает и правила генерации, и материал Planet,
+// поэтому новый мир добавляется одним файлом в planetTypes/ без правок генератора и Planet.
+
+const registry = new Map();
+
+// Черты мира (генератор v4) и их подписи для HUD. Значение черты у планеты — сила 0..1
+export const PLANET_TRAITS = {
+  civilisation: 'огни городов',
+  volcanic: 'вулканизм',
+};
+
+// Вертикальная оптическая толщина земного неба по каналам RGB (рэлеевское рассеяние)
+export const EARTH_RAYLEIGH = [0.046, 0.108, 0.265];
+
+/**
+ * Рассеяние по цвету атмосферы — для типов без своих коэффициентов и конфигов без scattering
+ * (генератор до v5, старые файлы): рэлеевская толщина по линейным каналам цвета, дымка Ми серая.
+ */
+export function scatteringFromColor(color, strength = 1) {
+  const channel = (shift) => (((color >> shift) & 255) / 255) ** 2;
+  return {
+    rayleigh: [channel(16), channel(8), channel(0)].map((c) => 0.25 * strength * c),
+    mie: [0.02, 0.02, 0.02].map((c) => c * strength),
+    mieG: 0.76,
+    scaleHeight: 0.25,
+  };
+}
+
+// Базовые материалы Planet по семейству
+const FAMILY_MATERIALS = {
+  rocky: (planet, baseColor) => planet.createRockyPlanetMaterial(baseColor),
+  gas: (planet, baseColor) => planet.createGasGiantMaterial(baseColor),
+  ice: (planet, baseColor) => planet.createIcePlanetMaterial(baseColor),
+};
+
+// Средняя плотность по семейству, г/см³ (Земля, Юпитер, Уран)
+const FAMILY_DENSITY = {
+  rocky: 5.5,
+  gas: 1.3,
+  ice: 1.6,
+};
+
+/**
+ * Определение типа:
+ *  id             — он же climate у конфига планеты;
+ *  label          — подпись для HUD;
+ *  family         — 'rocky' | 'gas' | 'ice': масса, число спутников, базовый материал;
+ *  since          — с какой версии генератора тип участвует в выборе (новый тип меняет
+ *                   веса, поэтому для старых версий его не видно);
+ *  weight(ctx)    — относительная вероятность на орбите, ctx = { version, temperatureK, distance,
+ *                   zone, lavaTemperature, frostTemperature }; 0 — тип здесь не встречается;
+ *  radius         — [min, max] в радиусах Земли;
+ *  density        — средняя плотность, г/см³ (по умолчанию — по семейству);
+ *  palette        — { hue, saturation, lightness } (диапазоны) или функция ctx -> такой объект;
+ *  ringChance, atmosphereChance — шансы колец и атмосферы;
+ *  cloudCoverage  — [min, max] доли неба под облаками у тела с атмосферой (конкретная — по сиду);
+ *  traits         — шансы черт мира { civilisation, volcanic } (см. PLANET_TRAITS);
+ *  atmosphere(rand, { radius, color }) — параметры атмосферы;
+ *  scattering(rand, { color }) — рассеяние в атмосфере (генератор v5, color — цвет атмосферы):
+ *                   { rayleigh, mie } — вертикальные оптические толщины [r, g, b], mieG — асимметрия
+ *                   рассеяния Ми, scaleHeight — высота однородной атмосферы в долях её толщины;
+ *  createMaterial(planet, baseColor) — материал (по умолчанию — материал семейства).
+ */
+export function registerPlanetType(definition) {
+  if (!definition || typeof definition.id !== 'string') {
+    throw new Error('Тип планеты должен иметь строковый id');
+  }
+  const family = definition.family ?? 'rocky';
+  if (!FAMILY_MATERIALS[family]) {
+    throw new Error(`Тип планеты "${definition.id}": неизвестное семейство "${family}"`);
+  }
+  registry.set(definition.id, {
+    label: definition.id,
+    since: 1,
+    weight: () => 0,
+    radius: [0.6, 1.6],
+    density: FAMILY_DENSITY[family],
+    palette: { hue: [0, 360], saturation: [0.2, 0.5], lightness: [0.35, 0.55] },
+    ringChance: family === 'gas' ? 0.4 : 0.15,
+    atmosphereChance: 0,
+    cloudCoverage: [0.3, 0.6],
+    traits: {},
+    atmosphere: (rand, { radius, color }) => ({
+      thickness: radius * rand(0.05, 0.1),
+      color,
+      intensity: rand(0.6, 1.0),
+      fresnelPower: rand(2.0, 3.5),
+    }),
+    scattering: (rand, { color }) => ({ ...scatteringFromColor(color, rand(0.7, 1.3)), mieG: rand(0.7, 0.85) }),
+    createMaterial: FAMILY_MATERIALS[family],
+    ...definition,
+    family,
+  });
+}
+
+export function getPlanetType(id) {
+  return registry.get(id) ?? null;
+}
+
+// Тип для готового тела: по климату, иначе по семейству (кометы, старые файлы без климата)
+export function resolvePlanetType({ climate, planetType }) {
+  return getPlanetType(climate) ?? getPlanetType(planetType) ?? getPlanetType('rocky');
+}
+
+export function planetTypes() {
+  return [...registry.values()];
+}
+
+// Выбор типа по весам для данной орбиты (один вызов rand); ctx.version — версия генератора.
+// accept(type) сужает выбор; если подходящих нет — rocky (или null, когда задан accept)
+export function pickPlanetType(ctx, rand, accept = null) {
+  const weighted = planetTypes()
+    .filter((type) => type.since <= (ctx.version ?? Infinity) && (!accept || accept(type)))
+    .map((type) => ({ type, weight: Math.max(0, type.weight(ctx)) }))
+    .filter((entry) => entry.weight > 0);
+  if (weighted.length === 0) return accept ? null : getPlanetType('rocky');
+  const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = rand(0, total);
+  for (const entry of weighted) {
+    roll -= entry.weight;
+    if (roll <= 0) return entry.type;
+  }
+  return weighted[weighted.length - 1].type;
+}
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { disposeObject } from './Disposal.js';
+import TextureWorkerPool from './TextureWorkerPool.js';
 
 /**
  * Компактные скопления звёзд: точки с гауссовским распределением в нескольких кластерах.
@@ -18,7 +20,24 @@ export default class StarClusters {
 
     const rng = StarClusters.makeRng(typeof seed === 'number' ? seed : StarClusters.stringToSeed(String(seed)));
 
-    const dotTexture = StarClusters.createDotTexture();
+    // Своя текстура точки (шире свечение, чем у Stars) — из воркера; до неё скопления скрыты
+    const dotTexture = { value: null };
+    this.group.visible = false;
+    this.disposed = false;
+    TextureWorkerPool.shared().generate('clusterDot', 128, {}, 'звёздные скопления')
+      // Не нарисовалась — скопления видны простыми точками, ошибку покажет индикатор загрузки
+      .catch(() => TextureWorkerPool.fallbackTexture())
+      .then((texture) => {
+        // Система сменилась, пока текстура рисовалась
+        if (this.disposed) {
+          if (!texture.userData.shared) texture.dispose();
+          return;
+        }
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        dotTexture.value = texture;
+        this.group.visible = true;
+      });
 
     for (let c = 0; c < clusters; c += 1) {
       const dir = StarClusters.randomUnitVector(rng);
@@ -92,7 +111,7 @@ export default class StarClusters {
 
       const material = new THREE.ShaderMaterial({
         uniforms: {
-          pointTexture: { value: dotTexture }
+          pointTexture: dotTexture
         },
         vertexShader: `
           attribute float size;
@@ -185,47 +204,15 @@ export default class StarClusters {
     return new THREE.Vector3(gaussian(), gaussian(), gaussian());
   }
 
-  static createDotTexture(size = 128) {
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, size, size);
-
-    const centerX = size / 2;
-    const centerY = size / 2;
-
-    // Основное свечение звезды
-    const mainGradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, size * 0.4);
-    mainGradient.addColorStop(0.0, 'rgba(255,255,255,1.0)');
-    mainGradient.addColorStop(0.1, 'rgba(255,255,255,0.9)');
-    mainGradient.addColorStop(0.3, 'rgba(255,255,255,0.6)');
-    mainGradient.addColorStop(0.6, 'rgba(255,255,255,0.2)');
-    mainGradient.addColorStop(1.0, 'rgba(255,255,255,0.0)');
-
-    ctx.fillStyle = mainGradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, size * 0.4, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Дополнительное внешнее свечение для больших звезд
-    const outerGradient = ctx.createRadialGradient(centerX, centerY, size * 0.2, centerX, centerY, size * 0.5);
-    outerGradient.addColorStop(0.0, 'rgba(255,255,255,0.0)');
-    outerGradient.addColorStop(0.5, 'rgba(255,255,255,0.1)');
-    outerGradient.addColorStop(1.0, 'rgba(255,255,255,0.0)');
-
-    ctx.fillStyle = outerGradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, size * 0.5, 0, Math.PI * 2);
-    ctx.fill();
-
-    return new THREE.CanvasTexture(canvas);
-  }
-
   addTo(scene) {
     scene.add(this.group);
   }
 
+  dispose() {
+    this.disposed = true;
+    disposeObject(this.group);
+  }
+
   update(camera) {
     if (camera && camera.position) {
       this.group.position.copy(camera.position);
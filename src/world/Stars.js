@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { disposeObject } from './Disposal.js';
+import TextureWorkerPool from './TextureWorkerPool.js';
+
+const DOT_TEXTURE_SIZE = 128;
+let dotTexturePromise = null;
 
 /**
  * Звёздное небо как точки в большом сферическом объёме.
@@ -18,8 +23,6 @@ export default class Stars {
 
     const rng = Stars.makeRng(typeof seed === 'number' ? seed : Stars.stringToSeed(String(seed)));
 
-    // Текстура круглой точки
-    const dotTexture = Stars.createDotTexture();
 
     // Два слоя — дальний и ближний (немного крупнее и ярче)
     const farCount = Math.floor(count * (1 - nearFraction));
@@ -30,7 +33,6 @@ export default class Stars {
       count: farCount,
       radius,
       size: sizeFar,
-      texture: dotTexture,
       baseOpacity: 0.95,
     });
 
@@ -39,13 +41,24 @@ export default class Stars {
       count: nearCount,
       radius: radius * 0.66,
       size: sizeNear,
-      texture: dotTexture,
       baseOpacity: 1.0,
     });
 
     if (farPoints) this.group.add(farPoints);
     if (nearPoints) this.group.add(nearPoints);
 
+    // Пока нет текстуры точки, звёзды скрыты
+    this.group.visible = false;
+    Stars.loadDotTexture()
+      // Не нарисовалась — звёзды видны простыми точками, ошибку покажет индикатор загрузки
+      .catch(() => TextureWorkerPool.fallbackTexture())
+      .then((texture) => {
+        this.group.children.forEach((points) => {
+          points.material.uniforms.pointTexture.value = texture;
+        });
+        this.group.visible = true;
+      });
+
     // Без автоматического вращения — звёзды статичны
     this.autoSlowRotation = false;
     this.rotationSpeed = 0.0;
@@ -68,64 +81,32 @@ export default class Stars {
     };
   }
 
-  static createDotTexture(size = 128) {
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    ctx.clearRect(0, 0, size, size);
-
-    const centerX = size / 2;
-    const centerY = size / 2;
-
-    // Основное ядро звезды
-    const coreGradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, size * 0.15);
-    coreGradient.addColorStop(0.0, 'rgba(255,255,255,1.0)');
-    coreGradient.addColorStop(0.5, 'rgba(255,255,255,0.95)');
-    coreGradient.addColorStop(1.0, 'rgba(255,255,255,0.8)');
-
-    ctx.fillStyle = coreGradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, size * 0.15, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Основное свечение
-    const mainGradient = ctx.createRadialGradient(centerX, centerY, size * 0.1, centerX, centerY, size * 0.4);
-    mainGradient.addColorStop(0.0, 'rgba(255,255,255,0.7)');
-    mainGradient.addColorStop(0.3, 'rgba(255,255,255,0.4)');
-    mainGradient.addColorStop(0.7, 'rgba(255,255,255,0.15)');
-    mainGradient.addColorStop(1.0, 'rgba(255,255,255,0.0)');
-
-    ctx.fillStyle = mainGradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, size * 0.4, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Внешнее мягкое свечение для ярких звезд
-    const outerGradient = ctx.createRadialGradient(centerX, centerY, size * 0.3, centerX, centerY, size * 0.5);
-    outerGradient.addColorStop(0.0, 'rgba(255,255,255,0.0)');
-    outerGradient.addColorStop(0.5, 'rgba(255,255,255,0.08)');
-    outerGradient.addColorStop(1.0, 'rgba(255,255,255,0.0)');
-
-    ctx.fillStyle = outerGradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, size * 0.5, 0, Math.PI * 2);
-    ctx.fill();
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
-    texture.minFilter = THREE.LinearFilter;
-    texture.magFilter = THREE.LinearFilter;
-    texture.generateMipmaps = false;
-    texture.premultiplyAlpha = true;
-    return texture;
+  // Текстура круглой точки — одна на все слои и на NeighbourStars, рисуется в воркере
+  static loadDotTexture() {
+    if (!dotTexturePromise) {
+      dotTexturePromise = TextureWorkerPool.shared().generate('starDot', DOT_TEXTURE_SIZE, {}, 'звёзды').then((texture) => {
+        texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.generateMipmaps = false;
+        texture.premultiplyAlpha = true;
+        texture.needsUpdate = true;
+        // Живёт всю сессию: dispose систем её не трогает
+        texture.userData.shared = true;
+        return texture;
+      }, (error) => {
+        // Следующая система попробует нарисовать заново
+        dotTexturePromise = null;
+        throw error;
+      });
+    }
+    return dotTexturePromise;
   }
 
   /**
    * Создаёт слой точек, равномерно раскиданных по поверхности сферы с небольшой толщиной.
    */
-  createLayer({ rng, count, radius, size, texture, baseOpacity }) {
+  createLayer({ rng, count, radius, size, baseOpacity }) {
     if (count <= 0) return null;
 
     const positions = new Float32Array(count * 3);
@@ -193,7 +174,7 @@ export default class Stars {
 
     const material = new THREE.ShaderMaterial({
       uniforms: {
-        pointTexture: { value: texture },
+        pointTexture: { value: null },
         baseOpacity: { value: baseOpacity }
       },
       vertexShader: `
@@ -250,6 +231,10 @@ export default class Stars {
     scene.add(this.group);
   }
 
+  dispose() {
+    disposeObject(this.group);
+  }
+
   /**
    * Центрируем звёзды на камере.
    */
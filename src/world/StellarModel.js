@@ -0,0 +1,132 @@
+// Модель звезды по спектральным классам: масса -> светимость, радиус, температура -> цвет.
+// Все физические величины в солнечных единицах, температура в кельвинах.
+
+const SUN_TEMPERATURE = 5772;
+
+// Границы классов по температуре (от горячих к холодным)
+const SPECTRAL_CLASSES = [
+  { name: 'O', minT: 30000, maxT: 50000 },
+  { name: 'B', minT: 10000, maxT: 30000 },
+  { name: 'A', minT: 7500, maxT: 10000 },
+  { name: 'F', minT: 6000, maxT: 7500 },
+  { name: 'G', minT: 5200, maxT: 6000 },
+  { name: 'K', minT: 3700, maxT: 5200 },
+  { name: 'M', minT: 2400, maxT: 3700 },
+];
+
+// Что выбираем для главной звезды. Частоты сдвинуты к «интересным» звёздам,
+// иначе почти все системы были бы у красных карликов.
+const STAR_KINDS = [
+  { kind: 'main', minMass: 16, maxMass: 40, weight: 0.01 }, // O
+  { kind: 'main', minMass: 2.1, maxMass: 16, weight: 0.03 }, // B
+  { kind: 'main', minMass: 1.4, maxMass: 2.1, weight: 0.06 }, // A
+  { kind: 'main', minMass: 1.04, maxMass: 1.4, weight: 0.12 }, // F
+  { kind: 'main', minMass: 0.8, maxMass: 1.04, weight: 0.2 }, // G
+  { kind: 'main', minMass: 0.45, maxMass: 0.8, weight: 0.25 }, // K
+  { kind: 'main', minMass: 0.1, maxMass: 0.45, weight: 0.25 }, // M
+  { kind: 'giant', minMass: 1.0, maxMass: 5.0, weight: 0.04 },
+  { kind: 'white-dwarf', minMass: 0.5, maxMass: 1.1, weight: 0.04 },
+];
+
+// Светимость главной последовательности по массе (кусочная степенная зависимость)
+function mainSequenceLuminosity(mass) {
+  if (mass < 0.43) return 0.23 * Math.pow(mass, 2.3);
+  if (mass < 2) return Math.pow(mass, 4);
+  if (mass < 55) return 1.4 * Math.pow(mass, 3.5);
+  return 32000 * mass;
+}
+
+function mainSequenceRadius(mass) {
+  return mass < 1 ? Math.pow(mass, 0.8) : Math.pow(mass, 0.57);
+}
+
+// Закон Стефана — Больцмана: L = R² T⁴ (в солнечных единицах)
+function temperatureFrom(luminosity, radius) {
+  return SUN_TEMPERATURE * Math.pow(luminosity / (radius * radius), 0.25);
+}
+
+function luminosityFrom(radius, temperatureK) {
+  return radius * radius * Math.pow(temperatureK / SUN_TEMPERATURE, 4);
+}
+
+// Обозначение вида G2V / K3III / DA4
+export function spectralType(temperatureK, kind = 'main') {
+  if (kind === 'white-dwarf') {
+    const index = Math.max(1, Math.min(9, Math.round(50400 / temperatureK)));
+    return `DA${index}`;
+  }
+  const cls = SPECTRAL_CLASSES.find((c) => temperatureK >= c.minT) || SPECTRAL_CLASSES[SPECTRAL_CLASSES.length - 1];
+  const t = (cls.maxT - Math.min(cls.maxT, temperatureK)) / (cls.maxT - cls.minT);
+  const subclass = Math.max(0, Math.min(9, Math.floor(t * 10)));
+  return `${cls.name}${subclass}${kind === 'giant' ? 'III' : 'V'}`;
+}
+
+// Цвет абсолютно чёрного тела (аппроксимация Tanner Helland), 0xRRGGBB в sRGB
+export function blackbodyColor(temperatureK) {
+  const t = Math.max(1000, Math.min(40000, temperatureK)) / 100;
+  let r, g, b;
+  if (t <= 66) {
+    r = 255;
+    g = 99.4708025861 * Math.log(t) - 161.1195681661;
+    b = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  } else {
+    r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    b = 255;
+  }
+  const clamp = (v) => Math.round(Math.max(0, Math.min(255, v)));
+  return (clamp(r) << 16) + (clamp(g) << 8) + clamp(b);
+}
+
+function logUniform(rand, min, max) {
+  return Math.exp(rand(Math.log(min), Math.log(max)));
+}
+
+function starFromKind(kind, mass, rand) {
+  let radius;
+  let luminosity;
+  let temperatureK;
+  if (kind === 'giant') {
+    radius = rand(10, 60);
+    temperatureK = rand(3500, 5200);
+    luminosity = luminosityFrom(radius, temperatureK);
+  } else if (kind === 'white-dwarf') {
+    radius = 0.0126 * Math.pow(mass, -1 / 3);
+    temperatureK = rand(6000, 30000);
+    luminosity = luminosityFrom(radius, temperatureK);
+  } else {
+    radius = mainSequenceRadius(mass);
+    luminosity = mainSequenceLuminosity(mass);
+    temperatureK = temperatureFrom(luminosity, radius);
+  }
+  return {
+    kind,
+    spectralType: spectralType(temperatureK, kind),
+    temperatureK,
+    mass,
+    radiusSolar: radius,
+    luminosity,
+  };
+}
+
+// Главная звезда системы
+export function randomStellarParameters(rand) {
+  const total = STAR_KINDS.reduce((sum, k) => sum + k.weight, 0);
+  let roll = rand(0, total);
+  let picked = STAR_KINDS[STAR_KINDS.length - 1];
+  for (const k of STAR_KINDS) {
+    roll -= k.weight;
+    if (roll <= 0) {
+      picked = k;
+      break;
+    }
+  }
+  const mass = logUniform(rand, picked.minMass, picked.maxMass);
+  return starFromKind(picked.kind, mass, rand);
+}
+
+// Компаньон: звезда главной последовательности не тяжелее заданной массы
+export function randomCompanionParameters(maxMass, rand) {
+  const mass = Math.max(0.08, maxMass * rand(0.2, 0.95));
+  return starFromKind('main', mass, rand);
+}
@@ -1,7 +1,23 @@
 import * as THREE from 'three';
+import { keplerPosition, wrapAngle } from './Kepler.js';
+import { disposeObject } from './Disposal.js';
 
 export default class Sun {
-  constructor({ radius = 10, color = 0xffcc33, lightColor = 0xffa000, lightIntensity = 5 } = {}) {
+  constructor({
+    id = 'A',
+    radius = 10,
+    color = 0xffcc33,
+    lightColor = 0xffa000,
+    lightIntensity = 5,
+    // Орбита вокруг барицентра для кратных систем:
+    // { barycenter, semiMajorAxis, eccentricity, orbitSpeed, inclination, ascendingNode, argPeriapsis, initialAnomaly }
+    orbit = null,
+  } = {}) {
+    this.id = id;
+    this.radius = radius;
+    this.orbit = orbit;
+    this.meanAnomaly = orbit ? orbit.initialAnomaly ?? 0 : 0;
+    this._offset = new THREE.Vector3();
     this.group = new THREE.Group();
 
     // Сфера солнца (яркая «самосветящаяся»)
@@ -10,17 +26,12 @@ export default class Sun {
     this.mesh = new THREE.Mesh(geometry, material);
     this.group.add(this.mesh);
 
-    // Точечный источник света от Солнца
+    // Точечный источник света от Солнца; тени тел — аналитические затмения (Eclipses.js)
     this.light = new THREE.PointLight(lightColor, lightIntensity, 0, 2);
-    this.light.castShadow = true;
-    this.light.shadow.mapSize.width = 2048;
-    this.light.shadow.mapSize.height = 2048;
-    this.light.shadow.camera.near = 0.1;
-    this.light.shadow.camera.far = 1000;
     this.group.add(this.light);
 
     // Корона/сияние — два спрайта с аддитивным смешением
-    const coronaTexture = Sun.createRadialGradientTexture('#ffcc33', '#ffaa00');
+    const coronaTexture = Sun.createRadialGradientTexture(color, lightColor);
     const coronaMaterialOuter = new THREE.SpriteMaterial({
       map: coronaTexture,
       color: 0xffffff,
@@ -106,9 +117,25 @@ export default class Sun {
     scene.add(this.group);
   }
 
+  dispose() {
+    disposeObject(this.group);
+  }
+
   update(deltaSeconds) {
     this.mesh.rotation.y += this.rotationSpeed * deltaSeconds;
   }
+
+  // Движение по орбите вокруг барицентра (вместе со светом — он в той же группе)
+  updateOrbit(deltaSeconds, barycenterPosition) {
+    if (!this.orbit) return;
+    this.meanAnomaly = wrapAngle(this.meanAnomaly + this.orbit.orbitSpeed * deltaSeconds);
+    keplerPosition(this.orbit, this.meanAnomaly, this._offset);
+    this.group.position.copy(barycenterPosition).add(this._offset);
+  }
+
+  getWorldPosition(target) {
+    return target.copy(this.group.position);
+  }
 }
 
 
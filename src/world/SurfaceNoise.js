@@ -0,0 +1,64 @@
+import { fbm, hash33, ridge } from './Noise.js';
+
+// Рельеф поверхности на CPU — точная копия surfaceHeight из шейдеров PlanetTextures.js (шум —
+// общий, из Noise.js), чтобы геометрия LOD совпадала с запечённой текстурой.
+// При правке шейдера правится и этот файл; расхождение ловит test/surfaceNoise.test.js.
+
+function craters(dx, dy, dz, frequency, density, offset) {
+  const qx = dx * frequency + offset.x;
+  const qy = dy * frequency + offset.y;
+  const qz = dz * frequency + offset.z;
+  const cellX = Math.floor(qx);
+  const cellY = Math.floor(qy);
+  const cellZ = Math.floor(qz);
+  let h = 0;
+  for (let x = -1; x <= 1; x += 1) {
+    for (let y = -1; y <= 1; y += 1) {
+      for (let z = -1; z <= 1; z += 1) {
+        const cx = cellX + x;
+        const cy = cellY + y;
+        const cz = cellZ + z;
+        const rnd2 = hash33(cx + 17, cy + 17, cz + 17);
+        if (rnd2[0] > density) continue;
+        const rnd = hash33(cx, cy, cz);
+        const radius = 0.2 + (0.45 - 0.2) * rnd2[1];
+        const ex = qx - cx - rnd[0];
+        const ey = qy - cy - rnd[1];
+        const ez = qz - cz - rnd[2];
+        const d = Math.sqrt(ex * ex + ey * ey + ez * ez) / radius;
+        const bowl = d < 1 ? d * d - 1 : 0;
+        const rimDistance = (d - 1) * 4;
+        const rim = Math.exp(-rimDistance * rimDistance) * 0.35;
+        h += (bowl + rim) * radius;
+      }
+    }
+  }
+  return h;
+}
+
+function cracks(dx, dy, dz, offset) {
+  const coarse = ridge(dx * 6 + offset.x, dy * 6 + offset.y, dz * 6 + offset.z);
+  const fine = ridge(dx * 19 + offset.x * 1.3, dy * 19 + offset.y * 1.3, dz * 19 + offset.z * 1.3);
+  return smoothstep(0.93, 0.995, coarse) + 0.5 * smoothstep(0.95, 0.995, fine);
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Высота поверхности в [0, 1] в точке единичной сферы (dx, dy, dz), как surfaceHeight в шейдере.
+ * kind — 'rocky' | 'ice'; у газовых гигантов поверхности нет — 0.5.
+ */
+export function surfaceHeight(kind, dx, dy, dz, offset) {
+  if (kind === 'ice') {
+    return 0.5 + 0.15 * fbm(dx * 3 + offset.x, dy * 3 + offset.y, dz * 3 + offset.z, 5) - 0.12 * cracks(dx, dy, dz, offset);
+  }
+  if (kind === 'gas') return 0.5;
+  let h = 0.5 + 0.22 * fbm(dx * 2 + offset.x, dy * 2 + offset.y, dz * 2 + offset.z, 6);
+  h += 0.2 * craters(dx, dy, dz, 5, 0.35, offset);
+  h += 0.1 * craters(dx, dy, dz, 13, 0.5, offset);
+  h += 0.05 * craters(dx, dy, dz, 31, 0.6, offset);
+  return h;
+}
@@ -1,8 +1,29 @@
 // Генератор случайной звёздной системы (с сидом)
+import { meanMotion } from './Kepler.js';
+import { blackbodyColor, randomCompanionParameters, randomStellarParameters } from './StellarModel.js';
+import { moonSystemExtent, stabilizePlanets } from './OrbitalStability.js';
+import { AU, estimateMass, planetPhysics } from './PlanetPhysics.js';
+import { getPlanetType, pickPlanetType, PLANET_TRAITS } from './PlanetTypeRegistry.js';
+import { assignDesignations, createNamer, NAME_STYLES } from './NameGenerator.js';
+import './planetTypes/index.js';
+
+// Версии алгоритма генерации. Всё, что меняет порядок или смысл вызовов rand, включается
+// только начиная с новой версии (if (version >= N) ...), старые ветки не трогаем:
+// ссылка ?seed=…&v=1 должна всегда показывать ту же систему. Вывод каждой версии закреплён
+// golden-тестами в test/.
+//  2 — имена из марковских цепей (один «язык» на систему), имя системы и каталожные обозначения
+//  3 — физические характеристики планет (planet.physics)
+//  4 — черты миров: города и вулканизм (planet.traits)
+//  5 — коэффициенты рассеяния атмосфер (planet.atmosphere.scattering); fresnelPower больше не пишется
+//  6 — тип планеты перепроверяется после сдвига орбит (устойчивость, щель под пояс)
+//      и щель под пояс не выталкивает планеты дальше MAX_PLANET_ORBIT; разнос по Хиллу — с учётом
+//      роста радиуса Хилла при сдвиге орбиты
+export const GENERATOR_VERSIONS = [1, 2, 3, 4, 5, 6];
+export const CURRENT_GENERATOR_VERSION = GENERATOR_VERSIONS[GENERATOR_VERSIONS.length - 1];
 
 const SCALE_FACTOR = 1000;
 // строка -> 32-битный сид
-function stringToSeed(str) {
+export function stringToSeed(str) {
   let h = 2166136261 >>> 0;
   for (let i = 0; i < str.length; i += 1) {
     h ^= str.charCodeAt(i);
@@ -12,7 +33,7 @@ function stringToSeed(str) {
 }
 
 // xorshift32: возвращает функцию random() в [0,1)
-function makeRng(seed) {
+export function makeRng(seed) {
   let x = (seed >>> 0) || 123456789;
   return () => {
     x ^= x << 13; x ^= x >>> 17; x ^= x << 5;
@@ -20,7 +41,7 @@ function makeRng(seed) {
   };
 }
 
-function makeRandUtils(rng) {
+export function makeRandUtils(rng) {
   const rand = (min, max) => rng() * (max - min) + min;
   const randInt = (min, max) => Math.floor(rand(min, max + 1));
   const choice = (arr) => arr[randInt(0, arr.length - 1)];
@@ -48,19 +69,69 @@ function hslToHex(h, s, l) {
   return (R << 16) + (G << 8) + B;
 }
 
-function randomStar(rand, randInt, choice) {
-  // Цвет звезды ближе к чёрнотельным оттенкам: от красноватых до белых
-  const hue = rand(20, 65); // тёплые оттенки
-  const saturation = rand(0.6, 0.95);
-  const lightness = rand(0.5, 0.7);
-  const color = hslToHex(hue, saturation, lightness);
-  const lightColor = hslToHex(hue, 0.9, 0.75);
-  const radius = rand(7, 16) * SCALE_FACTOR;
-  // Яркость растёт ~ с площадью (упрощённо)
-  const lightIntensity = Math.round(1200 + Math.pow(radius, 2) * 12);
-  return { radius, color, lightColor, lightIntensity };
+// Визуальный радиус: реальные от 0.01 до 60 R☉ сжимаем в разумный для сцены диапазон
+function starRenderRadius(radiusSolar) {
+  return Math.max(2, Math.min(40, 10 * Math.pow(radiusSolar, 0.35))) * SCALE_FACTOR;
+}
+
+// Цвет сферы и света — по температуре, сила света — по светимости (со сжатием диапазона)
+function starFromParameters(params) {
+  const color = blackbodyColor(params.temperatureK);
+  return {
+    ...params,
+    radius: starRenderRadius(params.radiusSolar),
+    color,
+    lightColor: color,
+    lightIntensity: Math.round(1.2e9 * Math.pow(params.luminosity, 0.35)),
+  };
+}
+
+function randomStar(rand) {
+  return starFromParameters(randomStellarParameters(rand));
+}
+
+// Компаньон всегда легче главной звезды
+function randomCompanionStar(primary, rand) {
+  return starFromParameters(randomCompanionParameters(primary.mass, rand));
+}
+
+// Разнос орбит растёт с яркостью звезды (зоны по температуре отстоят как √L, здесь — мягче)
+function orbitSpacingScale(luminosity) {
+  return Math.max(0.6, Math.min(2.5, Math.pow(luminosity, 0.25)));
+}
+
+// Дальше этого расстояния правила устойчивости планеты не выталкивают (иначе система не влезает в кадр)
+export const MAX_PLANET_ORBIT = 800 * SCALE_FACTOR;
+// Афелии комет дальше планет, но не дальше дальней плоскости камеры
+const MAX_COMET_APHELION = 950 * SCALE_FACTOR;
+// Альбедо Бонда для оценки равновесной температуры (как у Земли)
+const BOND_ALBEDO = 0.3;
+// Выше этой температуры поверхность расплавлена
+const LAVA_TEMPERATURE = 700;
+// Снеговая линия: холоднее — летучие вещества замерзают, собираются газовые гиганты
+const FROST_TEMPERATURE = 150;
+
+// Равновесная температура: T = 278.6 K · L^¼ · (1 − A)^¼ / √d, d в а.е.
+function equilibriumTemperature(luminosity, distance) {
+  return 278.6 * Math.pow(luminosity, 0.25) * Math.pow(1 - BOND_ALBEDO, 0.25) / Math.sqrt(distance / AU);
+}
+
+// Зона обитаемости по потоку излучения: от 1.1 до 0.53 земного
+function habitableZone(luminosity) {
+  return {
+    innerRadius: Math.sqrt(luminosity / 1.1) * AU,
+    outerRadius: Math.sqrt(luminosity / 0.53) * AU,
+  };
+}
+
+// Мелкие тела без атмосферы (спутники, астероиды): только по температуре
+function airlessClimate(temperatureK) {
+  if (temperatureK >= LAVA_TEMPERATURE) return 'lava';
+  if (temperatureK < FROST_TEMPERATURE) return 'ice';
+  return 'desert';
 }
 
+// Имена версии 1: три фиксированных списка слогов (повторы возможны)
 function randomName(rand, randInt, choice) {
   const syllA = ['Ar', 'Bel', 'Cor', 'Dar', 'El', 'Fen', 'Gim', 'Hel', 'Ian', 'Jar', 'Kor', 'Lum', 'Mor', 'Ner', 'Or', 'Pra', 'Qua', 'Rin', 'Sol', 'Tor', 'Ur', 'Vor', 'Wen', 'Xan', 'Yor', 'Zel'];
   const syllB = ['a', 'e', 'i', 'o', 'u', 'ae', 'ia', 'eo', 'ou'];
@@ -70,73 +141,133 @@ function randomName(rand, randInt, choice) {
   return parts.join('');
 }
 
-function randomPlanetConfigs(starRadius, rand, randInt, choice) {
-  const numPlanets = randInt(4, 10);
+// Источник имён для тел системы (namer.next()) в зависимости от версии генератора
+function namerForVersion(version, rand, randInt, choice) {
+  if (version >= 2) return createNamer(choice(NAME_STYLES), rand);
+  return { style: null, next: () => randomName(rand, randInt, choice) };
+}
+
+// Цвет спутника или астероида без атмосферы по климату
+function moonColor(climate, rand) {
+  if (climate === 'lava') return hslToHex(rand(0, 25), rand(0.5, 0.8), rand(0.2, 0.35));
+  if (getPlanetType(climate).family === 'ice') return hslToHex(rand(190, 230), rand(0.1, 0.35), rand(0.65, 0.85));
+  return hslToHex(rand(20, 50), rand(0.05, 0.25), rand(0.35, 0.6));
+}
+
+// Что знает об орбите выбор типа планеты (ctx для weight и palette в реестре)
+function planetTypeContext(version, luminosity, distance) {
+  return {
+    version,
+    temperatureK: equilibriumTemperature(luminosity, distance),
+    distance,
+    zone: habitableZone(luminosity),
+    lavaTemperature: LAVA_TEMPERATURE,
+    frostTemperature: FROST_TEMPERATURE,
+  };
+}
+
+// Спутники планеты: больше у газовых гигантов, меньше у каменистых
+function randomMoonConfigs(planetType, planetRadius, ring, temperatureK, rand, randInt, names) {
+  let numMoons = 0;
+  if (planetType === 'gas') {
+    numMoons = randInt(2, 5);
+  } else if (planetType === 'ice') {
+    numMoons = randInt(0, 2);
+  } else {
+    numMoons = rand(0, 1) < 0.5 ? 0 : randInt(1, 2);
+  }
+
+  const moons = [];
+  // Первая орбита — за пределами колец и с запасом от поверхности планеты
+  let moonOrbit = Math.max(planetRadius * 2.2, ring ? ring.outerRadius * 1.15 : 0);
+
+  for (let i = 0; i < numMoons; i += 1) {
+    const name = names.next();
+    const radius = planetType === 'gas'
+      ? rand(0.15, 0.6) * SCALE_FACTOR
+      : Math.max(0.08 * SCALE_FACTOR, planetRadius * rand(0.12, 0.3));
+    const climate = airlessClimate(temperatureK);
+    const moonType = getPlanetType(climate).family;
+    const color = moonColor(climate, rand);
+
+    moonOrbit += radius + rand(0.5, 1.0) * planetRadius;
+    const orbitRadius = moonOrbit;
+    moonOrbit += radius;
+
+    moons.push({
+      name,
+      radius,
+      color,
+      orbitRadius,
+      // Спутники обращаются заметно быстрее планет
+      orbitSpeed: 60 / Math.sqrt(orbitRadius + 1),
+      rotationSpeed: rand(0.2, 1.0),
+      tilt: rand(-0.2, 0.2),
+      ring: null,
+      atmosphere: null,
+      planetType: moonType,
+      climate,
+      temperatureK,
+      seed: rand(0, 1000),
+      eccentricity: rand(0.0, 0.08),
+      inclination: rand(-0.1, 0.1),
+      ascendingNode: rand(0, Math.PI * 2),
+      argPeriapsis: rand(0, Math.PI * 2),
+      initialAnomaly: rand(0, Math.PI * 2),
+    });
+  }
+
+  // Радиус «системы спутников» — учитываем при разносе соседних орбит
+  const moonSystemRadius = moons.length > 0 ? moonOrbit : 0;
+  return { moons, moonSystemRadius };
+}
+
+// Планеты одной группы орбит вокруг звезды (S-тип) или вокруг пары (P-тип).
+// innerLimit/outerLimit — границы устойчивой зоны: перицентр и апоцентр из неё не выходят.
+function randomPlanetConfigs({
+  version,
+  innerOrbit,
+  innerLimit = 0,
+  outerLimit = Infinity,
+  barycenter = 'A',
+  centralMass = 1,
+  luminosity = 1,
+  minPlanets = 4,
+  maxPlanets = 10,
+}, rand, randInt, names) {
+  const numPlanets = randInt(minPlanets, maxPlanets);
   const planets = [];
-  let orbit = starRadius * 2.5 + rand(6, 12) * SCALE_FACTOR;
+  const spacing = orbitSpacingScale(luminosity) * SCALE_FACTOR;
+  const zone = habitableZone(luminosity);
+  let orbit = innerOrbit + rand(6, 12) * spacing;
   let maxOrbit = orbit;
 
   for (let i = 0; i < numPlanets; i += 1) {
-    const name = randomName(rand, randInt, choice);
-    
-    // Определяем тип планеты в зависимости от расстояния от звезды
-    let planetType = 'rocky';
-    let radius = rand(0.4, 1.8) * SCALE_FACTOR;
-    
-    if (i < 2) {
-      // Внутренние планеты - каменистые, меньшего размера
-      planetType = 'rocky';
-      radius = rand(0.4, 1.2) * SCALE_FACTOR;
-    } else if (i < 4) {
-      // Средние планеты - могут быть ледяными или каменистыми
-      planetType = rand(0, 1) < 0.3 ? 'ice' : 'rocky';
-      radius = rand(0.8, 1.8) * SCALE_FACTOR;
-    } else {
-      // Внешние планеты - газовые гиганты или ледяные
-      const typeRoll = rand(0, 1);
-      if (typeRoll < 0.6) {
-        planetType = 'gas';
-        radius = rand(2.0, 4.5) * SCALE_FACTOR; // Газовые гиганты крупнее
-      } else {
-        planetType = 'ice';
-        radius = rand(1.0, 2.2) * SCALE_FACTOR;
-      }
-    }
+    const name = names.next();
 
-    // Цвет в зависимости от типа планеты
-    let hue, saturation, lightness;
-    switch (planetType) {
-      case 'gas':
-        // Газовые гиганты - коричневые, оранжевые, желтые тона
-        hue = rand(20, 60);
-        saturation = rand(0.4, 0.8);
-        lightness = rand(0.4, 0.7);
-        break;
-      case 'ice':
-        // Ледяные планеты - голубые, белые тона
-        hue = rand(180, 240);
-        saturation = rand(0.3, 0.7);
-        lightness = rand(0.6, 0.9);
-        break;
-      case 'rocky':
-      default:
-        // Каменистые планеты - разнообразные цвета
-        hue = rand(0, 360);
-        saturation = rand(0.3, 0.9);
-        lightness = rand(0.3, 0.7);
-        break;
-    }
-    
+    // Тип планеты (он же климат) — из реестра, по равновесной температуре на её орбите
+    const typeContext = planetTypeContext(version, luminosity, orbit);
+    const { temperatureK } = typeContext;
+    const inHabitableZone = orbit >= zone.innerRadius && orbit <= zone.outerRadius;
+    const type = pickPlanetType(typeContext, rand);
+    const climate = type.id;
+    const planetType = type.family;
+
+    const palette = typeof type.palette === 'function' ? type.palette(typeContext) : type.palette;
+    const radius = rand(...type.radius) * SCALE_FACTOR;
+    const hue = rand(...palette.hue);
+    const saturation = rand(...palette.saturation);
+    const lightness = rand(...palette.lightness);
     const color = hslToHex(hue, saturation, lightness);
 
     const orbitRadius = orbit; // полуось a
-    // Kepler light: чем дальше, тем медленнее (произвольный масштаб)
-    const orbitSpeed = 12 / Math.sqrt(orbitRadius + 1);
+    const orbitSpeed = meanMotion(orbitRadius, centralMass);
     const rotationSpeed = rand(0.5, 3.5);
     const tilt = rand(-0.6, 0.6);
 
     // Орбитальные параметры
-    const eccentricity = Math.max(0, Math.min(0.45, rand(0.0, 0.35)));
+    // Перицентр не должен заходить во внутреннюю неустойчивую зону
+    const eccentricity = Math.max(0, Math.min(0.45, rand(0.0, 0.35), 1 - innerLimit / orbitRadius));
     const inclination = rand(-0.22, 0.22); // ~ -12.6..12.6°
     const ascendingNode = rand(0, Math.PI * 2);
     const argPeriapsis = rand(0, Math.PI * 2);
@@ -144,8 +275,7 @@ function randomPlanetConfigs(starRadius, rand, randInt, choice) {
 
     // Вероятность колец (выше для газовых гигантов)
     let ring = null;
-    const ringChance = planetType === 'gas' ? 0.4 : 0.15;
-    if (rand(0, 1) < ringChance && radius > 1.2 * SCALE_FACTOR) {
+    if (rand(0, 1) < type.ringChance && radius > 1.2 * SCALE_FACTOR) {
       ring = {
         innerRadius: radius * rand(1.2, 1.5),
         outerRadius: radius * rand(1.8, 2.6),
@@ -154,27 +284,22 @@ function randomPlanetConfigs(starRadius, rand, randInt, choice) {
       };
     }
 
-    // Атмосфера для газовых гигантов и некоторых других планет
+    // Спутники
+    const { moons, moonSystemRadius } = randomMoonConfigs(planetType, radius, ring, temperatureK, rand, randInt, names);
+
+    // Атмосфера: у газовых гигантов всегда, у остальных — с шансом типа
     let atmosphere = null;
-    if (planetType === 'gas') {
-      atmosphere = {
-        thickness: radius * rand(0.08, 0.15),
-        color: color,
-        intensity: rand(0.2, 0.4),
-        fresnelPower: rand(1.5, 2.5)
-      };
-    } else if (planetType === 'rocky' && rand(0, 1) < 0.3) {
-      // Некоторые каменистые планеты имеют атмосферу
-      atmosphere = {
-        thickness: radius * rand(0.05, 0.1),
-        color: 0x88ccff,
-        intensity: rand(0.6, 1.0),
-        fresnelPower: rand(2.0, 3.5)
-      };
+    const { atmosphereChance } = type;
+    if (atmosphereChance >= 1 || (atmosphereChance > 0 && rand(0, 1) < atmosphereChance)) {
+      atmosphere = type.atmosphere(rand, { radius, color });
     }
 
+    // Апоцентр вместе со спутниками за внешней границей — дальше только неустойчивые орбиты
+    if (orbitRadius * (1 + eccentricity) + moonSystemRadius > outerLimit) break;
+
     planets.push({
       name,
+      barycenter,
       radius,
       color,
       orbitRadius,
@@ -184,32 +309,517 @@ function randomPlanetConfigs(starRadius, rand, randInt, choice) {
       ring,
       atmosphere,
       planetType,
+      climate,
+      temperatureK,
+      inHabitableZone,
+      mass: estimateMass(radius, planetType),
       seed: rand(0, 1000),
       eccentricity,
       inclination,
       ascendingNode,
       argPeriapsis,
       initialAnomaly,
+      moons,
     });
 
-    // Следующая орбита с разбросом
-    orbit += rand(6, 12) * SCALE_FACTOR + radius * 1.5;
+    // Следующая орбита с разбросом (оставляем место под спутники)
+    orbit += rand(6, 12) * spacing + radius * 1.5 + moonSystemRadius;
     if (orbit > maxOrbit) maxOrbit = orbit;
   }
 
   return { planets, maxOrbit };
 }
 
-export function generateSystem(seed) {
-  // если сид не задан — используем случайное число
-  const seedValue = typeof seed === 'number' ? seed : stringToSeed(String(seed ?? `${Date.now()}`));
+function randomBeltConfig(kind, innerRadius, outerRadius, { barycenter, centralMass, luminosity }, rand, randInt, names) {
+  const isKuiper = kind === 'kuiper';
+  const color = isKuiper
+    ? hslToHex(rand(190, 220), rand(0.1, 0.3), rand(0.6, 0.8))
+    : hslToHex(rand(20, 40), rand(0.05, 0.2), rand(0.3, 0.45));
+
+  // Крупные тела пояса получают имена и становятся отдельными Planet
+  const numNamed = isKuiper ? randInt(2, 4) : randInt(3, 6);
+  const namedAsteroids = [];
+  for (let i = 0; i < numNamed; i += 1) {
+    const orbitRadius = rand(innerRadius, outerRadius);
+    const temperatureK = equilibriumTemperature(luminosity, orbitRadius);
+    const climate = isKuiper ? 'ice' : airlessClimate(temperatureK);
+    const planetType = getPlanetType(climate).family;
+    const bodyColor = isKuiper
+      ? hslToHex(rand(190, 230), rand(0.1, 0.35), rand(0.6, 0.85))
+      : hslToHex(rand(20, 45), rand(0.05, 0.25), rand(0.3, 0.55));
+    namedAsteroids.push({
+      name: names.next(),
+      barycenter,
+      radius: (isKuiper ? rand(0.25, 0.6) : rand(0.15, 0.35)) * SCALE_FACTOR,
+      color: bodyColor,
+      orbitRadius,
+      orbitSpeed: meanMotion(orbitRadius, centralMass),
+      rotationSpeed: rand(0.5, 4.0),
+      tilt: rand(-0.6, 0.6),
+      ring: null,
+      atmosphere: null,
+      planetType,
+      climate,
+      temperatureK,
+      seed: rand(0, 1000),
+      eccentricity: rand(0.0, isKuiper ? 0.15 : 0.1),
+      inclination: rand(-1, 1) * (isKuiper ? 0.25 : 0.08),
+      ascendingNode: rand(0, Math.PI * 2),
+      argPeriapsis: rand(0, Math.PI * 2),
+      initialAnomaly: rand(0, Math.PI * 2),
+      moons: [],
+    });
+  }
+
+  return {
+    kind,
+    name: names.next(),
+    barycenter,
+    innerRadius,
+    outerRadius,
+    count: isKuiper ? randInt(4000, 6000) : randInt(2500, 4000),
+    seed: randInt(1, 0x7fffffff),
+    color,
+    minSize: isKuiper ? 30 : 20,
+    maxSize: isKuiper ? 160 : 120,
+    maxEccentricity: isKuiper ? 0.15 : 0.1,
+    maxInclination: isKuiper ? 0.25 : 0.08,
+    centralMass,
+    namedAsteroids,
+  };
+}
+
+// После сдвига орбиты пересчитываем всё, что от неё зависит (климат — в reclassifyPlanet, с v6)
+function refreshOrbitalState(planet, { centralMass = 1, luminosity = 1 }) {
+  const zone = habitableZone(luminosity);
+  planet.orbitSpeed = meanMotion(planet.orbitRadius, centralMass);
+  planet.temperatureK = equilibriumTemperature(luminosity, planet.orbitRadius);
+  planet.inHabitableZone = planet.orbitRadius >= zone.innerRadius && planet.orbitRadius <= zone.outerRadius;
+  planet.moons.forEach((moon) => {
+    moon.temperatureK = planet.temperatureK;
+  });
+}
+
+/**
+ * Генератор v6: тип планеты, которого не бывает на её окончательной орбите (умеренная, вытолкнутая
+ * за зону обитаемости, лава, остывшая ниже точки плавления), выбирается заново по весам реестра.
+ * Газовые гиганты остаются газовыми, а каменистые тела газовыми не становятся: радиус, кольца
+ * и спутники уже разыграны под семейство. С новым типом меняются цвет, масса и климат спутников.
+ */
+function reclassifyPlanet(planet, { luminosity = 1 }, version, rand) {
+  const ctx = planetTypeContext(version, luminosity, planet.orbitRadius);
+  if (getPlanetType(planet.climate).weight(ctx) > 0) return;
+  const isGas = planet.planetType === 'gas';
+  const type = pickPlanetType(ctx, rand, (candidate) => (candidate.family === 'gas') === isGas);
+  if (!type || type.id === planet.climate) return;
+
+  const palette = typeof type.palette === 'function' ? type.palette(ctx) : type.palette;
+  planet.climate = type.id;
+  planet.planetType = type.family;
+  planet.color = hslToHex(rand(...palette.hue), rand(...palette.saturation), rand(...palette.lightness));
+  planet.mass = estimateMass(planet.radius, type.family);
+  if (type.atmosphereChance <= 0) planet.atmosphere = null;
+  planet.moons.forEach((moon) => {
+    const climate = airlessClimate(moon.temperatureK);
+    if (climate === moon.climate) return;
+    moon.climate = climate;
+    moon.planetType = getPlanetType(climate).family;
+    moon.color = moonColor(climate, rand);
+  });
+}
+
+// Главный пояс — в самой широкой щели между орбитами, внешний ледяной диск — за maxOrbit.
+// outerLimit — граница устойчивой зоны группы: за неё не выносим ни планеты, ни пояса;
+// planetLimit — дальше него щель под пояс планеты не раздвигает (с v6 — ещё и MAX_PLANET_ORBIT).
+function randomBeltConfigs(planets, maxOrbit, group, planetLimit, rand, randInt, names) {
+  const { outerLimit = Infinity } = group;
+  const belts = [];
+  let extent = maxOrbit;
+
+  if (planets.length > 1 && rand(0, 1) < 0.6) {
+    let gapIndex = 0;
+    let gap = null;
+    for (let i = 0; i < planets.length - 1; i += 1) {
+      const from = planets[i].orbitRadius + moonSystemExtent(planets[i]);
+      const to = planets[i + 1].orbitRadius - moonSystemExtent(planets[i + 1]);
+      if (!gap || to - from > gap.to - gap.from) {
+        gap = { from, to };
+        gapIndex = i;
+      }
+    }
+
+    // Если щель узковата — раздвигаем внешние орбиты (если им есть куда отодвинуться)
+    const minWidth = 8 * SCALE_FACTOR;
+    const shift = Math.max(0, minWidth - (gap.to - gap.from));
+    const last = planets[planets.length - 1];
+    const lastApoapsis = last.orbitRadius * (1 + last.eccentricity) + moonSystemExtent(last);
+    if (lastApoapsis + shift <= planetLimit) {
+      if (shift > 0) {
+        for (let i = gapIndex + 1; i < planets.length; i += 1) {
+          planets[i].orbitRadius += shift;
+          refreshOrbitalState(planets[i], group);
+        }
+        gap.to += shift;
+        extent += shift;
+      }
+
+      const width = gap.to - gap.from;
+      const innerRadius = gap.from + width * rand(0.15, 0.3);
+      const outerRadius = gap.to - width * rand(0.15, 0.3);
+      belts.push(randomBeltConfig('main', innerRadius, outerRadius, group, rand, randInt, names));
+    }
+  }
+
+  if (rand(0, 1) < 0.5) {
+    const innerRadius = extent * rand(1.05, 1.2);
+    // Эксцентричные тела диска тоже не должны выходить за устойчивую зону
+    const outerRadius = Math.min(innerRadius * rand(1.3, 1.6), outerLimit / 1.15);
+    if (outerRadius > innerRadius * 1.15) {
+      belts.push(randomBeltConfig('kuiper', innerRadius, outerRadius, group, rand, randInt, names));
+    }
+  }
+
+  return { belts, maxOrbit: extent };
+}
+
+// Критические полуоси по Holman & Wiegert (1999), в долях большой полуоси пары звёзд.
+// mu — доля массы компаньона, e — эксцентриситет орбиты пары.
+// P-тип (вокруг пары): устойчиво снаружи этого радиуса.
+function circumbinaryCriticalRatio(mu, e) {
+  return 1.6 + 5.1 * e - 2.22 * e * e + 4.12 * mu - 4.27 * e * mu
+    - 5.09 * mu * mu + 4.61 * e * e * mu * mu;
+}
+
+// S-тип (вокруг одной звезды): устойчиво внутри этого радиуса.
+function circumstellarCriticalRatio(mu, e) {
+  return 0.464 - 0.38 * mu - 0.631 * e + 0.586 * mu * e + 0.15 * e * e - 0.198 * mu * e * e;
+}
+
+// Взаимные орбиты двух тел вокруг общего барицентра: одинаковые период и e, противоположные фазы
+function mutualOrbits(massA, massB, separation, eccentricity, barycenter, rand) {
+  const mu = massB / (massA + massB);
+  const shared = {
+    barycenter,
+    eccentricity,
+    orbitSpeed: meanMotion(separation, massA + massB),
+    inclination: rand(-0.05, 0.05),
+    ascendingNode: rand(0, Math.PI * 2),
+    initialAnomaly: rand(0, Math.PI * 2),
+  };
+  const argPeriapsis = rand(0, Math.PI * 2);
+  return [
+    { ...shared, semiMajorAxis: separation * mu, argPeriapsis },
+    { ...shared, semiMajorAxis: separation * (1 - mu), argPeriapsis: argPeriapsis + Math.PI },
+  ];
+}
+
+function randomMultiplicity(rand) {
+  const roll = rand(0, 1);
+  if (roll < 0.55) return 'single';
+  if (roll < 0.75) return 'close-binary';
+  if (roll < 0.92) return 'wide-binary';
+  return 'triple';
+}
+
+// Обратная к equilibriumTemperature: на каком расстоянии тело прогреется до temperatureK
+function distanceForTemperature(luminosity, temperatureK) {
+  const ratio = 278.6 * Math.pow(luminosity, 0.25) * Math.pow(1 - BOND_ALBEDO, 0.25) / temperatureK;
+  return ratio * ratio * AU;
+}
+
+// Кометы: перицентр во внутренней системе, афелий далеко за планетами (но внутри устойчивой зоны)
+function randomCometConfigs({ barycenter, innerOrbit, outerLimit = Infinity, centralMass = 1, luminosity = 1 }, rand, randInt, names) {
+  const comets = [];
+  const maxAphelion = Math.min(outerLimit, MAX_COMET_APHELION);
+  // Хвосты появляются, когда ядро прогревается выше снеговой линии
+  const sublimationRadius = distanceForTemperature(luminosity, FROST_TEMPERATURE);
+  const numComets = randInt(1, 3);
+  for (let i = 0; i < numComets; i += 1) {
+    const perihelion = Math.max(innerOrbit * 1.5, rand(0.3, 1.5) * AU * orbitSpacingScale(luminosity));
+    let eccentricity = rand(0.7, 0.98);
+    if (perihelion * (1 + eccentricity) / (1 - eccentricity) > maxAphelion) {
+      eccentricity = (maxAphelion - perihelion) / (maxAphelion + perihelion);
+    }
+    // Слишком тесно для вытянутой орбиты (узкая зона S-типа в кратной системе)
+    if (eccentricity < 0.7) continue;
+    const orbitRadius = perihelion / (1 - eccentricity);
+    const radius = rand(0.1, 0.3) * SCALE_FACTOR;
+
+    comets.push({
+      name: `C/${names.next()}`,
+      barycenter,
+      radius,
+      color: hslToHex(rand(20, 40), rand(0.05, 0.15), rand(0.2, 0.3)),
+      orbitRadius,
+      orbitSpeed: meanMotion(orbitRadius, centralMass),
+      rotationSpeed: rand(0.2, 1.5),
+      tilt: rand(-1, 1),
+      ring: null,
+      // Кома вокруг ядра; её яркость Comet меняет вместе с хвостами
+      atmosphere: {
+        thickness: radius * 4,
+        color: 0xcfe8ff,
+        intensity: 0.8,
+        fresnelPower: 1.2,
+      },
+      planetType: 'rocky',
+      seed: rand(0, 1000),
+      eccentricity,
+      // Кометы приходят с любых направлений, в том числе по обратным орбитам
+      inclination: rand(0, Math.PI),
+      ascendingNode: rand(0, Math.PI * 2),
+      argPeriapsis: rand(0, Math.PI * 2),
+      initialAnomaly: rand(0, Math.PI * 2),
+      // У ярких звёзд снеговая линия дальше афелия — ограничиваем, чтобы хвост заметно менялся по орбите
+      activityRadius: Math.min(Math.max(sublimationRadius, perihelion * 2), orbitRadius * (1 + eccentricity) * 0.6),
+      tail: {
+        dustColor: hslToHex(rand(40, 55), rand(0.3, 0.6), rand(0.8, 0.9)),
+        ionColor: hslToHex(rand(200, 225), rand(0.6, 0.9), rand(0.65, 0.8)),
+        maxLength: perihelion * rand(0.8, 1.5),
+      },
+      moons: [],
+    });
+  }
+  return comets;
+}
+
+/**
+ * Звёзды, барицентры и группы планетных орбит.
+ * Группа описывает устойчивую зону: S-тип — вокруг одной звезды, P-тип — вокруг пары.
+ * Всё, что между зонами, остаётся пустым.
+ */
+function randomStellarConfiguration(rand, randInt, choice) {
+  const multiplicity = randomMultiplicity(rand);
+  const primary = { id: 'A', ...randomStar(rand), orbit: null };
+  const stars = [primary];
+  const barycenters = [];
+  const groups = [];
+
+  // S-тип вокруг звезды с компаньоном на расстоянии separation
+  const circumstellarGroup = (star, companionMass, separation, eccentricity, planets) => {
+    const mu = companionMass / (star.mass + companionMass);
+    const outerLimit = circumstellarCriticalRatio(mu, eccentricity) * separation;
+    return {
+      type: 'S',
+      barycenter: star.id,
+      innerOrbit: star.radius * 2.5,
+      innerLimit: 0,
+      outerLimit,
+      centralMass: star.mass,
+      luminosity: star.luminosity,
+      minPlanets: planets[0],
+      maxPlanets: planets[1],
+    };
+  };
+
+  if (multiplicity === 'single') {
+    groups.push({
+      type: 'S',
+      barycenter: 'A',
+      innerOrbit: primary.radius * 2.5,
+      innerLimit: 0,
+      outerLimit: Infinity,
+      centralMass: primary.mass,
+      luminosity: primary.luminosity,
+      minPlanets: 4,
+      maxPlanets: 10,
+    });
+  } else if (multiplicity === 'close-binary' || multiplicity === 'triple') {
+    // Тесная пара: планеты обращаются вокруг обеих звёзд сразу
+    const secondary = { id: 'B', ...randomCompanionStar(primary, rand) };
+    stars.push(secondary);
+    const separation = (primary.radius + secondary.radius) * rand(1.3, 2.2);
+    const eccentricity = rand(0, 0.3);
+    const pairMass = primary.mass + secondary.mass;
+    const pairLuminosity = primary.luminosity + secondary.luminosity;
+    [primary.orbit, secondary.orbit] = mutualOrbits(primary.mass, secondary.mass, separation, eccentricity, 'AB', rand);
+
+    const innerLimit = circumbinaryCriticalRatio(secondary.mass / pairMass, eccentricity) * separation;
+    let outerLimit = Infinity;
+
+    if (multiplicity === 'triple') {
+      // Иерархическая тройная: далёкая звезда C вокруг общего центра с парой AB
+      const tertiary = { id: 'C', ...randomCompanionStar(secondary, rand) };
+      stars.push(tertiary);
+      const outerEccentricity = rand(0, 0.3);
+      const desiredLimit = innerLimit + rand(80, 140) * SCALE_FACTOR * orbitSpacingScale(pairLuminosity);
+      const muC = tertiary.mass / (pairMass + tertiary.mass);
+      const outerSeparation = desiredLimit / circumstellarCriticalRatio(muC, outerEccentricity);
+      const [pairOrbit, tertiaryOrbit] = mutualOrbits(pairMass, tertiary.mass, outerSeparation, outerEccentricity, 'ABC', rand);
+      tertiary.orbit = tertiaryOrbit;
+      barycenters.push({ id: 'ABC', members: ['AB', 'C'], orbit: null });
+      barycenters.push({ id: 'AB', members: ['A', 'B'], orbit: pairOrbit });
+      outerLimit = desiredLimit;
+      if (rand(0, 1) < 0.4) {
+        groups.push(circumstellarGroup(tertiary, pairMass, outerSeparation, outerEccentricity, [1, 4]));
+      }
+    } else {
+      barycenters.push({ id: 'AB', members: ['A', 'B'], orbit: null });
+    }
+
+    groups.unshift({
+      type: 'P',
+      barycenter: 'AB',
+      innerOrbit: innerLimit,
+      innerLimit,
+      outerLimit,
+      centralMass: pairMass,
+      luminosity: pairLuminosity,
+      minPlanets: 3,
+      maxPlanets: 9,
+    });
+  } else {
+    // Широкая пара: у каждой звезды свои планеты, между ними пусто
+    const secondary = { id: 'B', ...randomCompanionStar(primary, rand) };
+    stars.push(secondary);
+    const eccentricity = rand(0, 0.4);
+    const muB = secondary.mass / (primary.mass + secondary.mass);
+    const desiredLimit = rand(100, 180) * SCALE_FACTOR * orbitSpacingScale(primary.luminosity);
+    const separation = desiredLimit / circumstellarCriticalRatio(muB, eccentricity);
+    [primary.orbit, secondary.orbit] = mutualOrbits(primary.mass, secondary.mass, separation, eccentricity, 'AB', rand);
+    barycenters.push({ id: 'AB', members: ['A', 'B'], orbit: null });
+
+    groups.push(circumstellarGroup(primary, secondary.mass, separation, eccentricity, [3, 8]));
+    if (rand(0, 1) < 0.5) {
+      groups.push(circumstellarGroup(secondary, primary.mass, separation, eccentricity, [1, 4]));
+    }
+  }
+
+  return { multiplicity, stars, barycenters, groups };
+}
+
+// Сид из URL (строка) или число; если сид не задан — используем случайное число
+function seedValueOf(seed) {
+  return typeof seed === 'number' ? seed : stringToSeed(String(seed ?? `${Date.now()}`));
+}
+
+// Только главная звезда системы — без планет, дёшево (для соседних звёзд на небе).
+// Повторяет первые вызовы rand из generateSystem, поэтому совпадает с stars[0] полной генерации.
+export function previewSystem(seed) {
+  const { rand } = makeRandUtils(makeRng(seedValueOf(seed)));
+  const multiplicity = randomMultiplicity(rand);
+  const primary = randomStar(rand);
+  return {
+    multiplicity,
+    spectralType: primary.spectralType,
+    temperatureK: primary.temperatureK,
+    luminosity: primary.luminosity,
+    color: primary.color,
+  };
+}
+
+// Черты мира (v4): бросок под шанс типа и, если выпала, её сила
+function randomTraits(type, rand) {
+  const traits = {};
+  Object.keys(PLANET_TRAITS).forEach((trait) => {
+    const chance = type.traits[trait] ?? 0;
+    if (chance > 0 && rand(0, 1) < chance) traits[trait] = rand(0.3, 1);
+  });
+  return traits;
+}
+
+// options.version — версия алгоритма (по умолчанию последняя),
+// options.resonances — подтягивать соседние планеты в резонансы средних движений
+export function generateSystem(seed, { version = CURRENT_GENERATOR_VERSION, resonances = false } = {}) {
+  if (!GENERATOR_VERSIONS.includes(version)) {
+    throw new Error(`Неизвестная версия генератора: ${version} (есть: ${GENERATOR_VERSIONS.join(', ')})`);
+  }
+  const seedValue = seedValueOf(seed);
   const rng = makeRng(seedValue);
   const { rand, randInt, choice } = makeRandUtils(rng);
 
-  const sun = randomStar(rand, randInt, choice);
-  // Передаём уже увеличенный радиус звезды
-  const { planets, maxOrbit } = randomPlanetConfigs(sun.radius, rand, randInt, choice);
-  return { sun, planets, maxOrbit, seed: seedValue };
+  const { multiplicity, stars, barycenters, groups } = randomStellarConfiguration(rand, randInt, choice);
+  // Стиль имён выбираем после звёзд: previewSystem повторяет только их вызовы rand
+  const names = namerForVersion(version, rand, randInt, choice);
+  const name = version >= 2 ? names.next() : undefined;
+
+  const planets = [];
+  const belts = [];
+  const stabilityZones = [];
+  const habitableZones = [];
+  const stabilityRules = [];
+  let maxOrbit = 0;
+  groups.forEach((group, index) => {
+    const planetSystem = randomPlanetConfigs({ ...group, version }, rand, randInt, names);
+    // Проверка устойчивости: разнос по радиусам Хилла, пересечения орбит, резонансы
+    const stable = stabilizePlanets(planetSystem.planets, {
+      centralMass: group.centralMass,
+      outerLimit: Math.min(group.outerLimit, MAX_PLANET_ORBIT),
+      resonances,
+      exactHillSpacing: version >= 6,
+    });
+    stable.planets.forEach((planet) => refreshOrbitalState(planet, group));
+    planetSystem.planets = stable.planets;
+    planetSystem.maxOrbit += stable.outwardShift;
+    stabilityRules.push(...stable.applied.map((entry) => ({ barycenter: group.barycenter, ...entry })));
+    // Пояса — только у основной группы. Они могут раздвинуть орбиты, поэтому maxOrbit берём после них
+    if (index === 0) {
+      const planetLimit = version >= 6 ? Math.min(group.outerLimit, MAX_PLANET_ORBIT) : group.outerLimit;
+      const beltSystem = randomBeltConfigs(planetSystem.planets, planetSystem.maxOrbit, group, planetLimit, rand, randInt, names);
+      belts.push(...beltSystem.belts);
+      maxOrbit = beltSystem.maxOrbit;
+    }
+    // Тип — по окончательной орбите
+    if (version >= 6) {
+      planetSystem.planets.forEach((planet) => reclassifyPlanet(planet, group, version, rand));
+    }
+    // Физика — по окончательным орбитам (после устойчивости и щели под пояс)
+    if (version >= 3) {
+      planetSystem.planets.forEach((planet) => {
+        const { density } = getPlanetType(planet.climate);
+        planet.physics = planetPhysics({ ...planet, density }, group.centralMass);
+      });
+    }
+    if (version >= 4) {
+      planetSystem.planets.forEach((planet) => {
+        planet.traits = randomTraits(getPlanetType(planet.climate), rand);
+      });
+    }
+    if (version >= 5) {
+      planetSystem.planets.forEach((planet) => {
+        if (!planet.atmosphere) return;
+        const { color } = planet.atmosphere;
+        planet.atmosphere.scattering = getPlanetType(planet.climate).scattering(rand, { color });
+      });
+    }
+    planets.push(...planetSystem.planets);
+    stabilityZones.push({
+      type: group.type,
+      barycenter: group.barycenter,
+      innerRadius: group.innerLimit,
+      outerRadius: Number.isFinite(group.outerLimit) ? group.outerLimit : null,
+    });
+    habitableZones.push({ barycenter: group.barycenter, ...habitableZone(group.luminosity) });
+  });
+  const comets = randomCometConfigs(groups[0], rand, randInt, names);
+  // Обозначения — после проверки устойчивости: выброшенные планеты не занимают букв
+  if (version >= 2) assignDesignations({ stars, planets }, name);
+  // Ореол Френеля заменило рассеяние: rand под fresnelPower по-прежнему тянется (порядок вызовов
+  // тот же), а в выводе поля нет
+  if (version >= 5) {
+    [...planets, ...comets].forEach((body) => {
+      if (body.atmosphere) delete body.atmosphere.fresnelPower;
+    });
+  }
+
+  // sun — главная звезда (для кода, которому нужна одна звезда)
+  return {
+    sun: stars[0],
+    ...(version >= 2 ? { name, nameStyle: names.style } : {}),
+    stars,
+    barycenters,
+    multiplicity,
+    planets,
+    belts,
+    comets,
+    stabilityZones,
+    habitableZones,
+    // Какие правила устойчивости сработали при генерации
+    stability: { resonances, applied: stabilityRules },
+    maxOrbit,
+    seed: seedValue,
+    generatorVersion: version,
+  };
 }
 
 export default generateSystem;
@@ -0,0 +1,311 @@
+// Экспорт/импорт сгенерированной системы в JSON-документ с версией формата.
+// Импорт не запускает генератор: система строится ровно из того, что лежит в файле.
+
+import { getPlanetType } from './PlanetTypeRegistry.js';
+import './planetTypes/index.js';
+
+export const SYSTEM_FORMAT = 'test-space/system';
+export const SYSTEM_FORMAT_VERSION = 1;
+
+// Ошибка разбора файла; path — где именно в документе проблема (например, planets[2].orbitRadius)
+export class SystemImportError extends Error {
+  constructor(message, path = '') {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'SystemImportError';
+    this.path = path;
+  }
+}
+
+// --- Мини-схема: каждая функция проверяет значение и бросает SystemImportError с путём ---
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'массив';
+  switch (typeof value) {
+    case 'number': return 'число';
+    case 'string': return 'строка';
+    case 'boolean': return 'логическое значение';
+    case 'object': return 'объект';
+    default: return typeof value;
+  }
+}
+
+const number = ({ min = -Infinity, max = Infinity } = {}) => (value, path) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new SystemImportError(`ожидалось число, получено: ${typeName(value)}`, path);
+  }
+  if (value < min || value > max) {
+    throw new SystemImportError(`значение ${value} вне диапазона [${min}, ${max}]`, path);
+  }
+};
+
+const string = (value, path) => {
+  if (typeof value !== 'string') throw new SystemImportError(`ожидалась строка, получено: ${typeName(value)}`, path);
+};
+
+const boolean = (value, path) => {
+  if (typeof value !== 'boolean') throw new SystemImportError(`ожидалось логическое значение, получено: ${typeName(value)}`, path);
+};
+
+const oneOf = (options) => (value, path) => {
+  if (!options.includes(value)) {
+    throw new SystemImportError(`ожидалось одно из ${options.map((o) => JSON.stringify(o)).join(', ')}, получено ${JSON.stringify(value)}`, path);
+  }
+};
+
+const nullable = (check) => (value, path) => {
+  if (value !== null) check(value, path);
+};
+
+// Поле может отсутствовать (файлы, где его ещё не было, остаются валидными)
+const optional = (check) => {
+  const wrapped = (value, path) => {
+    if (value !== undefined) check(value, path);
+  };
+  wrapped.optional = true;
+  return wrapped;
+};
+
+const arrayOf = (check) => (value, path) => {
+  if (!Array.isArray(value)) throw new SystemImportError(`ожидался массив, получено: ${typeName(value)}`, path);
+  value.forEach((item, i) => check(item, `${path}[${i}]`));
+};
+
+const shape = (fields) => (value, path) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new SystemImportError(`ожидался объект, получено: ${typeName(value)}`, path);
+  }
+  Object.entries(fields).forEach(([key, check]) => {
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (!(key in value) && !check.optional) throw new SystemImportError('обязательное поле отсутствует', fieldPath);
+    check(value[key], fieldPath);
+  });
+};
+
+// Климат — id зарегистрированного типа планеты
+const planetTypeId = (value, path) => {
+  string(value, path);
+  if (!getPlanetType(value)) throw new SystemImportError(`неизвестный тип планеты "${value}"`, path);
+};
+
+const color = number({ min: 0, max: 0xffffff });
+const angle = number();
+
+const orbitSchema = shape({
+  barycenter: string,
+  semiMajorAxis: number({ min: 0 }),
+  eccentricity: number({ min: 0, max: 0.99 }),
+  orbitSpeed: number(),
+  inclination: angle,
+  ascendingNode: angle,
+  argPeriapsis: angle,
+  initialAnomaly: angle,
+});
+
+const starSchema = shape({
+  id: string,
+  designation: optional(string),
+  kind: oneOf(['main', 'giant', 'white-dwarf']),
+  spectralType: string,
+  temperatureK: number({ min: 0 }),
+  mass: number({ min: 0 }),
+  radiusSolar: number({ min: 0 }),
+  luminosity: number({ min: 0 }),
+  radius: number({ min: 0 }),
+  color,
+  lightColor: color,
+  lightIntensity: number({ min: 0 }),
+  orbit: nullable(orbitSchema),
+});
+
+const barycenterSchema = shape({
+  id: string,
+  members: arrayOf(string),
+  orbit: nullable(orbitSchema),
+});
+
+const ringSchema = shape({
+  innerRadius: number({ min: 0 }),
+  outerRadius: number({ min: 0 }),
+  color,
+  opacity: number({ min: 0, max: 1 }),
+});
+
+const rgb = (value, path) => {
+  arrayOf(number({ min: 0 }))(value, path);
+  if (value.length !== 3) throw new SystemImportError(`ожидалось 3 канала, получено: ${value.length}`, path);
+};
+
+// Рассеяние в атмосфере (генератор v5); без него Planet выводит коэффициенты из цвета
+const scatteringSchema = shape({
+  rayleigh: rgb,
+  mie: rgb,
+  mieG: number({ min: -0.99, max: 0.99 }),
+  scaleHeight: number({ min: 0.01, max: 1 }),
+});
+
+const atmosphereSchema = shape({
+  thickness: number({ min: 0 }),
+  color,
+  intensity: number({ min: 0 }),
+  fresnelPower: optional(number()), // генератор v1–4; с v5 не пишется
+  scattering: optional(scatteringSchema),
+});
+
+// Общие поля тела на орбите Кеплера (планеты, спутники, астероиды, кометы)
+const bodyFields = {
+  name: string,
+  designation: optional(string), // каталожное обозначение (генератор v2+), у поясных тел и комет нет
+  barycenter: optional(string), // у спутников нет — они обращаются вокруг планеты
+  radius: number({ min: 0 }),
+  color,
+  orbitRadius: number({ min: 0 }),
+  orbitSpeed: number(),
+  rotationSpeed: number(),
+  tilt: angle,
+  ring: nullable(ringSchema),
+  atmosphere: nullable(atmosphereSchema),
+  planetType: oneOf(['rocky', 'gas', 'ice']),
+  climate: optional(nullable(planetTypeId)),
+  temperatureK: optional(nullable(number({ min: 0 }))),
+  inHabitableZone: optional(boolean),
+  mass: optional(number({ min: 0 })),
+  seed: number(),
+  eccentricity: number({ min: 0, max: 0.99 }),
+  inclination: angle,
+  ascendingNode: angle,
+  argPeriapsis: angle,
+  initialAnomaly: angle,
+};
+
+// Физические характеристики планеты (генератор v3+), единицы — см. planetPhysics
+const physicsSchema = shape({
+  mass: number({ min: 0 }),
+  density: number({ min: 0 }),
+  radius: number({ min: 0 }),
+  surfaceGravity: number({ min: 0 }),
+  escapeVelocity: number({ min: 0 }),
+  dayLength: number({ min: 0 }),
+  orbitalPeriod: number({ min: 0 }),
+});
+
+// Черты мира (генератор v4): сила 0..1, отсутствующей черты нет в объекте
+const traitsSchema = shape({
+  civilisation: optional(number({ min: 0, max: 1 })),
+  volcanic: optional(number({ min: 0, max: 1 })),
+});
+
+const moonSchema = shape(bodyFields);
+const planetSchema = shape({
+  ...bodyFields,
+  physics: optional(physicsSchema),
+  traits: optional(traitsSchema),
+  moons: arrayOf(moonSchema),
+});
+
+const cometSchema = shape({
+  ...bodyFields,
+  moons: arrayOf(moonSchema),
+  activityRadius: number({ min: 0 }),
+  tail: shape({ dustColor: color, ionColor: color, maxLength: number({ min: 0 }) }),
+});
+
+const beltSchema = shape({
+  kind: oneOf(['main', 'kuiper']),
+  name: string,
+  barycenter: string,
+  innerRadius: number({ min: 0 }),
+  outerRadius: number({ min: 0 }),
+  count: number({ min: 0, max: 20000 }),
+  seed: number(),
+  color,
+  minSize: number({ min: 0 }),
+  maxSize: number({ min: 0 }),
+  maxEccentricity: number({ min: 0, max: 0.99 }),
+  maxInclination: angle,
+  centralMass: number({ min: 0 }),
+  namedAsteroids: arrayOf(planetSchema),
+});
+
+const zoneFields = {
+  barycenter: string,
+  innerRadius: number({ min: 0 }),
+  outerRadius: nullable(number({ min: 0 })), // null — зона не ограничена снаружи
+};
+
+const systemSchema = shape({
+  name: optional(string),
+  nameStyle: optional(string),
+  stars: arrayOf(starSchema),
+  barycenters: arrayOf(barycenterSchema),
+  multiplicity: oneOf(['single', 'close-binary', 'wide-binary', 'triple']),
+  planets: arrayOf(planetSchema),
+  belts: arrayOf(beltSchema),
+  comets: arrayOf(cometSchema),
+  stabilityZones: arrayOf(shape({ type: oneOf(['S', 'P']), ...zoneFields })),
+  habitableZones: arrayOf(shape(zoneFields)),
+  stability: optional(shape({ resonances: boolean, applied: arrayOf(shape({ rule: string, planets: arrayOf(string) })) })),
+  maxOrbit: number({ min: 0 }),
+  seed: number(),
+  generatorVersion: optional(number({ min: 1 })),
+});
+
+// Ссылки между частями системы: орбиты и тела должны указывать на существующие звёзды/барицентры
+function validateReferences(system) {
+  if (system.stars.length === 0) throw new SystemImportError('в системе нет ни одной звезды', 'system.stars');
+  const frames = new Set([...system.stars.map((s) => s.id), ...system.barycenters.map((b) => b.id)]);
+  const check = (id, path) => {
+    if (id !== undefined && !frames.has(id)) throw new SystemImportError(`неизвестная звезда или барицентр "${id}"`, path);
+  };
+  system.stars.forEach((s, i) => s.orbit && check(s.orbit.barycenter, `system.stars[${i}].orbit.barycenter`));
+  system.barycenters.forEach((b, i) => b.orbit && check(b.orbit.barycenter, `system.barycenters[${i}].orbit.barycenter`));
+  system.planets.forEach((p, i) => check(p.barycenter, `system.planets[${i}].barycenter`));
+  system.belts.forEach((b, i) => check(b.barycenter, `system.belts[${i}].barycenter`));
+  system.comets.forEach((c, i) => check(c.barycenter, `system.comets[${i}].barycenter`));
+  system.habitableZones.forEach((z, i) => check(z.barycenter, `system.habitableZones[${i}].barycenter`));
+}
+
+// Результат generateSystem -> документ для сохранения в файл
+export function exportSystem(system) {
+  const { sun, ...rest } = system;
+  return {
+    format: SYSTEM_FORMAT,
+    version: SYSTEM_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    // sun — это stars[0], в файле достаточно одного экземпляра
+    system: rest,
+  };
+}
+
+export function exportSystemToJSON(system) {
+  return JSON.stringify(exportSystem(system), null, 2);
+}
+
+// Документ (объект или JSON-строка) -> система в том же виде, что возвращает generateSystem
+export function importSystem(documentOrText) {
+  let doc = documentOrText;
+  if (typeof doc === 'string') {
+    try {
+      doc = JSON.parse(doc);
+    } catch (e) {
+      throw new SystemImportError(`файл не является корректным JSON (${e.message})`);
+    }
+  }
+  if (doc === null || typeof doc !== 'object' || doc.format !== SYSTEM_FORMAT) {
+    throw new SystemImportError(`это не файл звёздной системы (ожидался format "${SYSTEM_FORMAT}")`);
+  }
+  if (typeof doc.version !== 'number') {
+    throw new SystemImportError('в файле не указана версия формата', 'version');
+  }
+  if (doc.version < SYSTEM_FORMAT_VERSION) {
+    throw new SystemImportError(`файл устаревшего формата версии ${doc.version}, поддерживается версия ${SYSTEM_FORMAT_VERSION}. Пересоздайте систему по её сиду и экспортируйте заново`, 'version');
+  }
+  if (doc.version > SYSTEM_FORMAT_VERSION) {
+    throw new SystemImportError(`файл создан более новой версией (${doc.version}), эта сборка понимает только версию ${SYSTEM_FORMAT_VERSION}`, 'version');
+  }
+
+  systemSchema(doc.system, 'system');
+  const system = doc.system;
+  validateReferences(system);
+  return { ...system, sun: system.stars[0] };
+}
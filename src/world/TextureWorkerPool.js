@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { CANVAS_TEXTURES, CANVAS_TEXTURES_VERSION } from './CanvasTextures.js';
+import AssetCache from './AssetCache.js';
+
+const MAX_WORKERS = 4;
+let shared = null;
+let fallbackTexture = null;
+
+/**
+ * Пул воркеров для текстур холста (CanvasTextures): рисование уходит с главного потока,
+ * в ответ приходят пиксели RGBA, из которых собирается DataTexture. Без Worker или
+ * OffscreenCanvas задачи рисуются на главном потоке — по одной за такт, чтобы первый кадр
+ * всё равно не ждал всех текстур. Результаты кэшируются в AssetCache по задаче и параметрам (с сидом).
+ * Если воркер упал или не загрузился, пул переходит на главный поток и перерисовывает там
+ * начатые задачи. Промис задачи всегда завершается: текстурой, ошибкой рисования или
+ * отменой при dispose (error.cancelled).
+ */
+export default class TextureWorkerPool {
+  // Общий пул страницы: фон и Game (индикатор загрузки) смотрят в один и тот же
+  static shared() {
+    if (!shared) shared = new TextureWorkerPool();
+    return shared;
+  }
+
+  constructor({ workers = Math.min(MAX_WORKERS, Math.max(1, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1)) } = {}) {
+    this.supported = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    this.jobs = new Map();
+    this.queue = [];
+    this.idle = [];
+    this.workers = [];
+    // Воркер -> id задачи, которую он рисует
+    this.busy = new Map();
+    // Подпись -> сообщение для задач, которые не удалось нарисовать (для индикатора загрузки)
+    this.failures = new Map();
+    this.nextId = 1;
+    this.mainThreadTimer = null;
+    if (!this.supported) return;
+    for (let i = 0; i < workers; i += 1) {
+      const worker = new Worker(new URL('./textureWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data }) => this.finish(worker, data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this.fallBackToMainThread();
+      };
+      worker.onmessageerror = () => this.fallBackToMainThread();
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * task — ключ CANVAS_TEXTURES, size — сторона квадрата, label — подпись для индикатора загрузки.
+   * Промис с DataTexture; строки идут сверху вниз, как на холсте (flipY у DataTexture выключен).
+   */
+  generate(task, size, params = {}, label = task) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId;
+      this.nextId += 1;
+      const key = `canvas/${task}/${size}/${JSON.stringify(params)}`;
+      const job = { id, task, size, params, label, key, resolve, reject };
+      this.jobs.set(id, job);
+      AssetCache.shared().get(key).then((record) => {
+        if (!this.jobs.has(id)) return;
+        if (record && record.fingerprint === CANVAS_TEXTURES_VERSION && record.pixels) {
+          this.jobs.delete(id);
+          job.resolve(TextureWorkerPool.createTexture(record.pixels.data, size));
+          return;
+        }
+        this.queue.push(id);
+        this.pump();
+      });
+    });
+  }
+
+  // Белая точка 1×1 для слоёв, чья текстура не нарисовалась: слой виден, хоть и без формы точки
+  static fallbackTexture() {
+    if (!fallbackTexture) {
+      fallbackTexture = new THREE.DataTexture(new Uint8Array([255, 255, 255, 255]), 1, 1);
+      fallbackTexture.needsUpdate = true;
+      fallbackTexture.userData.shared = true;
+    }
+    return fallbackTexture;
+  }
+
+  static createTexture(data, size) {
+    const texture = new THREE.DataTexture(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), size, size);
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  // Подписи задач, которые ещё рисуются или ждут очереди
+  pendingLabels() {
+    return [...this.jobs.values()].map((job) => job.label);
+  }
+
+  // Подписи задач, которые завершились ошибкой рисования
+  failedLabels() {
+    return [...this.failures.keys()];
+  }
+
+  // Ошибки прошлой системы не должны висеть в индикаторе новой
+  clearFailures() {
+    this.failures.clear();
+  }
+
+  pump() {
+    if (!this.supported) {
+      if (this.mainThreadTimer !== null || this.queue.length === 0) return;
+      this.mainThreadTimer = setTimeout(() => {
+        this.mainThreadTimer = null;
+        this.finish(null, TextureWorkerPool.drawOnMainThread(this.jobs.get(this.queue.shift())));
+      }, 0);
+      return;
+    }
+    while (this.queue.length > 0 && this.idle.length > 0) {
+      const { id, task, size, params } = this.jobs.get(this.queue.shift());
+      const worker = this.idle.pop();
+      this.busy.set(worker, id);
+      worker.postMessage({ id, task, size, params });
+    }
+  }
+
+  // Воркер упал, не загрузился или прислал нечитаемый ответ: у остальных, скорее всего, та же
+  // беда (модуль, память), поэтому все воркеры закрываются, а начатые задачи перерисовываются здесь
+  fallBackToMainThread() {
+    if (!this.supported) return;
+    this.supported = false;
+    this.queue.unshift(...this.busy.values());
+    this.busy.clear();
+    this.workers.forEach((worker) => worker.terminate());
+    this.workers = [];
+    this.idle = [];
+    this.pump();
+  }
+
+  static drawOnMainThread({ id, task, size, params }) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      const ctx = canvas.getContext('2d');
+      CANVAS_TEXTURES[task](ctx, size, params);
+      return { id, data: ctx.getImageData(0, 0, size, size).data };
+    } catch (error) {
+      return { id, error: error.message };
+    }
+  }
+
+  finish(worker, { id, data, error }) {
+    const job = this.jobs.get(id);
+    this.jobs.delete(id);
+    if (worker) {
+      this.busy.delete(worker);
+      this.idle.push(worker);
+    }
+    if (!job) return;
+    if (error) {
+      this.failures.set(job.label, error);
+      job.reject(new Error(`Текстура "${job.task}": ${error}`));
+    } else {
+      job.resolve(TextureWorkerPool.createTexture(data, job.size));
+      AssetCache.shared().put(job.key, CANVAS_TEXTURES_VERSION, { width: job.size, height: job.size, data });
+    }
+    this.pump();
+  }
+
+  // Воркеры закрываются, ждущие задачи отклоняются с error.cancelled (не ошибка рисования)
+  dispose() {
+    clearTimeout(this.mainThreadTimer);
+    this.mainThreadTimer = null;
+    this.workers.forEach((worker) => worker.terminate());
+    this.workers = [];
+    this.idle = [];
+    this.busy.clear();
+    this.queue = [];
+    this.jobs.forEach((job) => {
+      const error = new Error(`Текстура "${job.task}": пул закрыт`);
+      error.cancelled = true;
+      job.reject(error);
+    });
+    this.jobs.clear();
+    if (shared === this) shared = null;
+  }
+}
@@ -0,0 +1,39 @@
+// Обучающие корпуса для NameGenerator: у каждого «языка» своё звучание.
+// Новый стиль — новый ключ; порядок ключей и слов влияет на генерацию (и на golden-тесты).
+export default {
+  // Латынь: имена и созвездия
+  latin: [
+    'aurelia', 'castor', 'valeria', 'octavia', 'lucius', 'marcellus', 'severus', 'cassius',
+    'flavia', 'horatia', 'justina', 'livia', 'maximus', 'nerva', 'priscilla', 'quintus',
+    'regulus', 'sabina', 'tullia', 'varro', 'aquila', 'corvus', 'serpens', 'carina',
+    'draco', 'fornax', 'lupus', 'columba', 'aurora', 'cornelia', 'silvanus', 'vespera',
+  ],
+  // Северные саги
+  nordic: [
+    'asgard', 'bragi', 'freya', 'gunnar', 'hakon', 'ingrid', 'jorund', 'leif',
+    'magni', 'njord', 'odrun', 'ragna', 'sigrun', 'thorvald', 'ulfhild', 'vidar',
+    'yngvi', 'eirik', 'hilda', 'sveinn', 'alfhild', 'bjorn', 'dagny', 'eydis',
+    'frode', 'gudrun', 'halvard', 'kjell', 'solveig', 'torunn', 'skadi', 'heimdall',
+  ],
+  // Японские слова и имена (ромадзи)
+  japanese: [
+    'akari', 'haruto', 'kaede', 'minato', 'sakura', 'tsubasa', 'yuki', 'hoshino',
+    'kaguya', 'mitsuki', 'sora', 'takumi', 'ayame', 'hikari', 'kohana', 'natsume',
+    'shiori', 'yamato', 'asahi', 'hinata', 'izumi', 'kanade', 'michiru', 'nozomi',
+    'ryusei', 'suzume', 'tomoe', 'yuzuki', 'amaterasu', 'tsukiyomi', 'kirameki', 'hotaru',
+  ],
+  // Славянские имена
+  slavic: [
+    'borislav', 'dobrava', 'jaromir', 'ljudmila', 'miroslava', 'radomir', 'svetlana', 'velimir',
+    'zoran', 'bogdana', 'dragomir', 'kazimir', 'milena', 'ostromir', 'ratibor', 'snezhana',
+    'vlastimir', 'yaroslava', 'zlata', 'branimir', 'desana', 'gorislava', 'lubomir', 'mstislav',
+    'rostislav', 'stanimir', 'vesna', 'zvezdana', 'dobrynya', 'lada', 'svarog', 'perun',
+  ],
+  // Арабские названия ярких звёзд
+  arabic: [
+    'aldebaran', 'altair', 'betelgeuse', 'deneb', 'fomalhaut', 'rigel', 'algol', 'alnilam',
+    'mizar', 'alcor', 'achernar', 'alphard', 'dubhe', 'enif', 'hamal', 'kochab',
+    'markab', 'menkar', 'mirach', 'nashira', 'rasalhague', 'sadr', 'shaula', 'thuban',
+    'unukalhai', 'alkaid', 'alphecca', 'denebola', 'algieba', 'sadalsuud', 'zaurak', 'nunki',
+  ],
+};
@@ -0,0 +1,35 @@
+// Углеродные миры: графитовая кора с алмазным блеском, изредка — смоляная дымка
+import { EARTH_RAYLEIGH } from '../PlanetTypeRegistry.js';
+
+export default {
+  id: 'carbon',
+  label: 'углеродная',
+  family: 'rocky',
+  weight: ({ temperatureK }) => (temperatureK >= 250 && temperatureK < 1000 ? 0.06 : 0),
+  radius: [0.5, 1.5],
+  density: 3.9, // графит и карбиды легче силикатов с железом
+  palette: { hue: [0, 360], saturation: [0.0, 0.08], lightness: [0.12, 0.22] },
+  atmosphereChance: 0.25,
+  atmosphere: (rand, { radius }) => ({
+    thickness: radius * rand(0.05, 0.1),
+    color: 0xd9b38c,
+    intensity: rand(0.4, 0.7),
+    fresnelPower: rand(2.0, 3.5),
+  }),
+  // Смоляная дымка вроде титанианской: почти вся — Ми, бурая
+  scattering: (rand) => {
+    const haze = rand(1, 2);
+    return {
+      rayleigh: EARTH_RAYLEIGH.map((c) => c * 0.2),
+      mie: [0.14, 0.1, 0.05].map((c) => c * haze),
+      mieG: rand(0.65, 0.75),
+      scaleHeight: rand(0.3, 0.4),
+    };
+  },
+  createMaterial: (planet, baseColor) => {
+    const material = planet.createRockyPlanetMaterial(baseColor);
+    material.roughness = 0.35;
+    material.metalness = 0.3;
+    return material;
+  },
+};
@@ -0,0 +1,34 @@
+// Пустыни — ближе внутренней границы зоны обитаемости, но ещё не расплавленные
+import { EARTH_RAYLEIGH } from '../PlanetTypeRegistry.js';
+
+export default {
+  id: 'desert',
+  label: 'пустынная',
+  family: 'rocky',
+  weight: ({ temperatureK, distance, zone, lavaTemperature }) => (
+    temperatureK < lavaTemperature && distance < zone.innerRadius ? 0.95 : 0
+  ),
+  radius: [0.4, 1.4],
+  density: 5.0,
+  palette: { hue: [25, 45], saturation: [0.4, 0.7], lightness: [0.45, 0.65] },
+  atmosphereChance: 0.3,
+  cloudCoverage: [0.02, 0.15],
+  traits: { volcanic: 0.3 },
+  atmosphere: (rand, { radius }) => ({
+    thickness: radius * rand(0.05, 0.1),
+    color: 0xffcc99,
+    intensity: rand(0.6, 1.0),
+    fresnelPower: rand(2.0, 3.5),
+  }),
+  // Разреженный газ и рыжая пыль (как на Марсе): небо желтоватое, закаты голубоватые
+  scattering: (rand) => {
+    const density = rand(0.1, 0.3);
+    const dust = rand(0.5, 1.5);
+    return {
+      rayleigh: EARTH_RAYLEIGH.map((c) => c * density),
+      mie: [0.12, 0.07, 0.035].map((c) => c * dust),
+      mieG: rand(0.6, 0.75),
+      scaleHeight: rand(0.3, 0.4),
+    };
+  },
+};
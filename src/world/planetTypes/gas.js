@@ -0,0 +1,23 @@
+// Газовые гиганты — в основном за снеговой линией, изредка «горячие юпитеры»
+export default {
+  id: 'gas',
+  label: 'газовый гигант',
+  family: 'gas',
+  weight: ({ temperatureK, frostTemperature }) => (temperatureK < frostTemperature ? 0.6 : 0.05),
+  radius: [2.0, 4.5],
+  // Тёплые — коричневые/жёлтые, очень холодные — голубые
+  palette: ({ temperatureK }) => ({
+    hue: temperatureK < 90 ? [180, 220] : [20, 60],
+    saturation: [0.4, 0.8],
+    lightness: [0.4, 0.7],
+  }),
+  ringChance: 0.4,
+  atmosphereChance: 1,
+  cloudCoverage: [0.1, 0.3], // высокие аммиачные облака поверх полос
+  atmosphere: (rand, { radius, color }) => ({
+    thickness: radius * rand(0.08, 0.15),
+    color,
+    intensity: rand(0.2, 0.4),
+    fresnelPower: rand(1.5, 2.5),
+  }),
+};
@@ -0,0 +1,12 @@
+// Ледяные планеты за зоной обитаемости - голубые, белые тона
+export default {
+  id: 'ice',
+  label: 'ледяная',
+  family: 'ice',
+  weight: ({ temperatureK, distance, zone, lavaTemperature, frostTemperature }) => {
+    if (temperatureK >= lavaTemperature || distance <= zone.outerRadius) return 0;
+    return temperatureK < frostTemperature ? 0.4 : 0.95;
+  },
+  radius: [1.0, 2.2],
+  palette: { hue: [180, 240], saturation: [0.3, 0.7], lightness: [0.6, 0.9] },
+};
@@ -0,0 +1,12 @@
+// Встроенные типы планет. Новый тип — отдельный файл здесь и одна строка в списке.
+import { registerPlanetType } from '../PlanetTypeRegistry.js';
+import rocky from './rocky.js';
+import gas from './gas.js';
+import ice from './ice.js';
+import temperate from './temperate.js';
+import ocean from './ocean.js';
+import desert from './desert.js';
+import lava from './lava.js';
+import carbon from './carbon.js';
+
+[rocky, gas, ice, temperate, ocean, desert, lava, carbon].forEach(registerPlanetType);
@@ -0,0 +1,39 @@
+// Раскалённые миры - тёмно-красные, поверхность светится сама
+import { EARTH_RAYLEIGH } from '../PlanetTypeRegistry.js';
+
+export default {
+  id: 'lava',
+  label: 'лавовая',
+  family: 'rocky',
+  weight: ({ temperatureK, lavaTemperature }) => (temperatureK >= lavaTemperature ? 0.95 : 0),
+  radius: [0.4, 1.2],
+  density: 4.6, // частично расплавленная мантия
+  palette: { hue: [0, 25], saturation: [0.6, 0.9], lightness: [0.2, 0.35] },
+  atmosphereChance: 0.2,
+  cloudCoverage: [0.1, 0.3], // пепел извержений
+  traits: { volcanic: 0.9 },
+  atmosphere: (rand, { radius }) => ({
+    thickness: radius * rand(0.05, 0.1),
+    color: 0xff7744,
+    intensity: rand(0.6, 1.0),
+    fresnelPower: rand(2.0, 3.5),
+  }),
+  // Вулканические газы и сернистая дымка
+  scattering: (rand) => {
+    const density = rand(0.3, 0.8);
+    const haze = rand(0.8, 2);
+    return {
+      rayleigh: EARTH_RAYLEIGH.map((c) => c * density),
+      mie: [0.16, 0.09, 0.03].map((c) => c * haze),
+      mieG: rand(0.6, 0.7),
+      scaleHeight: rand(0.25, 0.35),
+    };
+  },
+  createMaterial: (planet, baseColor) => {
+    const material = planet.createRockyPlanetMaterial(baseColor);
+    material.emissive.setHex(0xff3300);
+    material.emissiveMap = material.map;
+    material.emissiveIntensity = 0.35;
+    return material;
+  },
+};
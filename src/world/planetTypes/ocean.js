@@ -0,0 +1,40 @@
+// Океанические миры: та же зона обитаемости, что у умеренных, но суша почти целиком под водой
+import { EARTH_RAYLEIGH } from '../PlanetTypeRegistry.js';
+
+export default {
+  id: 'ocean',
+  label: 'океаническая',
+  family: 'rocky',
+  weight: ({ temperatureK, distance, zone, lavaTemperature }) => (
+    temperatureK < lavaTemperature && distance >= zone.innerRadius && distance <= zone.outerRadius ? 0.475 : 0
+  ),
+  radius: [0.6, 1.6],
+  density: 3.2, // глубокий водный слой поверх каменного ядра
+  palette: { hue: [195, 225], saturation: [0.5, 0.8], lightness: [0.35, 0.5] },
+  atmosphereChance: 0.85,
+  cloudCoverage: [0.5, 0.8],
+  traits: { civilisation: 0.2 }, // города на островах и побережьях
+  atmosphere: (rand, { radius }) => ({
+    thickness: radius * rand(0.05, 0.1),
+    color: 0x88ccff,
+    intensity: rand(0.6, 1.0),
+    fresnelPower: rand(2.0, 3.5),
+  }),
+  // Как у умеренных, но влажнее — больше дымки Ми
+  scattering: (rand) => {
+    const density = rand(0.9, 1.5);
+    const haze = 0.03 * rand(0.8, 1.8);
+    return {
+      rayleigh: EARTH_RAYLEIGH.map((c) => c * density),
+      mie: [haze, haze, haze],
+      mieG: rand(0.75, 0.85),
+      scaleHeight: rand(0.2, 0.3),
+    };
+  },
+  // Вода почти везде: над ней остаются только редкие острова и гребни кратеров
+  createMaterial: (planet, baseColor) => {
+    const material = planet.createOceanPlanetMaterial(baseColor, { seaLevel: 0.56 });
+    material.roughness = 0.45;
+    return material;
+  },
+};
@@ -0,0 +1,8 @@
+// Безымянное каменистое тело: запасной тип для комет и файлов без климата, сам не генерируется
+export default {
+  id: 'rocky',
+  label: 'каменистая',
+  family: 'rocky',
+  radius: [0.4, 1.4],
+  palette: { hue: [20, 50], saturation: [0.05, 0.25], lightness: [0.35, 0.6] },
+};
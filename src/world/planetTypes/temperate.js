@@ -0,0 +1,34 @@
+// Умеренные миры в зоне обитаемости: зелёные материки, почти всегда с атмосферой
+import { EARTH_RAYLEIGH } from '../PlanetTypeRegistry.js';
+
+export default {
+  id: 'temperate',
+  label: 'умеренная',
+  family: 'rocky',
+  weight: ({ temperatureK, distance, zone, lavaTemperature }) => (
+    temperatureK < lavaTemperature && distance >= zone.innerRadius && distance <= zone.outerRadius ? 0.475 : 0
+  ),
+  radius: [0.6, 1.6],
+  palette: { hue: [80, 140], saturation: [0.3, 0.6], lightness: [0.35, 0.5] },
+  atmosphereChance: 0.85,
+  traits: { civilisation: 0.4 },
+  atmosphere: (rand, { radius }) => ({
+    thickness: radius * rand(0.05, 0.1),
+    color: 0x88ccff,
+    intensity: rand(0.6, 1.0),
+    fresnelPower: rand(2.0, 3.5),
+  }),
+  // Земное небо: голубое на лимбе, красное на закатах
+  scattering: (rand) => {
+    const density = rand(0.8, 1.4);
+    const haze = 0.02 * rand(0.6, 1.4);
+    return {
+      rayleigh: EARTH_RAYLEIGH.map((c) => c * density),
+      mie: [haze, haze, haze],
+      mieG: rand(0.72, 0.82),
+      scaleHeight: rand(0.2, 0.3),
+    };
+  },
+  // Моря занимают примерно половину поверхности
+  createMaterial: (planet, baseColor) => planet.createOceanPlanetMaterial(baseColor, { seaLevel: 0.505 }),
+};
@@ -0,0 +1,13 @@
+// Воркер пула текстур: рисует задачу из CanvasTextures на OffscreenCanvas и отдаёт пиксели RGBA
+import { CANVAS_TEXTURES } from './CanvasTextures.js';
+
+self.onmessage = ({ data: { id, task, size, params } }) => {
+  try {
+    const ctx = new OffscreenCanvas(size, size).getContext('2d');
+    CANVAS_TEXTURES[task](ctx, size, params);
+    const { data } = ctx.getImageData(0, 0, size, size);
+    self.postMessage({ id, data }, [data.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
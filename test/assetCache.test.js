@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AssetCache from '../src/world/AssetCache.js';
+import PlanetTextures from '../src/world/PlanetTextures.js';
+import { generateSystem } from '../src/world/SystemGenerator.js';
+
+// IndexedDB в памяти — ровно то, чем пользуется AssetCache: хранилища с keyPath или внешним
+// ключом, индекс по полю, запросы с onsuccess и транзакция, которая завершается, когда
+// в ней не осталось запросов и управление вернулось в цикл событий
+function createFakeIndexedDB() {
+  const stores = new Map();
+
+  const storeApi = (tx, name) => {
+    const { keyPath, rows, indexes } = stores.get(name);
+    const run = (fn) => tx.request(fn);
+    return {
+      get: (key) => run(() => structuredClone(rows.get(key))),
+      getAll: () => run(() => [...rows.values()].map((row) => structuredClone(row))),
+      put: (value, key) => run(() => {
+        rows.set(keyPath ? value[keyPath] : key, structuredClone(value));
+      }),
+      delete: (key) => run(() => {
+        rows.delete(key);
+      }),
+      clear: () => run(() => rows.clear()),
+      createIndex: (indexName, field) => indexes.set(indexName, field),
+      index: (indexName) => ({
+        getAll: () => run(() => [...rows.values()]
+          .sort((a, b) => a[indexes.get(indexName)] - b[indexes.get(indexName)])
+          .map((row) => structuredClone(row))),
+      }),
+    };
+  };
+
+  const transaction = () => {
+    let pending = 0;
+    const tx = {
+      objectStore: (name) => storeApi(tx, name),
+      request(fn) {
+        const req = {};
+        pending += 1;
+        setImmediate(() => {
+          req.result = fn();
+          req.onsuccess?.();
+          pending -= 1;
+          setImmediate(() => {
+            if (pending === 0 && !tx.completed) {
+              tx.completed = true;
+              tx.oncomplete?.();
+            }
+          });
+        });
+        return req;
+      },
+    };
+    return tx;
+  };
+
+  const db = {
+    createObjectStore(name, { keyPath } = {}) {
+      stores.set(name, { keyPath, rows: new Map(), indexes: new Map() });
+      return storeApi({ request: () => ({}) }, name);
+    },
+    transaction,
+  };
+
+  return {
+    stores,
+    open() {
+      const req = { result: db };
+      setImmediate(() => {
+        req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+}
+
+const pixels = (bytes, fill = 0) => ({ width: 1, height: bytes / 4, data: new Uint8Array(bytes).fill(fill) });
+
+// Часы для lastUsed: каждая операция кэша — на своей секунде
+function mockClock(t) {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  return (time) => {
+    now = time;
+  };
+}
+
+test('без IndexedDB кэш — всегда промах, запись и очистка ничего не ломают', async () => {
+  const cache = new AssetCache({ factory: null });
+  await cache.put('seed/v5/p2/m0/map', '1:rocky', pixels(4));
+  assert.equal(await cache.get('seed/v5/p2/m0/map'), null);
+  assert.equal(await cache.usage(), 0);
+  await cache.clear();
+});
+
+test('запись читается обратно вместе с fingerprint и размером', async () => {
+  const cache = new AssetCache({ factory: createFakeIndexedDB() });
+  await cache.put('seed/v6/p0/map', '1:rocky:64', pixels(16, 7));
+  const record = await cache.get('seed/v6/p0/map');
+  assert.equal(record.fingerprint, '1:rocky:64');
+  assert.deepEqual([...record.pixels.data], new Array(16).fill(7));
+  assert.equal(await cache.usage(), 16);
+  assert.equal(await cache.get('seed/v6/p1/map'), null);
+});
+
+test('запись с новым fingerprint заменяет старую — промах по отпечатку не оставляет мусора', async () => {
+  const cache = new AssetCache({ factory: createFakeIndexedDB() });
+  await cache.put('seed/v6/p0/map', '1:rocky:64', pixels(16, 1));
+  const stale = await cache.get('seed/v6/p0/map');
+  // Вызывающий сверяет отпечаток: сменился шейдер — запекает заново и перезаписывает
+  assert.notEqual(stale.fingerprint, '2:rocky:64');
+  await cache.put('seed/v6/p0/map', '2:rocky:64', pixels(8, 2));
+  const fresh = await cache.get('seed/v6/p0/map');
+  assert.equal(fresh.fingerprint, '2:rocky:64');
+  assert.deepEqual([...fresh.pixels.data], new Array(8).fill(2));
+  assert.equal(await cache.usage(), 8);
+});
+
+test('«текстуры нет» (pixels = null) — тоже попадание', async () => {
+  const cache = new AssetCache({ factory: createFakeIndexedDB() });
+  await cache.put('seed/v6/p0/clouds', '1:none', null);
+  assert.deepEqual(await cache.get('seed/v6/p0/clouds'), { fingerprint: '1:none', pixels: null });
+});
+
+test('сверх бюджета вытесняются давно не читанные записи (LRU по lastUsed)', async (t) => {
+  const setNow = mockClock(t);
+  const cache = new AssetCache({ budgetBytes: 40, factory: createFakeIndexedDB() });
+  setNow(1000);
+  await cache.put('a', 'f', pixels(16));
+  setNow(2000);
+  await cache.put('b', 'f', pixels(16));
+  // Чтение освежает a: теперь самая старая — b
+  setNow(3000);
+  assert.ok(await cache.get('a'));
+  setNow(4000);
+  await cache.put('c', 'f', pixels(16));
+
+  assert.equal(await cache.get('b'), null);
+  assert.ok(await cache.get('a'));
+  assert.ok(await cache.get('c'));
+  assert.equal(await cache.usage(), 32);
+});
+
+test('бюджет по умолчанию — 2 ГБ; запись больше бюджета не сохраняется', async () => {
+  assert.equal(new AssetCache({ factory: null, storage: null }).budgetBytes, 2 * 1024 * 1024 * 1024);
+  const cache = new AssetCache({ budgetBytes: 8, factory: createFakeIndexedDB() });
+  await cache.put('small', 'f', pixels(8));
+  await cache.put('huge', 'f', pixels(12));
+  assert.equal(await cache.get('huge'), null);
+  assert.ok(await cache.get('small'));
+});
+
+test('clear удаляет и метаданные, и пиксели', async () => {
+  const factory = createFakeIndexedDB();
+  const cache = new AssetCache({ factory });
+  await cache.put('a', 'f', pixels(8));
+  await cache.put('b', 'f', pixels(8));
+  await cache.clear();
+  assert.equal(await cache.usage(), 0);
+  assert.equal(await cache.get('a'), null);
+  factory.stores.forEach(({ rows }) => assert.equal(rows.size, 0));
+});
+
+test('бюджет урезается до половины квоты хранилища', async () => {
+  const cache = new AssetCache({ factory: createFakeIndexedDB(), storage: { estimate: async () => ({ quota: 64 }) } });
+  await cache.put('a', 'f', pixels(24));
+  await cache.put('b', 'f', pixels(24));
+  assert.equal(cache.budgetBytes, 32);
+  assert.equal(await cache.get('a'), null);
+  assert.ok(await cache.get('b'));
+});
+
+// Слои, которые тело может сохранить: map, normalMap, heightMap и nightLights — 2·size × size RGBA,
+// облака — не крупнее 1024. Пиксели — заглушки: бюджету важен только byteLength
+const layerBytes = (size) => size * 2 * size * 4;
+function systemAssets(system) {
+  const bodies = [
+    ...system.planets.flatMap((planet, i) => [[planet, `p${i}`], ...planet.moons.map((moon, j) => [moon, `p${i}/m${j}`])]),
+    ...system.belts.flatMap((belt, i) => belt.namedAsteroids.map((asteroid, j) => [asteroid, `b${i}/a${j}`])),
+    ...system.comets.map((comet, i) => [comet, `c${i}`]),
+  ];
+  return bodies.flatMap(([body, path]) => {
+    const size = PlanetTextures.sizeForRadius(body.radius);
+    return [
+      ...['map', 'normalMap', 'heightMap', 'nightLights'].map((asset) => [`${path}/${asset}`, layerBytes(size)]),
+      [`${path}/clouds`, layerBytes(Math.min(1024, size))],
+    ].map(([key, bytes]) => ({ key: `${system.seed}/v${system.generatorVersion}/${key}`, bytes }));
+  });
+}
+
+test('крупная система целиком помещается в бюджет по умолчанию и читается обратно', async () => {
+  const systems = Array.from({ length: 30 }, (_, i) => systemAssets(generateSystem(`s${i}`)));
+  const total = (assets) => assets.reduce((sum, { bytes }) => sum + bytes, 0);
+  const largest = systems.reduce((a, b) => (total(b) > total(a) ? b : a));
+  // Прежний бюджет (256 МБ) такую систему не вмещал
+  assert.ok(total(largest) > 256 * 1024 * 1024);
+
+  const cache = new AssetCache({ factory: createFakeIndexedDB(), storage: null });
+  for (const { key, bytes } of largest) {
+    await cache.put(key, 'f', { width: 1, height: 1, data: { byteLength: bytes } });
+  }
+  const records = await Promise.all(largest.map(({ key }) => cache.get(key)));
+  assert.deepEqual(records.filter((record) => !record), []);
+  assert.equal(await cache.usage(), total(largest));
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { disposeObject } from '../src/world/Disposal.js';
+
+const disposed = (resource) => {
+  let flag = false;
+  resource.addEventListener('dispose', () => { flag = true; });
+  return () => flag;
+};
+
+test('disposeObject освобождает геометрии, материалы и текстуры, кроме общих', () => {
+  const scene = new THREE.Scene();
+  const group = new THREE.Group();
+  const map = new THREE.Texture();
+  const uniformTexture = new THREE.Texture();
+  const shared = new THREE.Texture();
+  shared.userData.shared = true;
+  const standard = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({ map }));
+  const shader = new THREE.Points(new THREE.BufferGeometry(), new THREE.ShaderMaterial({
+    uniforms: { uOwn: { value: uniformTexture }, uShared: { value: shared } },
+  }));
+  group.add(standard, shader);
+  scene.add(group);
+
+  const checks = [standard.geometry, standard.material, shader.geometry, shader.material, map, uniformTexture].map(disposed);
+  const sharedDisposed = disposed(shared);
+  disposeObject(group);
+
+  checks.forEach((check) => assert.ok(check()));
+  assert.equal(sharedDisposed(), false);
+  assert.equal(group.parent, null);
+});
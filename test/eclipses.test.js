@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { eclipseUniforms, MAX_OCCLUDERS, updateEclipseOccluders } from '../src/world/Eclipses.js';
+
+const SUN = new THREE.Vector3(0, 0, 0);
+
+// Тело с тем, что читает updateEclipseOccluders: группа в мире и освещение от звезды в начале координат
+function body([x, y, z = 0], radius, extra = {}) {
+  const bodyGroup = new THREE.Group();
+  bodyGroup.position.set(x, y, z);
+  return {
+    bodyGroup,
+    radius,
+    surfaceUniforms: { uSunPosition: { value: SUN }, uSunRadius: { value: 50 } },
+    ...extra,
+  };
+}
+
+const occluderRadii = () => eclipseUniforms.uOccluders.value
+  .slice(0, eclipseUniforms.uOccluderCount.value)
+  .map((occluder) => occluder.w);
+
+test('спутник, затеняющий свою планету, важнее крупных тел без тени', () => {
+  const planet = body([10000, 0], 100);
+  const moon = body([9800, 0], 5);
+  // Гиганты на окружности поперёк луча к планете: их тень ни на кого не падает,
+  // как бы крупно они ни выглядели
+  const count = MAX_OCCLUDERS + 4;
+  const giants = Array.from({ length: count }, (_, i) => {
+    const angle = ((i + 0.5) / count) * Math.PI * 2;
+    return body([0, 30000 * Math.cos(angle), 30000 * Math.sin(angle)], 2000);
+  });
+  updateEclipseOccluders([...giants, planet, moon]);
+  assert.deepEqual(occluderRadii(), [5]);
+});
+
+test('тень на кольцо учитывается, тень мимо приёмника — нет', () => {
+  const ringed = body([10000, 0], 100, { ring: { outerRadius: 300 } });
+  // Спутник между звездой и кольцом, но в стороне от самой планеты
+  const moon = body([9500, 250], 10);
+  updateEclipseOccluders([ringed, moon]);
+  assert.deepEqual(occluderRadii(), [10]);
+
+  updateEclipseOccluders([body([10000, 0], 100), moon]);
+  assert.deepEqual(occluderRadii(), []);
+});
+
+test('ближняя к приёмнику заслонка ранжируется выше дальней того же размера', () => {
+  const planet = body([10000, 0], 100);
+  const near = body([9900, 0], 10);
+  const far = body([3000, 0], 11);
+  updateEclipseOccluders([far, near, planet]);
+  assert.deepEqual(occluderRadii().slice(0, 2), [10, 11]);
+});
@@ -0,0 +1,32 @@
+// Положения звёзд галактики задают сиды их систем, поэтому раскладка тоже закреплена:
+// если она поменяется, все ссылки ?galaxy=…&star=N начнут вести в другие системы.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { generateGalaxy, nearestStars } from '../src/world/Galaxy.js';
+import { generateSystem, previewSystem } from '../src/world/SystemGenerator.js';
+
+test('галактика по умолчанию раскладывается как прежде', () => {
+  const galaxy = generateGalaxy('home');
+  assert.equal(galaxy.stars.length, 6000);
+  assert.equal(galaxy.stars[0].systemSeed, 'home/3510/-196/951');
+  const digest = createHash('sha256').update(galaxy.stars.map((s) => s.systemSeed).join('\n')).digest('hex');
+  assert.equal(digest, '694c5478dfb7cd52c57245881f9e43e4b1ffa959f3f4451a1d5530cc02bcf8c9');
+});
+
+test('соседи отсортированы по расстоянию и не включают саму звезду', () => {
+  const galaxy = generateGalaxy('home');
+  const neighbours = nearestStars(galaxy, 0, 20);
+  assert.equal(neighbours.length, 20);
+  assert.ok(neighbours.every((n) => n.star.index !== 0));
+  neighbours.slice(1).forEach((n, i) => assert.ok(n.distance >= neighbours[i].distance));
+});
+
+test('previewSystem совпадает с главной звездой полной генерации', () => {
+  generateGalaxy('home').stars.slice(0, 25).forEach(({ systemSeed }) => {
+    const preview = previewSystem(systemSeed);
+    const system = generateSystem(systemSeed);
+    assert.equal(preview.spectralType, system.stars[0].spectralType);
+    assert.equal(preview.multiplicity, system.multiplicity);
+  });
+});
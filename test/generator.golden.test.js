@@ -0,0 +1,78 @@
+// Golden-тесты генератора: вывод каждой версии для набора сидов закреплён в test/golden/.
+// Если тест упал — изменение сломало старые ссылки ?seed=…&v=N. Новое поведение нужно
+// включать новой версией в SystemGenerator.js, а не править golden-файл старой.
+// Golden-файл новой версии записывается только явно: UPDATE_GOLDEN=1 npm test. Без файла тест падает.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { generateSystem, GENERATOR_VERSIONS } from '../src/world/SystemGenerator.js';
+
+const CASES = [
+  { seed: 'sol' },
+  { seed: 'alpha' },
+  { seed: 'alpha', resonances: true },
+  { seed: 'vega' },
+  { seed: 'lyra' },
+  { seed: 'orion' },
+  { seed: 'perseus' },
+  { seed: 'cygnus' },
+  { seed: '1700000000000' },
+  { seed: 12345 },
+  // Сдвиг орбит выталкивает умеренную планету за зону обитаемости (v6 меняет её тип)
+  { seed: 4 },
+];
+
+const goldenPath = (version) => new URL(`./golden/generator-v${version}.json`, import.meta.url);
+
+// Числа округляем до 12 значащих цифр, чтобы хэш не зависел от последнего бита float
+function canonicalJSON(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === 'number' ? Number(v.toPrecision(12)) : v));
+}
+
+// Краткая сводка (чтобы по диффу было видно, что именно поменялось) + хэш полного вывода
+function snapshot(system) {
+  return {
+    multiplicity: system.multiplicity,
+    stars: system.stars.map((s) => s.spectralType),
+    planets: system.planets.map((p) => `${p.name}:${p.climate}`),
+    belts: system.belts.map((b) => `${b.kind}:${b.name}`),
+    comets: system.comets.map((c) => c.name),
+    hash: createHash('sha256').update(canonicalJSON(system)).digest('hex'),
+  };
+}
+
+const caseKey = ({ seed, resonances }) => `${typeof seed}:${seed}${resonances ? ':resonances' : ''}`;
+
+for (const version of GENERATOR_VERSIONS) {
+  test(`генератор v${version} воспроизводит golden-системы`, (t) => {
+    const actual = Object.fromEntries(CASES.map((c) => [
+      caseKey(c),
+      snapshot(generateSystem(c.seed, { version, resonances: c.resonances })),
+    ]));
+
+    if (process.env.UPDATE_GOLDEN === '1') {
+      writeFileSync(goldenPath(version), `${JSON.stringify(actual, null, 2)}\n`);
+      t.diagnostic(`golden-файл v${version} записан`);
+      return;
+    }
+
+    assert.ok(
+      existsSync(goldenPath(version)),
+      `нет golden-файла v${version}: создать — UPDATE_GOLDEN=1 npm test`,
+    );
+    const expected = JSON.parse(readFileSync(goldenPath(version), 'utf8'));
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `v${version}: набор сидов`);
+    for (const key of Object.keys(expected)) {
+      assert.deepEqual(actual[key], expected[key], `v${version}, ${key}`);
+    }
+  });
+}
+
+test('один и тот же сид даёт одинаковую систему', () => {
+  assert.equal(canonicalJSON(generateSystem('repeat')), canonicalJSON(generateSystem('repeat')));
+});
+
+test('неизвестная версия генератора — ошибка', () => {
+  assert.throws(() => generateSystem('sol', { version: 0 }), /Неизвестная версия генератора/);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNamer, NAME_STYLES, romanNumeral } from '../src/world/NameGenerator.js';
+import { generateSystem, makeRandUtils, makeRng } from '../src/world/SystemGenerator.js';
+
+test('имена одного стиля не повторяются', () => {
+  for (const style of NAME_STYLES) {
+    const { rand } = makeRandUtils(makeRng(42));
+    const namer = createNamer(style, rand);
+    const names = Array.from({ length: 300 }, () => namer.next());
+    assert.equal(new Set(names.map((n) => n.toLowerCase())).size, names.length, style);
+  }
+});
+
+test('все имена в системе уникальны, обозначения — по звезде и порядку орбит', () => {
+  for (const seed of ['sol', 'alpha', 'vega', 'orion', 'perseus', 'cygnus']) {
+    const system = generateSystem(seed, { version: 2 });
+    const names = [
+      system.name,
+      ...system.planets.flatMap((p) => [p.name, ...p.moons.map((m) => m.name)]),
+      ...system.belts.flatMap((b) => [b.name, ...b.namedAsteroids.map((a) => a.name)]),
+      ...system.comets.map((c) => c.name.replace(/^C\//, '')),
+    ];
+    assert.equal(new Set(names).size, names.length, seed);
+
+    system.planets.forEach((planet) => {
+      assert.match(planet.designation, new RegExp(`^${system.name} (${planet.barycenter} )?[b-z]$`), seed);
+      planet.moons.forEach((moon, i) => assert.equal(moon.designation, `${planet.designation} ${romanNumeral(i + 1)}`));
+    });
+  }
+});
+
+test('римские номера', () => {
+  assert.deepEqual([1, 4, 9, 14, 40, 1999].map(romanNumeral), ['I', 'IV', 'IX', 'XIV', 'XL', 'MCMXCIX']);
+});
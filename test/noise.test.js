@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bakeCubemap, bakeEquirect, billow, createNoise, ridged, warpedFbm } from '../src/world/Noise.js';
+
+test('ridged в [0, 1], billow и искажённый fBm — в пределах [-1, 1]', () => {
+  for (let i = 0; i < 500; i += 1) {
+    const [x, y, z] = [i * 0.37 - 50, Math.cos(i) * 30, i * 0.11];
+    const r = ridged(x, y, z, 5);
+    assert.ok(r >= 0 && r <= 1, `ridged ${r}`);
+    assert.ok(Math.abs(billow(x, y, z, 5)) <= 1, `billow ${billow(x, y, z, 5)}`);
+    assert.ok(Math.abs(warpedFbm(x, y, z, 1, 5)) <= 1);
+  }
+});
+
+test('шум с сидом: тот же сид — то же поле, другой — другое', () => {
+  const a = createNoise(7, { frequency: 3 });
+  assert.equal(a.fbm(0.3, 0.4, 0.5, 4), createNoise(7, { frequency: 3 }).fbm(0.3, 0.4, 0.5, 4));
+  assert.notEqual(a.fbm(0.3, 0.4, 0.5, 4), createNoise(8, { frequency: 3 }).fbm(0.3, 0.4, 0.5, 4));
+});
+
+test('равнопромежуточная карта без шва по долготе и без разрыва на полюсе', () => {
+  const noise = createNoise(42, { frequency: 4 });
+  const width = 256;
+  const height = 128;
+  const map = bakeEquirect(width, height, (x, y, z) => noise.fbm(x, y, z, 5));
+  for (let y = 0; y < height; y += 1) {
+    const row = y * width;
+    // Первый и последний столбцы — соседи на сфере: перепад как между соседними столбцами
+    const seam = Math.abs(map[row] - map[row + width - 1]);
+    let maxStep = 0;
+    for (let x = 1; x < width; x += 1) maxStep = Math.max(maxStep, Math.abs(map[row + x] - map[row + x - 1]));
+    assert.ok(seam <= maxStep * 1.5, `строка ${y}: шов ${seam}, шаг до ${maxStep}`);
+  }
+  // Верхняя строка — маленький круг у полюса: разброс значений много меньше, чем на экваторе
+  const spread = (values) => Math.max(...values) - Math.min(...values);
+  const equator = map.slice((height / 2) * width, (height / 2 + 1) * width);
+  assert.ok(spread(map.slice(0, width)) < spread(equator) * 0.25);
+});
+
+test('кубическая карта: центр грани +X — направление (1, 0, 0)', () => {
+  const sample = (x, y, z) => x + 2 * y + 3 * z;
+  // Грань 1 × 1: единственный пиксель — ровно в центре
+  const faces = bakeCubemap(1, sample).map(([value]) => value);
+  assert.deepEqual(faces, [1, -1, 2, -2, 3, -3]);
+});
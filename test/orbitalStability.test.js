@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeStability,
+  HILL_FACTOR,
+  moonSystemExtent,
+  mutualHillRadius,
+  stabilizePlanets,
+} from '../src/world/OrbitalStability.js';
+import { generateSystem, MAX_PLANET_ORBIT } from '../src/world/SystemGenerator.js';
+
+const SEEDS = Array.from({ length: 60 }, (_, i) => `stability-${i}`);
+
+// Тело без спутников на круговой орбите (масса — в массах Земли)
+const body = (name, orbitRadius, mass, extra = {}) => ({
+  name, orbitRadius, mass, radius: 1, eccentricity: 0, moons: [], ...extra,
+});
+
+// Соседние пары планет одной группы (вокруг одной звезды или пары), изнутри наружу
+function neighbourPairs(planets) {
+  const groups = new Map();
+  planets.forEach((p) => groups.set(p.barycenter, [...(groups.get(p.barycenter) ?? []), p]));
+  return [...groups.values()].flatMap((group) => {
+    const sorted = [...group].sort((a, b) => a.orbitRadius - b.orbitRadius);
+    return sorted.slice(1).map((outer, i) => [sorted[i], outer]);
+  });
+}
+
+const assertHillSpacing = ([inner, outer], centralMass, label) => {
+  const minDelta = HILL_FACTOR * mutualHillRadius(inner, outer, centralMass);
+  assert.ok(
+    outer.orbitRadius - inner.orbitRadius >= minDelta * (1 - 1e-9),
+    `${label}: ${inner.name} — ${outer.name} ближе ${HILL_FACTOR.toFixed(2)} R_Hill`,
+  );
+};
+
+test('тесная пара раздвигается до 2√3 взаимных радиусов Хилла', () => {
+  const planets = [body('a', 10000, 300), body('b', 10500, 300), body('c', 11000, 300)];
+  const { planets: kept, applied } = stabilizePlanets(planets);
+  assert.equal(kept.length, 3);
+  assert.ok(applied.some((entry) => entry.rule === 'hill-spacing'));
+  neighbourPairs(kept.map((p) => ({ ...p, barycenter: 'A' }))).forEach((pair) => assertHillSpacing(pair, 1, 'пара'));
+});
+
+test('вытолкнутые за внешнюю границу планеты убираются', () => {
+  const planets = [body('a', 10000, 300), body('b', 10100, 300)];
+  const { planets: kept, applied } = stabilizePlanets(planets, { outerLimit: 10500 });
+  assert.deepEqual(kept.map((p) => p.name), ['a']);
+  assert.deepEqual(applied.at(-1), { rule: 'unstable-removed', planets: ['b'] });
+});
+
+test('проверка устойчивости детерминирована', () => {
+  const make = () => [
+    body('a', 10000, 5, { eccentricity: 0.3 }),
+    body('b', 12000, 300, { eccentricity: 0.3 }),
+    body('c', 12600, 20),
+    body('d', 19000, 1),
+  ];
+  const first = stabilizePlanets(make(), { resonances: true });
+  const second = stabilizePlanets(make(), { resonances: true });
+  assert.deepEqual(second, first);
+
+  SEEDS.slice(0, 10).forEach((seed) => {
+    const a = generateSystem(seed, { resonances: true });
+    const b = generateSystem(seed, { resonances: true });
+    assert.deepEqual(b.stability, a.stability, seed);
+    assert.deepEqual(b.planets.map((p) => p.orbitRadius), a.planets.map((p) => p.orbitRadius), seed);
+  });
+});
+
+test('в сгенерированных системах соседние планеты разнесены по Хиллу', () => {
+  SEEDS.forEach((seed) => {
+    [false, true].forEach((resonances) => {
+      const system = generateSystem(seed, { resonances });
+      const massOf = new Map(system.stars.map((s) => [s.id, s.mass]));
+      neighbourPairs(system.planets).forEach((pair) => {
+        // P-тип обращается вокруг суммарной массы пары
+        const centralMass = massOf.get(pair[0].barycenter) ?? system.stars.reduce((sum, s) => sum + s.mass, 0);
+        assertHillSpacing(pair, centralMass, `${seed}${resonances ? ' (резонансы)' : ''}`);
+      });
+    });
+  });
+});
+
+test('сдвинутые орбиты, в том числе под щель пояса, не выходят за MAX_PLANET_ORBIT', () => {
+  let withMainBelt = 0;
+  SEEDS.forEach((seed) => {
+    const system = generateSystem(seed, { resonances: true });
+    if (system.belts.some((b) => b.kind === 'main')) withMainBelt += 1;
+    system.planets.forEach((p) => {
+      const apoapsis = p.orbitRadius * (1 + p.eccentricity) + moonSystemExtent(p);
+      assert.ok(apoapsis <= MAX_PLANET_ORBIT, `${seed}: ${p.name} на ${Math.round(apoapsis)}`);
+    });
+  });
+  // Щель под главный пояс раздвигает орбиты — такие системы среди сидов должны быть
+  assert.ok(withMainBelt > 0);
+});
+
+test('отчёт об устойчивости для интерфейса', () => {
+  assert.equal(describeStability(undefined), null);
+  assert.deepEqual(describeStability({ resonances: false, applied: [] }), { summary: 'устойчивость: без правок', details: [] });
+  const report = describeStability({
+    resonances: true,
+    applied: [
+      { rule: 'hill-spacing', planets: ['a', 'b'], shift: 10 },
+      { rule: 'hill-spacing', planets: ['b', 'c'], shift: 5 },
+      { rule: 'resonance', planets: ['c', 'd'], resonance: '3:2' },
+    ],
+  });
+  assert.equal(report.summary, 'устойчивость: разнос по Хиллу ×2, резонанс ×1');
+  assert.deepEqual(report.details, ['разнос по Хиллу: a — b', 'разнос по Хиллу: b — c', 'резонанс 3:2: c — d']);
+});
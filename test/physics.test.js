@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AU, GAME_SECONDS_PER_YEAR, planetPhysics } from '../src/world/PlanetPhysics.js';
+import { generateSystem } from '../src/world/SystemGenerator.js';
+
+const close = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} ≠ ${expected}`);
+};
+
+test('земной аналог получает земные характеристики', () => {
+  // Сутки в 1/365.25 года игрового времени — 24 часа
+  const rotationSpeed = (2 * Math.PI * 365.25) / GAME_SECONDS_PER_YEAR;
+  const earth = planetPhysics({ mass: 1, density: 5.51, rotationSpeed, orbitRadius: AU }, 1);
+  close(earth.radius, 1, 1e-9, 'радиус');
+  close(earth.surfaceGravity, 9.81, 1e-9, 'ускорение свободного падения');
+  close(earth.escapeVelocity, 11.19, 1e-9, 'вторая космическая');
+  close(earth.dayLength, 24, 1e-6, 'сутки');
+  close(earth.orbitalPeriod, 365.25, 0.01, 'год');
+});
+
+test('период орбиты зависит от массы звезды', () => {
+  const base = { mass: 1, density: 5.51, rotationSpeed: 1, orbitRadius: AU };
+  close(planetPhysics(base, 4).orbitalPeriod, 365.25 / 2, 0.01, 'M = 4 M☉');
+});
+
+test('генератор v3 заполняет physics у каждой планеты', () => {
+  const system = generateSystem('vega', { version: 3 });
+  assert.ok(system.planets.length > 0);
+  system.planets.forEach((planet) => {
+    for (const value of Object.values(planet.physics)) assert.ok(Number.isFinite(value) && value > 0, planet.name);
+  });
+  assert.equal(generateSystem('vega', { version: 2 }).planets[0].physics, undefined);
+});
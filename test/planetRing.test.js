@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PlanetRing from '../src/world/PlanetRing.js';
+import { makeRng } from '../src/world/SystemGenerator.js';
+
+const SEEDS = Array.from({ length: 200 }, (_, i) => i + 1);
+
+const profileFor = (seed) => PlanetRing.createProfile(makeRng(seed));
+
+test('профиль кольца детерминирован по сиду', () => {
+  assert.deepEqual(profileFor(42), profileFor(42));
+  assert.notDeepEqual(profileFor(42).density, profileFor(43).density);
+});
+
+test('щели: от одной до трёх, внутри кольца, плотность в центре щели — ноль', () => {
+  SEEDS.forEach((seed) => {
+    const { density, gaps } = profileFor(seed);
+    assert.ok(gaps.length >= 1 && gaps.length <= 3, `${seed}: щелей ${gaps.length}`);
+    gaps.forEach(({ center, width }) => {
+      assert.ok(center >= 0.25 && center <= 0.85, `${seed}: центр щели ${center}`);
+      assert.ok(width >= 0.01 && width <= 0.05, `${seed}: ширина щели ${width}`);
+      assert.equal(density[Math.round(center * (density.length - 1))], 0, `${seed}: щель не пустая`);
+    });
+  });
+});
+
+test('плотность (непрозрачность) в 0..1 и гаснет к краям, тон — в своих пределах', () => {
+  SEEDS.forEach((seed) => {
+    const { density, tone } = profileFor(seed);
+    density.forEach((value, i) => assert.ok(value >= 0 && value <= 1, `${seed}: плотность ${value} в ${i}`));
+    assert.equal(density[0], 0);
+    assert.equal(density.at(-1), 0);
+    tone.forEach((value) => assert.ok(value >= 0.7 - 1e-6 && value <= 1.1 + 1e-6, `${seed}: тон ${value}`));
+  });
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import PlanetTerrain, { unwrapPatchUVs } from '../src/world/PlanetTerrain.js';
+
+const terrain = new PlanetTerrain({ radius: 1000, seed: 7, material: new THREE.MeshBasicMaterial() });
+const [PLUS_X, MINUS_X, PLUS_Y, MINUS_Y] = terrain.roots;
+
+// Треугольники патча: u и v вершин
+function triangles(mesh) {
+  const uv = mesh.geometry.getAttribute('uv');
+  const index = mesh.geometry.getIndex().array;
+  const result = [];
+  for (let t = 0; t < index.length; t += 3) {
+    result.push([0, 1, 2].map((k) => ({ u: uv.getX(index[t + k]), v: uv.getY(index[t + k]) })));
+  }
+  return result;
+}
+
+const atPole = ({ v }) => v < 1e-6 || v > 1 - 1e-6;
+const span = (values) => Math.max(...values) - Math.min(...values);
+
+// Ни один треугольник не тянет текстуру через всю развёртку
+function assertNoStretch(mesh, label) {
+  triangles(mesh).forEach((corners, t) => {
+    const around = corners.filter((c) => !atPole(c));
+    assert.ok(span(around.map((c) => c.u)) < 0.3, `${label}: треугольник ${t} растянут по u`);
+    corners.filter(atPole).forEach((pole) => {
+      const us = around.map((c) => c.u);
+      assert.ok(pole.u >= Math.min(...us) - 1e-6 && pole.u <= Math.max(...us) + 1e-6, `${label}: u полюса вне треугольника ${t}`);
+    });
+  });
+}
+
+test('патчи с полюсом не растягивают текстуру', () => {
+  [PLUS_Y, MINUS_Y].forEach((root, i) => {
+    const label = i === 0 ? 'северный полюс' : 'южный полюс';
+    const mesh = terrain.buildPatch(root);
+    assert.ok(triangles(mesh).some((corners) => corners.some(atPole)), `${label}: в патче нет вершины полюса`);
+    assertNoStretch(mesh, label);
+  });
+
+  // Полюс в углу дочернего патча
+  terrain.updateNode(PLUS_Y, new THREE.Vector3(0, 1100, 0));
+  PLUS_Y.children.forEach((child, i) => assertNoStretch(terrain.buildPatch(child), `четверть ${i}`));
+});
+
+test('патч поперёк шва развёртки переносится за 1 без разрыва', () => {
+  // Шов (u = 0) проходит по средней линии грани -X: вершины на нём получают копии с u = 1
+  const mesh = terrain.buildPatch(MINUS_X);
+  assert.ok(mesh.geometry.getAttribute('uv').count > 33 * 33 + 4 * 33, 'шов не перенесён');
+  assertNoStretch(mesh, 'шов');
+});
+
+test('патч вдали от шва и полюсов не меняется', () => {
+  const mesh = terrain.buildPatch(PLUS_X);
+  const uv = mesh.geometry.getAttribute('uv');
+  // Сетка (n + 1)² и четыре юбки по n + 1 вершин — без копий
+  assert.equal(uv.count, 33 * 33 + 4 * 33);
+  assertNoStretch(mesh, '+X');
+});
+
+test('unwrapPatchUVs: копии вершин общие для треугольников с одинаковым u', () => {
+  // Квадрат поперёк шва: два треугольника, u = 0.9 и 0.1
+  const positions = new Float32Array(12);
+  const normals = new Float32Array(12);
+  const uvs = new Float32Array([0.9, 0.4, 0.1, 0.4, 0.9, 0.6, 0.1, 0.6]);
+  const indices = [0, 1, 3, 0, 3, 2];
+  const out = unwrapPatchUVs(positions, normals, uvs, indices);
+  assert.equal(out.uvs.length / 2, 6);
+  assert.deepEqual(indices, [0, 4, 5, 0, 5, 2]);
+  assert.ok(Math.abs(out.uvs[4 * 2] - 1.1) < 1e-6);
+});
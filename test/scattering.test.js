@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scatteringFromColor } from '../src/world/PlanetTypeRegistry.js';
+import { generateSystem } from '../src/world/SystemGenerator.js';
+import { exportSystemToJSON, importSystem } from '../src/world/SystemSerializer.js';
+
+const SEEDS = Array.from({ length: 20 }, (_, i) => `sky-${i}`);
+
+const atmospheresOf = (system) => system.planets.map((p) => p.atmosphere).filter(Boolean);
+
+test('рассеяние v5 — у каждой атмосферы, три неотрицательных канала', () => {
+  let count = 0;
+  for (const seed of SEEDS) {
+    atmospheresOf(generateSystem(seed, { version: 5 })).forEach(({ scattering }) => {
+      assert.ok(scattering, seed);
+      [scattering.rayleigh, scattering.mie].forEach((rgb) => {
+        assert.equal(rgb.length, 3);
+        rgb.forEach((c) => assert.ok(c >= 0 && Number.isFinite(c), `${c}`));
+      });
+      assert.ok(scattering.mieG > 0 && scattering.mieG < 1);
+      assert.ok(scattering.scaleHeight > 0 && scattering.scaleHeight <= 1);
+      count += 1;
+    });
+  }
+  assert.ok(count > 0, 'ни одной атмосферы на 20 системах');
+});
+
+test('в старых версиях рассеяния нет, файл v5 проходит импорт', () => {
+  atmospheresOf(generateSystem('vega', { version: 4 })).forEach((a) => assert.equal(a.scattering, undefined));
+  const system = generateSystem('vega', { version: 5 });
+  assert.deepEqual(atmospheresOf(importSystem(exportSystemToJSON(system))), atmospheresOf(system));
+});
+
+test('небо по цвету: голубая атмосфера рассеивает синий сильнее красного', () => {
+  const { rayleigh } = scatteringFromColor(0x88ccff);
+  assert.ok(rayleigh[2] > rayleigh[1] && rayleigh[1] > rayleigh[0]);
+});
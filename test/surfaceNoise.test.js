@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GLSL from 'glsl-transpiler';
+import { seedOffset, snoise, sphereDir } from '../src/world/Noise.js';
+import { surfaceHeightShader } from '../src/world/PlanetTextures.js';
+import { surfaceHeight } from '../src/world/SurfaceNoise.js';
+
+// surfaceHeight из шейдера запекания, исполненный на CPU (glsl-transpiler, векторы — float32 как на GPU)
+function shaderSurfaceHeight(family, offset) {
+  const compile = GLSL({ uniform: (name) => `uniforms.${name}` });
+  const js = compile(surfaceHeightShader(family));
+  const { surfaceHeight: height } = new Function('uniforms', `${js}\nreturn { surfaceHeight };`)({
+    uOffset: [offset.x, offset.y, offset.z],
+    uColor: [1, 1, 1],
+  });
+  return (dx, dy, dz) => height([dx, dy, dz]);
+}
+
+test('simplex-шум в пределах [-1, 1] и непрерывен', () => {
+  for (let i = 0; i < 2000; i += 1) {
+    const x = i * 0.173 + 0.05;
+    const y = i * 0.091 - 40;
+    const z = Math.sin(i) * 50;
+    const value = snoise(x, y, z);
+    assert.ok(Math.abs(value) <= 1, `${value}`);
+    assert.ok(Math.abs(snoise(x + 1e-4, y, z) - value) < 0.01);
+  }
+});
+
+test('высота рельефа зависит только от сида и точки', () => {
+  const offset = seedOffset(12345);
+  const dir = [0.48, 0.6, 0.64];
+  for (const kind of ['rocky', 'ice']) {
+    const h = surfaceHeight(kind, ...dir, offset);
+    assert.equal(h, surfaceHeight(kind, ...dir, seedOffset(12345)));
+    assert.notEqual(h, surfaceHeight(kind, ...dir, seedOffset(54321)));
+    assert.ok(h > -0.5 && h < 1.5, `${kind}: ${h}`);
+  }
+});
+
+test('рельеф на CPU совпадает с surfaceHeight шейдера запекания', () => {
+  assert.equal(surfaceHeightShader('gas'), null);
+  for (const family of ['rocky', 'ice']) {
+    for (const seed of [12345, 7]) {
+      const offset = seedOffset(seed);
+      const gpu = shaderSurfaceHeight(family, offset);
+      // Сетка по развёртке — те же точки, что попадают в пиксели карты, включая полюса и шов
+      for (let y = 0; y <= 12; y += 1) {
+        for (let x = 0; x <= 24; x += 1) {
+          const dir = sphereDir(x / 24, y / 12);
+          const cpu = surfaceHeight(family, ...dir, offset);
+          const expected = gpu(...dir);
+          assert.ok(Math.abs(cpu - expected) < 1e-4, `${family}, сид ${seed}, (${x}, ${y}): CPU ${cpu}, шейдер ${expected}`);
+        }
+      }
+    }
+  }
+});
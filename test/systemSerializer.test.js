@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSystem, GENERATOR_VERSIONS } from '../src/world/SystemGenerator.js';
+import {
+  exportSystem,
+  exportSystemToJSON,
+  importSystem,
+  SYSTEM_FORMAT_VERSION,
+  SystemImportError,
+} from '../src/world/SystemSerializer.js';
+
+// Документ системы, который тест портит по-своему
+const documentFor = (seed = 'vega') => JSON.parse(exportSystemToJSON(generateSystem(seed, { resonances: true })));
+
+// Импорт отклонён с SystemImportError; path — где ошибка, message — о чём
+function assertRejected(doc, { path = '', message }) {
+  assert.throws(() => importSystem(doc), (error) => {
+    assert.ok(error instanceof SystemImportError, error.message);
+    assert.equal(error.path, path);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('экспорт и импорт возвращают ту же систему во всех версиях генератора', () => {
+  GENERATOR_VERSIONS.forEach((version) => {
+    const system = generateSystem('alpha', { version });
+    const imported = importSystem(exportSystemToJSON(system));
+    assert.deepEqual(imported, JSON.parse(JSON.stringify(system)), `v${version}`);
+    assert.equal(imported.sun, imported.stars[0]);
+  });
+});
+
+test('документ хранит формат и версию, sun не дублируется', () => {
+  const doc = exportSystem(generateSystem('vega'));
+  assert.equal(doc.version, SYSTEM_FORMAT_VERSION);
+  assert.equal(doc.system.sun, undefined);
+  assert.ok(!Number.isNaN(Date.parse(doc.exportedAt)));
+});
+
+test('не JSON и не файл системы отклоняются', () => {
+  assertRejected('{ oops', { message: /не является корректным JSON/ });
+  assertRejected({ format: 'other', version: 1, system: {} }, { message: /это не файл звёздной системы/ });
+  assertRejected(null, { message: /это не файл звёздной системы/ });
+});
+
+test('версия формата: нет, старая, новее сборки', () => {
+  const doc = documentFor();
+  assertRejected({ ...doc, version: undefined }, { path: 'version', message: /не указана версия/ });
+  assertRejected({ ...doc, version: '1' }, { path: 'version', message: /не указана версия/ });
+  assertRejected({ ...doc, version: SYSTEM_FORMAT_VERSION - 1 }, { path: 'version', message: /устаревшего формата/ });
+  assertRejected({ ...doc, version: SYSTEM_FORMAT_VERSION + 1 }, { path: 'version', message: /более новой версией/ });
+});
+
+test('отсутствующее обязательное поле — ошибка с путём', () => {
+  const doc = documentFor();
+  delete doc.system.planets[0].radius;
+  assertRejected(doc, { path: 'system.planets[0].radius', message: /обязательное поле отсутствует/ });
+
+  const noStars = documentFor();
+  delete noStars.system.stars;
+  assertRejected(noStars, { path: 'system.stars', message: /обязательное поле отсутствует/ });
+});
+
+test('необязательные поля можно опустить', () => {
+  const doc = documentFor();
+  const planet = doc.system.planets[0];
+  delete planet.physics;
+  delete planet.traits;
+  delete planet.climate;
+  delete doc.system.stability;
+  delete doc.system.generatorVersion;
+  const system = importSystem(doc);
+  assert.equal(system.planets[0].physics, undefined);
+  assert.equal(system.stability, undefined);
+});
+
+test('неверные типы и значения вне диапазона', () => {
+  const cases = [
+    [(s) => { s.planets[0].radius = 'большой'; }, 'system.planets[0].radius', /ожидалось число, получено: строка/],
+    [(s) => { s.planets[0].name = 42; }, 'system.planets[0].name', /ожидалась строка/],
+    [(s) => { s.planets[0].moons = {}; }, 'system.planets[0].moons', /ожидался массив, получено: объект/],
+    [(s) => { s.planets[0].eccentricity = 1.5; }, 'system.planets[0].eccentricity', /вне диапазона/],
+    [(s) => { s.planets[0].color = -1; }, 'system.planets[0].color', /вне диапазона/],
+    [(s) => { s.planets[0].seed = Number.NaN; }, 'system.planets[0].seed', /ожидалось число/],
+    [(s) => { s.planets[0].planetType = 'plasma'; }, 'system.planets[0].planetType', /ожидалось одно из/],
+    [(s) => { s.planets[0].climate = 'plasma'; }, 'system.planets[0].climate', /неизвестный тип планеты "plasma"/],
+    [(s) => { s.multiplicity = 'quadruple'; }, 'system.multiplicity', /ожидалось одно из/],
+    [(s) => { s.stars[0].orbit = 'нет'; }, 'system.stars[0].orbit', /ожидался объект, получено: строка/],
+    [(s) => { s.stability.resonances = 'да'; }, 'system.stability.resonances', /ожидалось логическое значение/],
+  ];
+  cases.forEach(([corrupt, path, message]) => {
+    const doc = documentFor();
+    corrupt(doc.system);
+    assertRejected(doc, { path, message });
+  });
+});
+
+test('ссылки на несуществующие звёзды и барицентры', () => {
+  const doc = documentFor();
+  doc.system.planets[0].barycenter = 'Z';
+  assertRejected(doc, { path: 'system.planets[0].barycenter', message: /неизвестная звезда или барицентр "Z"/ });
+
+  const empty = documentFor();
+  empty.system.stars = [];
+  assertRejected(empty, { path: 'system.stars', message: /нет ни одной звезды/ });
+});
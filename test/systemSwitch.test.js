@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import Game from '../src/core/Game.js';
+import { generateSystem } from '../src/world/SystemGenerator.js';
+import { DEFAULT_GALAXY_SEED, generateGalaxy, homeStarIndex } from '../src/world/Galaxy.js';
+
+// Холст без DOM: 2D-контекст принимает любые вызовы — текстуры короны и фона рисуются «впустую»
+const noop = () => {};
+const context2d = new Proxy({}, {
+  get: () => () => ({ addColorStop: noop, data: new Uint8ClampedArray(4) }),
+  set: () => true,
+});
+
+// Кнопка «Следовать» — только то, что трогает initFollowUI
+const followButton = { textContent: '', addEventListener: noop };
+
+globalThis.document = {
+  createElement: () => ({ width: 1, height: 1, getContext: () => context2d }),
+  getElementById: (id) => (id === 'follow-toggle' ? followButton : null),
+};
+
+const galaxy = generateGalaxy(DEFAULT_GALAXY_SEED);
+
+// Game без рендерера: loadSystem и disposeSystem работают со сценой и тем, что на ней
+function createGame() {
+  const game = Object.create(Game.prototype);
+  Object.assign(game, {
+    scene: new THREE.Scene(),
+    galaxy,
+    viewModes: ['overview'],
+    currentViewModeIdx: 0,
+    habitableZonesVisible: false,
+    followEnabled: false,
+    outlinePass: { selectedObjects: [] },
+    setViewMode: noop,
+  });
+  game.initFollowUI();
+  return game;
+}
+
+// Геометрии, материалы и текстуры (в полях материала и в uniforms) всего, что висит на сцене
+function sceneResources(scene) {
+  const resources = new Set();
+  const addTexture = (value) => {
+    if (value?.isTexture) resources.add(value);
+  };
+  scene.traverse((object) => {
+    if (object.geometry) resources.add(object.geometry);
+    [].concat(object.material ?? []).forEach((material) => {
+      resources.add(material);
+      Object.values(material).forEach(addTexture);
+      Object.values(material.uniforms ?? {}).forEach((uniform) => addTexture(uniform.value));
+    });
+  });
+  return resources;
+}
+
+test('смена системы освобождает всё, что система создала, и очищает сцену', () => {
+  // Двойная звезда, кольца, пояса и кометы — чтобы в сцене было всё разнообразие объектов
+  const systems = ['vega', 'switch-1', 'switch-2', 'switch-3'].map((seed) => generateSystem(seed));
+  assert.ok(systems.some((system) => system.stars.length > 1));
+  assert.ok(systems.some((system) => system.planets.some((planet) => planet.ring)));
+  assert.ok(systems.some((system) => system.belts.length > 0));
+
+  const game = createGame();
+  systems.forEach((system) => {
+    game.loadSystem(system, { version: system.generatorVersion, galaxyStarIndex: 0 });
+    const resources = sceneResources(game.scene);
+    assert.ok(resources.size > 0);
+    const disposed = new Set();
+    resources.forEach((resource) => resource.addEventListener('dispose', () => disposed.add(resource)));
+
+    game.disposeSystem();
+
+    assert.deepEqual(game.scene.children, [], `${system.seed}: на сцене остались объекты`);
+    const leaked = [...resources].filter((resource) => !disposed.has(resource) && !resource.userData?.shared);
+    assert.deepEqual(leaked.map((resource) => resource.type), [], `${system.seed}: не освобождены`);
+  });
+});
+
+test('смена системы выключает следование вместе с подписью кнопки', () => {
+  const game = createGame();
+  const system = generateSystem('vega');
+  game.loadSystem(system, { version: system.generatorVersion, galaxyStarIndex: 0 });
+  game.currentHighlighted = game.bodies[0];
+  game.toggleFollow();
+  assert.equal(game.followTarget, game.bodies[0]);
+  assert.equal(followButton.textContent, 'Следовать: вкл (F)');
+
+  game.disposeSystem();
+
+  assert.equal(game.followEnabled, false);
+  assert.equal(game.followTarget, null);
+  assert.equal(followButton.textContent, 'Следовать: выкл (F)');
+});
+
+// Адрес страницы без браузера: loadFromLocation читает location и переписывает его через history
+function visit(game, search) {
+  globalThis.location = { pathname: '/', search };
+  globalThis.history = {
+    replaceState: (state, title, url) => {
+      globalThis.location.search = url.slice(url.indexOf('?'));
+    },
+  };
+  game.loadFromLocation();
+  return new URLSearchParams(globalThis.location.search);
+}
+
+test('адрес с одним seed: система по сиду, место в галактике — homeStarIndex', () => {
+  const game = createGame();
+  const params = visit(game, '?seed=vega');
+  assert.equal(game.system.seed, generateSystem('vega').seed);
+  assert.equal(game.galaxyStarIndex, homeStarIndex(galaxy, game.system.seed));
+  assert.equal(params.get('star'), null);
+  game.disposeSystem();
+
+  // Без seed и star — новая случайная система, а не система звезды 0
+  visit(game, '');
+  assert.notEqual(game.system.seed, galaxy.stars[0].systemSeed);
+  assert.equal(game.galaxyStarIndex, homeStarIndex(galaxy, game.system.seed));
+  game.disposeSystem();
+
+  // ?star=N по-прежнему ведёт к звезде галактики и её системе
+  visit(game, '?star=3');
+  assert.equal(game.galaxyStarIndex, 3);
+  assert.equal(game.system.seed, generateSystem(galaxy.stars[3].systemSeed).seed);
+  game.disposeSystem();
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TextureWorkerPool from '../src/world/TextureWorkerPool.js';
+
+// Воркер, которым управляет тест: задачи копятся в posted, ответ и сбой — вручную
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.posted.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// Пул на FakeWorker; drawOnMainThread подменяется, чтобы не нужен был DOM
+async function withPool(workers, run) {
+  const saved = { Worker: globalThis.Worker, OffscreenCanvas: globalThis.OffscreenCanvas };
+  const draw = TextureWorkerPool.drawOnMainThread;
+  const created = [];
+  globalThis.Worker = class extends FakeWorker {
+    constructor() {
+      super();
+      created.push(this);
+    }
+  };
+  globalThis.OffscreenCanvas = class {};
+  const mainThread = [];
+  TextureWorkerPool.drawOnMainThread = ({ id, size }) => {
+    mainThread.push(id);
+    return { id, data: new Uint8ClampedArray(size * size * 4) };
+  };
+  const pool = new TextureWorkerPool({ workers });
+  try {
+    await run({ pool, created, mainThread });
+  } finally {
+    pool.dispose();
+    TextureWorkerPool.drawOnMainThread = draw;
+    Object.assign(globalThis, saved);
+  }
+}
+
+test('ответ воркера превращается в DataTexture', () => withPool(1, async ({ pool, created }) => {
+  const texture = pool.generate('starDot', 2, {}, 'звёзды');
+  await settle();
+  const [{ id }] = created[0].posted;
+  created[0].onmessage({ data: { id, data: new Uint8ClampedArray(16) } });
+  assert.equal((await texture).image.width, 2);
+  assert.deepEqual(pool.pendingLabels(), []);
+}));
+
+test('упавший воркер: задачи дорисовываются на главном потоке', () => withPool(2, async ({ pool, created, mainThread }) => {
+  const first = pool.generate('starDot', 2, {}, 'звёзды');
+  const second = pool.generate('clusterDot', 2, {}, 'скопления');
+  const third = pool.generate('nebula', 2, {}, 'туманности');
+  await settle();
+  let prevented = false;
+  created[0].onerror({ preventDefault: () => { prevented = true; } });
+  assert.ok(prevented);
+  assert.ok(created.every((worker) => worker.terminated));
+  const textures = await Promise.all([first, second, third]);
+  textures.forEach((texture) => assert.equal(texture.image.width, 2));
+  assert.equal(mainThread.length, 3);
+}));
+
+test('нечитаемый ответ воркера тоже переводит пул на главный поток', () => withPool(1, async ({ pool, created, mainThread }) => {
+  const texture = pool.generate('starDot', 2, {}, 'звёзды');
+  await settle();
+  created[0].onmessageerror();
+  assert.equal((await texture).image.width, 2);
+  assert.equal(mainThread.length, 1);
+}));
+
+test('ошибка рисования отклоняет задачу и попадает в failedLabels', () => withPool(1, async ({ pool, created }) => {
+  const texture = pool.generate('nebula', 2, {}, 'туманности');
+  await settle();
+  const [{ id }] = created[0].posted;
+  created[0].onmessage({ data: { id, error: 'нет контекста' } });
+  await assert.rejects(texture, /нет контекста/);
+  assert.deepEqual(pool.failedLabels(), ['туманности']);
+  pool.clearFailures();
+  assert.deepEqual(pool.failedLabels(), []);
+}));
+
+test('dispose отклоняет все ждущие задачи как отменённые', () => withPool(1, async ({ pool }) => {
+  const running = pool.generate('starDot', 2, {}, 'звёзды');
+  const queued = pool.generate('nebula', 2, {}, 'туманности');
+  await settle();
+  pool.dispose();
+  for (const job of [running, queued]) {
+    await assert.rejects(job, (error) => error.cancelled === true);
+  }
+  assert.deepEqual(pool.pendingLabels(), []);
+  assert.deepEqual(pool.failedLabels(), []);
+}));
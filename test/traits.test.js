@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPlanetType, PLANET_TRAITS } from '../src/world/PlanetTypeRegistry.js';
+import { generateSystem } from '../src/world/SystemGenerator.js';
+
+// Тёплые каменистые миры редки — берём побольше систем
+const SEEDS = Array.from({ length: 80 }, (_, i) => `traits-${i}`);
+
+test('черты мира v4 — только у типов с шансом и с силой в [0.3, 1]', () => {
+  let withTraits = 0;
+  for (const seed of SEEDS) {
+    generateSystem(seed, { version: 4 }).planets.forEach((planet) => {
+      const chances = getPlanetType(planet.climate).traits;
+      Object.entries(planet.traits).forEach(([trait, strength]) => {
+        assert.ok(trait in PLANET_TRAITS, trait);
+        assert.ok(chances[trait] > 0, `${planet.climate}: ${trait}`);
+        assert.ok(strength >= 0.3 && strength <= 1, `${strength}`);
+        withTraits += 1;
+      });
+    });
+  }
+  assert.ok(withTraits > 0, 'ни одной черты на 80 системах');
+});
+
+test('черты воспроизводятся по сиду и не появляются в старых версиях', () => {
+  const traitsOf = (system) => system.planets.map((p) => p.traits);
+  assert.deepEqual(traitsOf(generateSystem('vega', { version: 4 })), traitsOf(generateSystem('vega', { version: 4 })));
+  assert.equal(generateSystem('vega', { version: 3 }).planets[0].traits, undefined);
+});